@@ -1,17 +1,40 @@
+import "dotenv/config"; // Before the imports below read their settings
 import express from "express";
 import cors from "cors";
 import helmet from "helmet";
 import rateLimit from "express-rate-limit";
 import mongoose from "mongoose";
-import dotenv from "dotenv";
 
 // Import route modules
 import { eventRoutes } from "./src/routes/eventRoutes.js";
 import { subscriptionRoutes } from "./src/routes/subscriptionRoutes.js";
 import { dashboardRoutes } from "./src/routes/dashboardRoutes.js";
-
-// Load environment variables from .env file
-dotenv.config();
+import { eventTypeRoutes } from "./src/routes/eventTypeRoutes.js";
+import { apiKeyRoutes } from "./src/routes/apiKeyRoutes.js";
+import { authRoutes } from "./src/routes/authRoutes.js";
+import { deadLetterRoutes } from "./src/routes/deadLetterRoutes.js";
+import { healthRoutes } from "./src/routes/healthRoutes.js";
+import EventType from "./src/models/EventType.js";
+import { metricsHandler } from "./src/utils/metrics.js";
+import {
+  initTracing,
+  tracingMiddleware,
+  shutdownTracing,
+} from "./src/utils/tracing.js";
+import { createLogger } from "./src/utils/logger.js";
+import { requestContext } from "./src/middleware/requestContext.js";
+import { webhookQueue, eventQueue } from "./src/utils/queue.js";
+import redisClient from "./src/utils/redis.js";
+import {
+  onShutdown,
+  closeServer,
+  installShutdownHandlers,
+} from "./src/utils/shutdown.js";
+
+const logger = createLogger("server");
+
+// OpenTelemetry - no-op unless OTEL_TRACES_EXPORTER is set
+initTracing("webhook-api");
 
 // Initialize Express application
 const app = express();
@@ -26,12 +49,28 @@ app.use(
   cors({
     origin: process.env.FRONTEND_URL || "http://localhost:5173", // Frontend URL
     credentials: true, // Allow cookies and authentication headers
+    exposedHeaders: ["X-Request-Id"], // Lets the dashboard report request IDs
   })
 );
 
 // JSON parsing middleware - limits request size to 10MB
 app.use(express.json({ limit: "10mb" }));
 
+// Prometheus metrics - registered before the rate limiter so scrapes are
+// never throttled
+app.get("/metrics", metricsHandler);
+
+// Health checks - /health, /health/live and /health/ready. Also ahead of the
+// rate limiter, and not logged per request, since probes poll constantly
+app.use("/health", healthRoutes);
+
+// Request context - X-Request-Id on every request, its response and its logs
+app.use(requestContext);
+
+// Tracing middleware - one span per API request (after /metrics so scrapes
+// are not traced)
+app.use(tracingMiddleware);
+
 // Rate limiting middleware - prevents brute force attacks
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes time window
@@ -52,22 +91,20 @@ app.use("/api/events", eventRoutes);
 // Subscription management routes - CRUD operations for webhook subscriptions
 app.use("/api/subscriptions", subscriptionRoutes);
 
+// Event type registry routes - CRUD operations for accepted event types
+app.use("/api/event-types", eventTypeRoutes);
+
 // Dashboard and monitoring routes - statistics and delivery logs
 app.use("/api/dashboard", dashboardRoutes);
 
-// ==================== HEALTH CHECK ENDPOINT ====================
+// Dead-letter routes - inspect, replay and purge exhausted deliveries
+app.use("/api/dead-letters", deadLetterRoutes);
 
-/**
- * Health check endpoint to verify server status
- * Useful for load balancers and monitoring systems
- */
-app.get("/health", (req, res) => {
-  res.json({
-    status: "OK",
-    timestamp: new Date().toISOString(),
-    service: "Algohire Webhook Relay Server",
-  });
-});
+// API key management routes - create, list and revoke keys
+app.use("/api/api-keys", apiKeyRoutes);
+
+// Dashboard sign-in - session cookie in exchange for an API key
+app.use("/api/auth", authRoutes);
 
 // ==================== ERROR HANDLING MIDDLEWARE ====================
 
@@ -76,7 +113,7 @@ app.get("/health", (req, res) => {
  * Catches any unhandled errors in the application
  */
 app.use((err, req, res, next) => {
-  console.error("Unhandled Error:", err.stack);
+  logger.error("Unhandled error", { error: err });
   res.status(500).json({
     success: false,
     error: "Internal server error",
@@ -94,17 +131,39 @@ mongoose
     process.env.MONGODB_URI || "mongodb://localhost:27017/algohire-webhooks"
     // Deprecated options removed: useNewUrlParser and useUnifiedTopology
   )
-  .then(() => console.log("Connected to MongoDB successfully"))
+  .then(async () => {
+    logger.info("Connected to MongoDB");
+
+    // Register the built-in event types on a fresh database
+    const seeded = await EventType.seedDefaults();
+    if (seeded > 0) {
+      logger.info("Seeded default event types", { count: seeded });
+    }
+  })
   .catch((err) => {
-    console.error("MongoDB connection error:", err);
+    logger.error("MongoDB connection error", { error: err });
     process.exit(1); // Exit process if database connection fails
   });
 
 // ==================== SERVER STARTUP ====================
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Algohire Webhook Relay Server running on port ${PORT}`);
-  console.log(`Dashboard available at: http://localhost:${PORT}/api/dashboard`);
-  console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
+const server = app.listen(PORT, () => {
+  logger.info("Algohire Webhook Relay Server running", {
+    port: PORT,
+    dashboard: `http://localhost:${PORT}/api/dashboard`,
+    environment: process.env.NODE_ENV || "development",
+  });
 });
+
+// ==================== GRACEFUL SHUTDOWN ====================
+// On SIGTERM/SIGINT: finish in-flight requests, then close connections in
+// reverse order of use (see src/utils/shutdown.js)
+onShutdown("http server", () => closeServer(server));
+onShutdown("queues", () =>
+  Promise.all([webhookQueue.close(), eventQueue.close()])
+);
+onShutdown("redis", () => redisClient.quit());
+onShutdown("mongodb", () => mongoose.disconnect());
+onShutdown("tracing", () => shutdownTracing());
+installShutdownHandlers();
@@ -0,0 +1,138 @@
+// Import required models and services
+import ApiKey from "../models/ApiKey.js";
+import { ApiKeyService } from "../services/apiKeyService.js";
+import { createLogger } from "../utils/logger.js";
+
+const logger = createLogger("apiKeyController");
+
+/**
+ * ApiKeyController - Handles API key management
+ * Includes creation, listing and revocation of keys
+ */
+export class ApiKeyController {
+  /**
+   * Create a new API key
+   * The plaintext key is returned only in this response
+   */
+  static async createApiKey(req, res) {
+    try {
+      const { name, scopes, sourceModule, expiresAt } = req.body;
+
+      // ==================== INPUT VALIDATION ====================
+      if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Missing required fields: name, scopes (non-empty array)",
+        });
+      }
+
+      // ==================== KEY GENERATION ====================
+      const { key, keyPrefix, keyHash } = ApiKeyService.generateKey();
+
+      const apiKey = new ApiKey({
+        name,
+        keyPrefix,
+        keyHash,
+        scopes,
+        sourceModule,
+        expiresAt,
+      });
+
+      await apiKey.save();
+      logger.info("API key created", { keyPrefix: apiKey.keyPrefix, name });
+
+      // ==================== SUCCESS RESPONSE ====================
+      res.status(201).json({
+        success: true,
+        apiKey: {
+          ...apiKey.toJSON(),
+          key, // Return the key only once - client should store it securely
+        },
+        warning: "Store the API key securely - it will not be shown again",
+      });
+    } catch (error) {
+      logger.error("API key creation error", { error });
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Failed to create API key",
+      });
+    }
+  }
+
+  /**
+   * Retrieve all API keys (without hashes)
+   */
+  static async getApiKeys(req, res) {
+    try {
+      const apiKeys = await ApiKey.find().sort({ createdAt: -1 });
+
+      logger.debug("Retrieved API keys", { count: apiKeys.length });
+
+      res.json({
+        success: true,
+        apiKeys,
+      });
+    } catch (error) {
+      logger.error("Failed to fetch API keys", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch API keys",
+      });
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * The key document is kept for auditing
+   */
+  static async revokeApiKey(req, res) {
+    try {
+      const { id } = req.params;
+
+      // Prevent locking yourself out with the key making the request
+      if (req.apiKey && req.apiKey._id.equals(id)) {
+        return res.status(400).json({
+          success: false,
+          error: "An API key cannot revoke itself",
+        });
+      }
+
+      const apiKey = await ApiKey.findByIdAndUpdate(
+        id,
+        { isActive: false, revokedAt: new Date() },
+        { new: true }
+      );
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          error: "API key not found",
+        });
+      }
+
+      logger.info("API key revoked", {
+        keyPrefix: apiKey.keyPrefix,
+        name: apiKey.name,
+      });
+
+      res.json({
+        success: true,
+        message: "API key revoked successfully",
+      });
+    } catch (error) {
+      logger.error("Failed to revoke API key", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to revoke API key",
+      });
+    }
+  }
+}
@@ -0,0 +1,112 @@
+// Import required services and utilities
+import { ApiKeyService } from "../services/apiKeyService.js";
+import { SessionService, SESSION_COOKIE } from "../services/sessionService.js";
+import { getCookie } from "../middleware/auth.js";
+import { createLogger } from "../utils/logger.js";
+
+const logger = createLogger("authController");
+
+/**
+ * Session cookie options - HttpOnly so page scripts cannot read the token,
+ * SameSite=Strict so other sites cannot make requests with it
+ * @param {number} [maxAgeMs] - Cookie lifetime
+ * @returns {object} Options for res.cookie / res.clearCookie
+ */
+const cookieOptions = (maxAgeMs) => ({
+  httpOnly: true,
+  sameSite: "strict",
+  secure: process.env.NODE_ENV === "production",
+  path: "/api",
+  ...(maxAgeMs && { maxAge: maxAgeMs }),
+});
+
+/**
+ * Session details shown to the dashboard - never the key itself
+ * @param {object} apiKey - ApiKey document
+ * @returns {object}
+ */
+const describeSession = (apiKey) => ({
+  name: apiKey.name,
+  keyPrefix: apiKey.keyPrefix,
+  scopes: apiKey.scopes,
+});
+
+/**
+ * AuthController - Dashboard sign-in
+ * Exchanges an API key for an HttpOnly session cookie, so the key is not
+ * built into or stored by the browser app
+ */
+export class AuthController {
+  /**
+   * Sign in with an API key that has the dashboard:read scope
+   * Body: { apiKey }
+   */
+  static async createSession(req, res) {
+    try {
+      const apiKey = await ApiKeyService.authenticate(req.body?.apiKey);
+
+      // ==================== INPUT VALIDATION ====================
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          error: "Missing or invalid API key",
+        });
+      }
+
+      if (!ApiKeyService.hasScope(apiKey, "dashboard:read")) {
+        return res.status(403).json({
+          success: false,
+          error: "API key is missing required scope: dashboard:read",
+        });
+      }
+
+      // ==================== SESSION CREATION ====================
+      const { token, maxAgeMs } = await SessionService.create(apiKey);
+      res.cookie(SESSION_COOKIE, token, cookieOptions(maxAgeMs));
+
+      logger.info("Dashboard session created", { keyPrefix: apiKey.keyPrefix });
+
+      res.status(201).json({
+        success: true,
+        session: describeSession(apiKey),
+      });
+    } catch (error) {
+      logger.error("Session creation error", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to sign in",
+      });
+    }
+  }
+
+  /**
+   * Current session (requires a valid session or API key)
+   */
+  static async getSession(req, res) {
+    res.json({
+      success: true,
+      session: describeSession(req.apiKey),
+    });
+  }
+
+  /**
+   * Sign out - ends the session and clears the cookie
+   */
+  static async deleteSession(req, res) {
+    try {
+      await SessionService.destroy(getCookie(req, SESSION_COOKIE));
+      res.clearCookie(SESSION_COOKIE, cookieOptions());
+
+      res.json({
+        success: true,
+        message: "Signed out",
+      });
+    } catch (error) {
+      logger.error("Session deletion error", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to sign out",
+      });
+    }
+  }
+}
@@ -0,0 +1,329 @@
+// Import required models and services
+import mongoose from "mongoose";
+import DeadLetter from "../models/DeadLetter.js";
+import { DeadLetterService } from "../services/deadLetterService.js";
+import { createLogger } from "../utils/logger.js";
+
+const logger = createLogger("deadLetterController");
+
+// Maximum number of dead letters replayed by one bulk request
+const DEAD_LETTER_REPLAY_MAX =
+  parseInt(process.env.DEAD_LETTER_REPLAY_MAX, 10) || 500;
+
+const DEAD_LETTER_STATUSES = ["dead", "replaying", "replayed"];
+
+/**
+ * DeadLetterController - Inspection, replay and purge of dead letters
+ * (deliveries that exhausted all of their retry attempts)
+ */
+export class DeadLetterController {
+  /**
+   * Build a MongoDB query from dead-letter filter parameters
+   * @param {object} params - { subscriptionId?, eventType?, status?, from?, to? }
+   * @returns {{query?: object, error?: string}}
+   */
+  static buildQuery(params = {}) {
+    const { subscriptionId, eventType, status, from, to } = params;
+    const query = {};
+
+    if (subscriptionId) {
+      if (!mongoose.Types.ObjectId.isValid(subscriptionId)) {
+        return { error: "Invalid subscriptionId" };
+      }
+      query.subscriptionId = subscriptionId;
+    }
+
+    if (eventType) {
+      query.eventType = eventType;
+    }
+
+    if (status) {
+      if (!DEAD_LETTER_STATUSES.includes(status)) {
+        return {
+          error: `status must be one of ${DEAD_LETTER_STATUSES.join(", ")}`,
+        };
+      }
+      query.status = status;
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      for (const [key, value] of [
+        ["$gte", from],
+        ["$lte", to],
+      ]) {
+        if (!value) continue;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+          return { error: `Invalid date: ${value}` };
+        }
+        query.createdAt[key] = date;
+      }
+    }
+
+    return { query };
+  }
+
+  /**
+   * Retrieve dead letters with filtering and pagination
+   * Query: subscriptionId, eventType, status, from, to, page, limit
+   */
+  static async getDeadLetters(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const pageNum = Math.max(parseInt(page) || 1, 1);
+      const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+      const { query, error } = DeadLetterController.buildQuery(req.query);
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+
+      const [deadLetters, total] = await Promise.all([
+        DeadLetter.find(query)
+          .sort({ createdAt: -1 }) // Most recent first
+          .limit(limitNum)
+          .skip((pageNum - 1) * limitNum)
+          .populate("eventId", "eventId eventType createdAt"),
+        DeadLetter.countDocuments(query),
+      ]);
+
+      logger.debug("Retrieved dead letters", { count: deadLetters.length });
+
+      res.json({
+        success: true,
+        deadLetters,
+        pagination: {
+          totalPages: Math.ceil(total / limitNum),
+          currentPage: pageNum,
+          totalItems: total,
+          itemsPerPage: limitNum,
+        },
+      });
+    } catch (error) {
+      logger.error("Failed to fetch dead letters", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch dead letters",
+      });
+    }
+  }
+
+  /**
+   * Retrieve a single dead letter with its attempt history
+   */
+  static async getDeadLetter(req, res) {
+    try {
+      const { id } = req.params;
+      const deadLetter = mongoose.Types.ObjectId.isValid(id)
+        ? await DeadLetter.findById(id).populate(
+            "eventId",
+            "eventId eventType sourceModule payload createdAt"
+          )
+        : null;
+
+      if (!deadLetter) {
+        return res.status(404).json({
+          success: false,
+          error: "Dead letter not found",
+        });
+      }
+
+      res.json({ success: true, deadLetter });
+    } catch (error) {
+      logger.error("Failed to fetch dead letter", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch dead letter",
+      });
+    }
+  }
+
+  /**
+   * Replay a single dead letter
+   */
+  static async replayDeadLetter(req, res) {
+    try {
+      const { id } = req.params;
+      const deadLetter = mongoose.Types.ObjectId.isValid(id)
+        ? await DeadLetter.findById(id)
+        : null;
+
+      if (!deadLetter) {
+        return res.status(404).json({
+          success: false,
+          error: "Dead letter not found",
+        });
+      }
+
+      if (deadLetter.status !== "dead") {
+        return res.status(409).json({
+          success: false,
+          error: `Dead letter is already ${deadLetter.status}`,
+        });
+      }
+
+      const [result] = await DeadLetterService.replay([deadLetter]);
+      if (result.status !== "queued") {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot replay - ${result.error}`,
+        });
+      }
+
+      logger.info("Dead letter queued for replay", { deadLetterId: id });
+
+      res.json({
+        success: true,
+        message: "Dead letter queued for replay",
+      });
+    } catch (error) {
+      logger.error("Failed to replay dead letter", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to replay dead letter",
+      });
+    }
+  }
+
+  /**
+   * Replay dead letters in bulk
+   * Body: { ids: [] } or { filter: { subscriptionId?, eventType?, from?, to? } }
+   * Only dead letters in the "dead" status are replayed
+   */
+  static async replayDeadLetters(req, res) {
+    try {
+      const { ids, filter } = req.body || {};
+      let query;
+
+      if (ids !== undefined) {
+        if (
+          !Array.isArray(ids) ||
+          ids.length === 0 ||
+          !ids.every((id) => mongoose.Types.ObjectId.isValid(id))
+        ) {
+          return res.status(400).json({
+            success: false,
+            error: "ids must be a non-empty array of dead letter IDs",
+          });
+        }
+        query = { _id: { $in: ids } };
+      } else if (filter && typeof filter === "object") {
+        const built = DeadLetterController.buildQuery(filter);
+        if (built.error) {
+          return res.status(400).json({ success: false, error: built.error });
+        }
+        query = built.query;
+      } else {
+        return res.status(400).json({
+          success: false,
+          error: "Provide either ids or filter",
+        });
+      }
+
+      const deadLetters = await DeadLetter.find({ ...query, status: "dead" })
+        .sort({ createdAt: 1 }) // Oldest first
+        .limit(DEAD_LETTER_REPLAY_MAX + 1);
+
+      if (deadLetters.length > DEAD_LETTER_REPLAY_MAX) {
+        return res.status(413).json({
+          success: false,
+          error: `More than ${DEAD_LETTER_REPLAY_MAX} dead letters match - narrow the filter`,
+        });
+      }
+
+      const results = await DeadLetterService.replay(deadLetters);
+      const queued = results.filter((result) => result.status === "queued");
+
+      logger.info("Bulk replay queued", {
+        queued: queued.length,
+        matched: deadLetters.length,
+      });
+
+      res.json({
+        success: true,
+        summary: {
+          matched: deadLetters.length,
+          queued: queued.length,
+          skipped: results.length - queued.length,
+        },
+        results,
+      });
+    } catch (error) {
+      logger.error("Failed to replay dead letters", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to replay dead letters",
+      });
+    }
+  }
+
+  /**
+   * Purge a single dead letter
+   */
+  static async purgeDeadLetter(req, res) {
+    try {
+      const { id } = req.params;
+      const deadLetter = mongoose.Types.ObjectId.isValid(id)
+        ? await DeadLetter.findByIdAndDelete(id)
+        : null;
+
+      if (!deadLetter) {
+        return res.status(404).json({
+          success: false,
+          error: "Dead letter not found",
+        });
+      }
+
+      logger.info("Dead letter purged", { deadLetterId: id });
+
+      res.json({
+        success: true,
+        message: "Dead letter purged successfully",
+      });
+    } catch (error) {
+      logger.error("Failed to purge dead letter", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to purge dead letter",
+      });
+    }
+  }
+
+  /**
+   * Purge dead letters matching a filter
+   * Query: subscriptionId, eventType, status, from, to - or all=true to
+   * purge everything
+   */
+  static async purgeDeadLetters(req, res) {
+    try {
+      const { query, error } = DeadLetterController.buildQuery(req.query);
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+
+      // Refuse an unfiltered purge unless it is explicitly requested
+      if (Object.keys(query).length === 0 && req.query.all !== "true") {
+        return res.status(400).json({
+          success: false,
+          error: "Provide a filter, or all=true to purge every dead letter",
+        });
+      }
+
+      const { deletedCount } = await DeadLetter.deleteMany(query);
+
+      logger.info("Dead letters purged", { count: deletedCount });
+
+      res.json({
+        success: true,
+        deletedCount,
+      });
+    } catch (error) {
+      logger.error("Failed to purge dead letters", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to purge dead letters",
+      });
+    }
+  }
+}
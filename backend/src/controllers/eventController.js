@@ -2,14 +2,92 @@
 import Event from "../models/Event.js";
 import Subscription from "../models/Subscription.js";
 import DeliveryLog from "../models/DeliveryLog.js";
-import { eventQueue } from "../utils/queue.js";
+import { EventTypeService } from "../services/eventTypeService.js";
+import { SchemaValidationService } from "../services/schemaValidationService.js";
+import { OutboxService } from "../services/outboxService.js";
+import { eventsIngested, eventsDuplicate } from "../utils/metrics.js";
+import { injectTraceContext } from "../utils/tracing.js";
 import { v4 as uuidv4 } from "uuid";
+import { createLogger, addLogContext } from "../utils/logger.js";
+
+const logger = createLogger("eventController");
+
+// Maximum number of events accepted by POST /api/events/batch
+const EVENT_BATCH_MAX_SIZE = parseInt(process.env.EVENT_BATCH_MAX_SIZE) || 500;
 
 /**
  * EventController - Handles all event-related operations
  * Includes event reception, processing, and retrieval
  */
 export class EventController {
+  /**
+   * Validate a single incoming event against the registry and payload schemas
+   * Shared by single and batch ingestion
+   * @param {object} input - Raw event from the request body
+   * @param {object} [options]
+   * @param {Map<string, object>} [options.registry] - Preloaded event type registry
+   * @param {string} [options.boundModule] - Source module the caller's API key is bound to
+   * @returns {Promise<object>} { eventType, schemaVersion } on success,
+   *   or { status, error, details? } describing why the event was rejected
+   */
+  static async validateEventInput(input, { registry, boundModule } = {}) {
+    const { eventType, sourceModule, payload, idempotencyKey, schemaVersion } =
+      input || {};
+
+    // ==================== INPUT VALIDATION ====================
+    if (!eventType || !sourceModule || !payload || !idempotencyKey) {
+      return {
+        status: 400,
+        error:
+          "Missing required fields: eventType, sourceModule, payload, idempotencyKey",
+      };
+    }
+
+    // ==================== SOURCE MODULE BINDING ====================
+    // Keys bound to a module may only emit that module's events
+    if (
+      boundModule &&
+      String(sourceModule).trim().toUpperCase() !== boundModule
+    ) {
+      return {
+        status: 403,
+        error: `API key is bound to source module ${boundModule}`,
+      };
+    }
+
+    // ==================== EVENT TYPE VALIDATION ====================
+    // Event type must be registered and owned by the emitting module
+    const { eventType: registeredType, error: typeError } =
+      await EventTypeService.validateEvent(eventType, sourceModule, registry);
+    if (typeError) {
+      return { status: 400, error: typeError };
+    }
+
+    // ==================== PAYLOAD SCHEMA VALIDATION ====================
+    // Validate payload against the declared (or latest) schema version
+    const validation = SchemaValidationService.validatePayload(
+      registeredType,
+      schemaVersion,
+      payload
+    );
+    if (validation.error) {
+      return { status: 400, error: validation.error };
+    }
+    if (validation.errors.length > 0) {
+      return {
+        status: 422,
+        error: `Payload does not match schema v${validation.schemaVersion} of ${registeredType.name}`,
+        schemaVersion: validation.schemaVersion,
+        details: validation.errors,
+      };
+    }
+
+    return {
+      eventType: registeredType,
+      schemaVersion: validation.schemaVersion,
+    };
+  }
+
   /**
    * Receive and process incoming events from various modules
    * Implements idempotency to prevent duplicate processing
@@ -17,24 +95,35 @@ export class EventController {
   static async receiveEvent(req, res) {
     try {
       // Extract event data from request body
-      const { eventType, sourceModule, payload, idempotencyKey } = req.body;
+      const { payload, idempotencyKey } = req.body;
 
-      // ==================== INPUT VALIDATION ====================
-      if (!eventType || !sourceModule || !payload || !idempotencyKey) {
-        return res.status(400).json({
+      const validation = await EventController.validateEventInput(req.body, {
+        boundModule: req.apiKey?.sourceModule,
+      });
+      if (validation.status) {
+        const { status, ...rejection } = validation;
+        return res.status(status).json({
           success: false,
-          error:
-            "Missing required fields: eventType, sourceModule, payload, idempotencyKey",
+          ...rejection,
         });
       }
+      const { eventType: registeredType, schemaVersion } = validation;
 
       // ==================== IDEMPOTENCY CHECK ====================
       // Prevent duplicate event processing using idempotency key
       const existingEvent = await Event.findOne({ idempotencyKey });
       if (existingEvent) {
-        console.log(
-          `Event already processed with idempotency key: ${idempotencyKey}`
-        );
+        logger.info("Event already processed", {
+          eventId: existingEvent.eventId,
+          idempotencyKey,
+        });
+        eventsDuplicate.inc({ ingestion: "single" });
+
+        // The producer may be retrying because the first dispatch failed
+        if (existingEvent.dispatchStatus === "pending") {
+          await OutboxService.tryDispatch([existingEvent]);
+        }
+
         return res.status(200).json({
           success: true,
           message: "Event already processed",
@@ -44,26 +133,35 @@ export class EventController {
 
       // ==================== EVENT CREATION ====================
       // Create new event document with unique event ID
+      const traceContext = injectTraceContext();
       const event = new Event({
         eventId: uuidv4(), // Generate unique identifier for the event
-        eventType,
-        sourceModule,
+        eventType: registeredType.name, // Normalized registry name
+        sourceModule: registeredType.sourceModule,
         payload,
+        schemaVersion,
         idempotencyKey,
+        requestId: req.id,
+        traceContext,
+        dispatchStatus: "pending", // Until the process-event job is queued
       });
 
-      // Save event to database
+      // Save event to database - stored as "pending" in the outbox
       await event.save();
-      console.log(`Event created: ${event.eventId} (${eventType})`);
-
-      // ==================== QUEUE PROCESSING ====================
-      // Add event to processing queue for asynchronous handling
-      await eventQueue.add("process-event", {
-        eventId: event._id, // MongoDB ObjectId for internal reference
-        eventType: event.eventType, // Event type for subscription matching
+      addLogContext({ eventId: event.eventId });
+      logger.info("Event created", { eventType: event.eventType });
+      eventsIngested.inc({
+        event_type: event.eventType,
+        source_module: event.sourceModule,
       });
 
-      console.log(`Event queued for processing: ${event.eventId}`);
+      // ==================== QUEUE PROCESSING ====================
+      // Add event to processing queue for asynchronous handling. The event is
+      // already stored, so if the queue is unreachable it is still accepted -
+      // the outbox relay queues it later
+      if (await OutboxService.tryDispatch([event])) {
+        logger.debug("Event queued for processing");
+      }
 
       // ==================== SUCCESS RESPONSE ====================
       // Return 202 Accepted since processing is asynchronous
@@ -71,10 +169,13 @@ export class EventController {
         success: true,
         eventId: event.eventId,
         message: "Event accepted for processing",
+        ...(registeredType.deprecated && {
+          warning: `Event type ${registeredType.name} is deprecated`,
+        }),
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
-      console.error("Event reception error:", error);
+      logger.error("Event reception error", { error });
 
       // Handle specific error types
       if (error.name === "ValidationError") {
@@ -99,6 +200,217 @@ export class EventController {
     }
   }
 
+  /**
+   * Receive a batch of events in one request
+   * Each event is validated and deduplicated independently - partial success is allowed
+   * Body: { events: [{ eventType, sourceModule, payload, idempotencyKey, schemaVersion? }] }
+   */
+  static async receiveBatch(req, res) {
+    try {
+      const events = Array.isArray(req.body) ? req.body : req.body?.events;
+
+      // ==================== INPUT VALIDATION ====================
+      if (!Array.isArray(events) || events.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Request body must contain a non-empty events array",
+        });
+      }
+
+      if (events.length > EVENT_BATCH_MAX_SIZE) {
+        return res.status(413).json({
+          success: false,
+          error: `Batch too large: ${events.length} events (maximum ${EVENT_BATCH_MAX_SIZE})`,
+        });
+      }
+
+      // Per-item results, in the same order as the request
+      const results = new Array(events.length);
+
+      // ==================== PER-ITEM VALIDATION ====================
+      // Load all referenced event types in a single query
+      const registry = await EventTypeService.loadRegistry(
+        events.map((item) => item?.eventType).filter(Boolean)
+      );
+
+      const traceContext = injectTraceContext();
+      const candidates = []; // { index, doc } for events that passed validation
+      const seenKeys = new Map(); // idempotencyKey -> index of first occurrence
+
+      for (const [index, item] of events.entries()) {
+        const validation = await EventController.validateEventInput(item, {
+          registry,
+          boundModule: req.apiKey?.sourceModule,
+        });
+
+        if (validation.status) {
+          const { status, ...rejection } = validation;
+          results[index] = {
+            index,
+            status: "invalid",
+            idempotencyKey: item?.idempotencyKey,
+            ...rejection,
+          };
+          continue;
+        }
+
+        const doc = new Event({
+          eventId: uuidv4(),
+          eventType: validation.eventType.name,
+          sourceModule: validation.eventType.sourceModule,
+          payload: item.payload,
+          schemaVersion: validation.schemaVersion,
+          idempotencyKey: item.idempotencyKey,
+          requestId: req.id,
+          traceContext,
+          dispatchStatus: "pending",
+        });
+
+        const modelError = doc.validateSync();
+        if (modelError) {
+          results[index] = {
+            index,
+            status: "invalid",
+            idempotencyKey: item.idempotencyKey,
+            error: modelError.message,
+          };
+          continue;
+        }
+
+        // Repeated idempotency keys inside the same batch are duplicates
+        if (seenKeys.has(item.idempotencyKey)) {
+          results[index] = {
+            index,
+            status: "duplicate",
+            idempotencyKey: item.idempotencyKey,
+            duplicateOf: seenKeys.get(item.idempotencyKey),
+          };
+          continue;
+        }
+
+        seenKeys.set(item.idempotencyKey, index);
+        candidates.push({ index, doc });
+      }
+
+      // ==================== IDEMPOTENCY CHECK ====================
+      // Events already stored by earlier requests are reported as duplicates
+      const existingEvents = await Event.find({
+        idempotencyKey: { $in: [...seenKeys.keys()] },
+      }).select(
+        "eventId idempotencyKey eventType requestId traceContext dispatchStatus"
+      );
+      const existingByKey = new Map(
+        existingEvents.map((event) => [event.idempotencyKey, event.eventId])
+      );
+
+      // Producers may be retrying because the first dispatch failed
+      const undispatched = existingEvents.filter(
+        (event) => event.dispatchStatus === "pending"
+      );
+      if (undispatched.length > 0) {
+        await OutboxService.tryDispatch(undispatched);
+      }
+
+      const toInsert = [];
+      for (const candidate of candidates) {
+        const { index, doc } = candidate;
+        if (existingByKey.has(doc.idempotencyKey)) {
+          results[index] = {
+            index,
+            status: "duplicate",
+            idempotencyKey: doc.idempotencyKey,
+            eventId: existingByKey.get(doc.idempotencyKey),
+          };
+        } else {
+          toInsert.push(candidate);
+        }
+      }
+
+      // ==================== BULK INSERT ====================
+      // Unordered insert so one failing document does not block the rest
+      const failedIndexes = new Set();
+      if (toInsert.length > 0) {
+        try {
+          await Event.insertMany(
+            toInsert.map(({ doc }) => doc),
+            { ordered: false }
+          );
+        } catch (error) {
+          if (!error.writeErrors) {
+            throw error;
+          }
+
+          for (const writeError of error.writeErrors) {
+            const { index, doc } = toInsert[writeError.index];
+            const code = writeError.err?.code ?? writeError.code;
+            failedIndexes.add(writeError.index);
+
+            // 11000 = a concurrent request stored the same idempotency key first
+            results[index] =
+              code === 11000
+                ? {
+                    index,
+                    status: "duplicate",
+                    idempotencyKey: doc.idempotencyKey,
+                  }
+                : {
+                    index,
+                    status: "invalid",
+                    idempotencyKey: doc.idempotencyKey,
+                    error: writeError.err?.errmsg || "Failed to store event",
+                  };
+          }
+        }
+      }
+
+      const inserted = toInsert.filter((_, i) => !failedIndexes.has(i));
+
+      // ==================== QUEUE PROCESSING ====================
+      // Enqueue every stored event in a single round trip - left to the
+      // outbox relay if the queue is unreachable
+      await OutboxService.tryDispatch(inserted.map(({ doc }) => doc));
+
+      for (const { index, doc } of inserted) {
+        eventsIngested.inc({
+          event_type: doc.eventType,
+          source_module: doc.sourceModule,
+        });
+        results[index] = {
+          index,
+          status: "accepted",
+          idempotencyKey: doc.idempotencyKey,
+          eventId: doc.eventId,
+        };
+      }
+
+      const summary = {
+        total: events.length,
+        accepted: results.filter((r) => r.status === "accepted").length,
+        duplicate: results.filter((r) => r.status === "duplicate").length,
+        invalid: results.filter((r) => r.status === "invalid").length,
+      };
+
+      eventsDuplicate.inc({ ingestion: "batch" }, summary.duplicate);
+
+      logger.info("Batch ingested", summary);
+
+      // ==================== SUCCESS RESPONSE ====================
+      // 202 when anything was accepted, otherwise 200 with the per-item reasons
+      res.status(summary.accepted > 0 ? 202 : 200).json({
+        success: true,
+        summary,
+        results,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      logger.error("Batch event reception error", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to process event batch",
+      });
+    }
+  }
+
   /**
    * Retrieve paginated list of events with optional filtering
    * Supports pagination and event type filtering
@@ -122,7 +434,7 @@ export class EventController {
       // Get total count for pagination metadata
       const total = await Event.countDocuments(filter);
 
-      console.log(`Retrieved ${events.length} events (page ${page})`);
+      logger.debug("Retrieved events", { count: events.length });
 
       // ==================== SUCCESS RESPONSE ====================
       res.json({
@@ -136,7 +448,7 @@ export class EventController {
         },
       });
     } catch (error) {
-      console.error("Failed to fetch events:", error);
+      logger.error("Failed to fetch events", { error });
       res.status(500).json({
         success: false,
         error: "Failed to fetch events",
@@ -0,0 +1,373 @@
+// Import required models and services
+import EventType from "../models/EventType.js";
+import Subscription from "../models/Subscription.js";
+import { SchemaValidationService } from "../services/schemaValidationService.js";
+import { createLogger } from "../utils/logger.js";
+
+const logger = createLogger("eventTypeController");
+
+/**
+ * EventTypeController - Handles the event type registry
+ * Includes CRUD operations so new event types can be added at runtime
+ */
+export class EventTypeController {
+  /**
+   * Register a new event type
+   */
+  static async createEventType(req, res) {
+    try {
+      const { name, sourceModule, description, deprecated, orderingKey } =
+        req.body;
+
+      // ==================== INPUT VALIDATION ====================
+      if (!name || !sourceModule) {
+        return res.status(400).json({
+          success: false,
+          error: "Missing required fields: name, sourceModule",
+        });
+      }
+
+      // ==================== EVENT TYPE CREATION ====================
+      const eventType = new EventType({
+        name,
+        sourceModule,
+        description,
+        deprecated,
+        orderingKey,
+      });
+
+      await eventType.save();
+      logger.info("Event type registered", {
+        eventType: eventType.name,
+        sourceModule: eventType.sourceModule,
+      });
+
+      res.status(201).json({
+        success: true,
+        eventType,
+      });
+    } catch (error) {
+      logger.error("Event type creation error", { error });
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: "Event type already exists",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Failed to create event type",
+      });
+    }
+  }
+
+  /**
+   * Retrieve all registered event types
+   * Query params: sourceModule, includeDeprecated (default true)
+   */
+  static async getEventTypes(req, res) {
+    try {
+      const { sourceModule, includeDeprecated = "true" } = req.query;
+
+      // Build filter object based on query parameters
+      const filter = {};
+      if (sourceModule) {
+        filter.sourceModule = String(sourceModule).toUpperCase();
+      }
+      if (includeDeprecated === "false") {
+        filter.deprecated = false;
+      }
+
+      const eventTypes = await EventType.find(filter).sort({ name: 1 });
+
+      logger.debug("Retrieved event types", { count: eventTypes.length });
+
+      res.json({
+        success: true,
+        eventTypes,
+      });
+    } catch (error) {
+      logger.error("Failed to fetch event types", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch event types",
+      });
+    }
+  }
+
+  /**
+   * Retrieve a single event type by name
+   */
+  static async getEventType(req, res) {
+    try {
+      const eventType = await EventType.findOne({ name: req.params.name });
+
+      if (!eventType) {
+        return res.status(404).json({
+          success: false,
+          error: "Event type not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        eventType,
+      });
+    } catch (error) {
+      logger.error("Failed to fetch event type", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch event type",
+      });
+    }
+  }
+
+  /**
+   * Update an existing event type
+   * The name is immutable because events and subscriptions reference it
+   */
+  static async updateEventType(req, res) {
+    try {
+      const { sourceModule, description, deprecated, orderingKey } = req.body;
+
+      if (req.body.name && req.body.name !== req.params.name) {
+        return res.status(400).json({
+          success: false,
+          error: "Event type name cannot be changed",
+        });
+      }
+
+      const eventType = await EventType.findOne({ name: req.params.name });
+
+      if (!eventType) {
+        return res.status(404).json({
+          success: false,
+          error: "Event type not found",
+        });
+      }
+
+      // Apply only the fields that were provided
+      if (sourceModule !== undefined) eventType.sourceModule = sourceModule;
+      if (description !== undefined) eventType.description = description;
+      if (deprecated !== undefined) eventType.deprecated = deprecated;
+      if (orderingKey !== undefined) eventType.orderingKey = orderingKey;
+
+      await eventType.save();
+      logger.info("Event type updated", { eventType: eventType.name });
+
+      res.json({
+        success: true,
+        eventType,
+      });
+    } catch (error) {
+      logger.error("Failed to update event type", { error });
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Failed to update event type",
+      });
+    }
+  }
+
+  /**
+   * Delete an event type
+   * Refused while subscriptions still reference it - deprecate it instead
+   */
+  static async deleteEventType(req, res) {
+    try {
+      const { name } = req.params;
+
+      const subscriberCount = await Subscription.countDocuments({
+        eventTypes: name,
+      });
+
+      if (subscriberCount > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `Event type is used by ${subscriberCount} subscription(s); mark it as deprecated instead`,
+        });
+      }
+
+      const eventType = await EventType.findOneAndDelete({ name });
+
+      if (!eventType) {
+        return res.status(404).json({
+          success: false,
+          error: "Event type not found",
+        });
+      }
+
+      logger.info("Event type deleted", { eventType: name });
+
+      res.json({
+        success: true,
+        message: "Event type deleted successfully",
+      });
+    } catch (error) {
+      logger.error("Failed to delete event type", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to delete event type",
+      });
+    }
+  }
+
+  /**
+   * Register a new payload schema version for an event type
+   * Versions are immutable; the version defaults to latest + 1
+   */
+  static async addSchema(req, res) {
+    try {
+      const { schema, version } = req.body;
+
+      const eventType = await EventType.findOne({ name: req.params.name });
+
+      if (!eventType) {
+        return res.status(404).json({
+          success: false,
+          error: "Event type not found",
+        });
+      }
+
+      // ==================== INPUT VALIDATION ====================
+      const schemaError = SchemaValidationService.checkSchema(schema);
+      if (schemaError) {
+        return res.status(400).json({
+          success: false,
+          error: schemaError,
+        });
+      }
+
+      const latest = eventType.getSchema();
+      const nextVersion = version ?? (latest ? latest.version + 1 : 1);
+
+      if (!Number.isInteger(nextVersion) || nextVersion < 1) {
+        return res.status(400).json({
+          success: false,
+          error: "Schema version must be a positive integer",
+        });
+      }
+
+      if (latest && nextVersion <= latest.version) {
+        return res.status(409).json({
+          success: false,
+          error: `Schema version must be greater than ${latest.version}`,
+        });
+      }
+
+      // ==================== SCHEMA REGISTRATION ====================
+      eventType.schemas.push({
+        version: nextVersion,
+        definition: JSON.stringify(schema),
+      });
+      await eventType.save();
+
+      logger.info("Schema registered", {
+        eventType: eventType.name,
+        schemaVersion: nextVersion,
+      });
+
+      res.status(201).json({
+        success: true,
+        eventType: eventType.name,
+        version: nextVersion,
+        schema,
+      });
+    } catch (error) {
+      logger.error("Schema registration error", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to register schema",
+      });
+    }
+  }
+
+  /**
+   * List the schema versions of an event type
+   */
+  static async getSchemas(req, res) {
+    try {
+      const eventType = await EventType.findOne({ name: req.params.name });
+
+      if (!eventType) {
+        return res.status(404).json({
+          success: false,
+          error: "Event type not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        eventType: eventType.name,
+        schemas: eventType.schemas.map((entry) => ({
+          version: entry.version,
+          createdAt: entry.createdAt,
+          schema: JSON.parse(entry.definition),
+        })),
+      });
+    } catch (error) {
+      logger.error("Failed to fetch schemas", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch schemas",
+      });
+    }
+  }
+
+  /**
+   * Retrieve a single schema version (or "latest") as a raw JSON Schema
+   * Subscribers can feed the response straight into type generators
+   */
+  static async getSchema(req, res) {
+    try {
+      const { name, version } = req.params;
+
+      const eventType = await EventType.findOne({ name });
+
+      if (!eventType) {
+        return res.status(404).json({
+          success: false,
+          error: "Event type not found",
+        });
+      }
+
+      const entry = eventType.getSchema(
+        version === "latest" ? undefined : version
+      );
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: "Schema version not found",
+        });
+      }
+
+      res
+        .type("application/schema+json")
+        .set("X-Algohire-Schema-Version", entry.version.toString())
+        .send(entry.definition);
+    } catch (error) {
+      logger.error("Failed to fetch schema", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch schema",
+      });
+    }
+  }
+}
@@ -1,6 +1,30 @@
 // Import required models and services
+import mongoose from "mongoose";
 import Subscription from "../models/Subscription.js";
+import Event from "../models/Event.js";
 import { HMACService } from "../services/hmacService.js";
+import { EventTypeService } from "../services/eventTypeService.js";
+import { FilterService } from "../services/filterService.js";
+import { TransformService } from "../services/transformService.js";
+import { FailurePolicyService } from "../services/failurePolicyService.js";
+import { ResponseClassificationService } from "../services/responseClassificationService.js";
+import { RetryPolicyService } from "../services/retryPolicyService.js";
+import { createLogger } from "../utils/logger.js";
+
+const logger = createLogger("subscriptionController");
+
+// How long the previous secret stays valid after a rotation (seconds)
+// 0 is honored: the previous secret is revoked immediately
+const configuredOverlapSeconds = parseInt(
+  process.env.SECRET_ROTATION_OVERLAP_SECONDS,
+  10
+);
+const SECRET_ROTATION_OVERLAP_SECONDS = Number.isNaN(configuredOverlapSeconds)
+  ? 24 * 60 * 60
+  : configuredOverlapSeconds;
+
+// Upper bound for a requested overlap window (30 days)
+const SECRET_ROTATION_MAX_OVERLAP_SECONDS = 30 * 24 * 60 * 60;
 
 /**
  * SubscriptionController - Handles webhook subscription management
@@ -14,7 +38,26 @@ export class SubscriptionController {
   static async createSubscription(req, res) {
     try {
       // Extract subscription data from request body
-      const { name, description, webhookUrl, eventTypes } = req.body;
+      const {
+        name,
+        description,
+        webhookUrl,
+        eventTypes,
+        filter,
+        transform,
+        signatureScheme,
+        canonicalization,
+        ownerEmail,
+        notificationUrl,
+        failurePolicy,
+        responseClassification,
+        maxRetries,
+        retryPolicy,
+        deliveryOrder,
+        deliveryMode,
+        batch,
+        rateLimit,
+      } = req.body;
 
       // ==================== INPUT VALIDATION ====================
       if (!name || !webhookUrl || !eventTypes || !Array.isArray(eventTypes)) {
@@ -32,10 +75,69 @@ export class SubscriptionController {
         });
       }
 
+      // Every event type must exist in the registry
+      const unknownTypes = await EventTypeService.findUnknownTypes(eventTypes);
+      if (unknownTypes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown event types: ${unknownTypes.join(", ")}`,
+        });
+      }
+
+      // Optional payload filter must be a valid expression
+      if (filter) {
+        const filterErrors = FilterService.validate(filter);
+        if (filterErrors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid filter expression",
+            details: filterErrors,
+          });
+        }
+      }
+
+      // Optional transformation template must be valid
+      if (transform !== undefined && transform !== null) {
+        const transformErrors = TransformService.validate(transform);
+        if (transformErrors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid transformation template",
+            details: transformErrors,
+          });
+        }
+      }
+
+      // Optional response classification rules must parse
+      if (responseClassification !== undefined) {
+        const classificationErrors = ResponseClassificationService.validate(
+          responseClassification
+        );
+        if (classificationErrors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid response classification",
+            details: classificationErrors,
+          });
+        }
+      }
+
+      // Optional retry policy - durations may be given as "5m", "2h", ...
+      if (retryPolicy !== undefined) {
+        const retryPolicyErrors = RetryPolicyService.validate(retryPolicy);
+        if (retryPolicyErrors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid retry policy",
+            details: retryPolicyErrors,
+          });
+        }
+      }
+
       // ==================== SECRET GENERATION ====================
       // Generate unique HMAC secret for webhook signature verification
       const secret = HMACService.generateSecret();
-      console.log(`Generated HMAC secret for subscription: ${name}`);
+      logger.debug("Generated HMAC secret for subscription", { name });
 
       // ==================== SUBSCRIPTION CREATION ====================
       // Create new subscription document
@@ -44,12 +146,32 @@ export class SubscriptionController {
         description,
         webhookUrl,
         eventTypes,
+        filter: filter || null,
+        transform: transform ?? null,
+        signatureScheme,
+        canonicalization,
+        ownerEmail,
+        notificationUrl,
+        failurePolicy,
+        responseClassification,
+        maxRetries,
+        deliveryOrder,
+        deliveryMode,
+        batch,
+        rateLimit,
+        retryPolicy:
+          retryPolicy === undefined
+            ? undefined
+            : RetryPolicyService.normalize(retryPolicy),
         secret, // Store the secret for HMAC signing
       });
 
       // Save subscription to database
       await subscription.save();
-      console.log(`Subscription created: ${subscription._id} (${name})`);
+      logger.info("Subscription created", {
+        subscriptionId: subscription._id,
+        name,
+      });
 
       // ==================== SUCCESS RESPONSE ====================
       // Return 201 Created for successful resource creation
@@ -61,14 +183,33 @@ export class SubscriptionController {
           description: subscription.description,
           webhookUrl: subscription.webhookUrl,
           eventTypes: subscription.eventTypes,
+          filter: subscription.filter,
+          transform: subscription.transform,
+          signatureScheme: subscription.signatureScheme,
+          canonicalization: subscription.canonicalization,
+          ownerEmail: subscription.ownerEmail,
+          notificationUrl: subscription.notificationUrl,
+          failurePolicy: subscription.failurePolicy,
+          responseClassification: subscription.responseClassification,
+          maxRetries: subscription.maxRetries,
+          retryPolicy: subscription.retryPolicy,
+          deliveryOrder: subscription.deliveryOrder,
+          deliveryMode: subscription.deliveryMode,
+          batch: subscription.batch,
+          rateLimit: subscription.rateLimit,
           isActive: subscription.isActive,
-          secret, // Return secret only once - client should store it securely
+          // Return secret only once - client should store it securely.
+          // Standard Webhooks receivers expect the "whsec_" encoding.
+          secret:
+            subscription.signatureScheme === "standard-webhooks"
+              ? HMACService.toStandardSecret(secret)
+              : secret,
           createdAt: subscription.createdAt,
         },
         warning: "Store the secret securely - it will not be shown again",
       });
     } catch (error) {
-      console.error("Subscription creation error:", error);
+      logger.error("Subscription creation error", { error });
 
       // Handle validation errors
       if (error.name === "ValidationError") {
@@ -96,14 +237,14 @@ export class SubscriptionController {
         .sort({ createdAt: -1 })
         .select("-secret -__v"); // Exclude secret and version key
 
-      console.log(`Retrieved ${subscriptions.length} subscriptions`);
+      logger.debug("Retrieved subscriptions", { count: subscriptions.length });
 
       res.json({
         success: true,
         subscriptions,
       });
     } catch (error) {
-      console.error("Failed to fetch subscriptions:", error);
+      logger.error("Failed to fetch subscriptions", { error });
       res.status(500).json({
         success: false,
         error: "Failed to fetch subscriptions",
@@ -114,15 +255,123 @@ export class SubscriptionController {
   /**
    * Update an existing subscription
    * Allows partial updates of subscription properties
+   * A signatureScheme change returns the secret once, in the new scheme's
+   * encoding - the key is unchanged, but Standard Webhooks receivers expect
+   * it as "whsec_"
    */
   static async updateSubscription(req, res) {
     try {
       const { id } = req.params; // Subscription ID from URL parameter
       const updates = req.body; // Fields to update
 
+      // Secrets can only change through POST /:id/rotate-secret
+      delete updates.secret;
+      delete updates.previousSecret;
+      delete updates.previousSecretExpiresAt;
+      delete updates.secretRotatedAt;
+
+      // Failure-policy state is managed by the worker and the enable endpoint
+      delete updates.disabledReason;
+      delete updates.disabledAt;
+      delete updates.consecutiveFailures;
+
+      // Re-activating through an update clears the disable state
+      // (use POST /:id/enable to also replay the missed backlog)
+      if (updates.isActive === true) {
+        updates.disabledReason = null;
+        updates.disabledAt = null;
+        updates.consecutiveFailures = 0;
+      }
+
+      // Deactivating is recorded like a failure-policy disable (disabledAt,
+      // audit entry, owner notification), so that POST /:id/enable can
+      // replay the backlog - it is applied after the other updates
+      const disabling = updates.isActive === false;
+      if (disabling) {
+        delete updates.isActive;
+      }
+
+      // ==================== INPUT VALIDATION ====================
+      if (updates.eventTypes !== undefined) {
+        if (
+          !Array.isArray(updates.eventTypes) ||
+          updates.eventTypes.length === 0
+        ) {
+          return res.status(400).json({
+            success: false,
+            error: "At least one event type must be specified",
+          });
+        }
+
+        const unknownTypes = await EventTypeService.findUnknownTypes(
+          updates.eventTypes
+        );
+        if (unknownTypes.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: `Unknown event types: ${unknownTypes.join(", ")}`,
+          });
+        }
+      }
+
+      if (updates.filter) {
+        const filterErrors = FilterService.validate(updates.filter);
+        if (filterErrors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid filter expression",
+            details: filterErrors,
+          });
+        }
+      }
+
+      if (updates.transform !== undefined && updates.transform !== null) {
+        const transformErrors = TransformService.validate(updates.transform);
+        if (transformErrors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid transformation template",
+            details: transformErrors,
+          });
+        }
+      }
+
+      if (updates.responseClassification !== undefined) {
+        const classificationErrors = ResponseClassificationService.validate(
+          updates.responseClassification
+        );
+        if (classificationErrors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid response classification",
+            details: classificationErrors,
+          });
+        }
+      }
+
+      if (updates.retryPolicy !== undefined) {
+        const retryPolicyErrors = RetryPolicyService.validate(
+          updates.retryPolicy
+        );
+        if (retryPolicyErrors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid retry policy",
+            details: retryPolicyErrors,
+          });
+        }
+        updates.retryPolicy = RetryPolicyService.normalize(updates.retryPolicy);
+      }
+
+      // The secret is only needed when the scheme changes
+      const current =
+        updates.signatureScheme !== undefined
+          ? await Subscription.findById(id).select("+secret signatureScheme")
+          : null;
+
       // ==================== UPDATE OPERATION ====================
       // Find and update subscription, return updated document
-      const subscription = await Subscription.findByIdAndUpdate(
+      let subscription = await Subscription.findByIdAndUpdate(
         id,
         {
           ...updates,
@@ -142,14 +391,40 @@ export class SubscriptionController {
         });
       }
 
-      console.log(`Subscription updated: ${subscription._id}`);
+      if (
+        disabling &&
+        (await FailurePolicyService.disable(
+          subscription,
+          "manual",
+          req.apiKey?.name
+        ))
+      ) {
+        subscription = await Subscription.findById(id).select("-secret -__v");
+      }
+
+      logger.info("Subscription updated", { subscriptionId: subscription._id });
+
+      if (current && current.signatureScheme !== subscription.signatureScheme) {
+        return res.json({
+          success: true,
+          subscription: {
+            ...subscription.toJSON(),
+            // Return the secret only once, in the new scheme's encoding
+            secret:
+              subscription.signatureScheme === "standard-webhooks"
+                ? HMACService.toStandardSecret(current.secret)
+                : current.secret,
+          },
+          warning: "Store the secret securely - it will not be shown again",
+        });
+      }
 
       res.json({
         success: true,
         subscription,
       });
     } catch (error) {
-      console.error("Failed to update subscription:", error);
+      logger.error("Failed to update subscription", { error });
 
       if (error.name === "ValidationError") {
         return res.status(400).json({
@@ -183,18 +458,231 @@ export class SubscriptionController {
         });
       }
 
-      console.log(`Subscription deleted: ${id}`);
+      logger.info("Subscription deleted", { subscriptionId: id });
 
       res.json({
         success: true,
         message: "Subscription deleted successfully",
       });
     } catch (error) {
-      console.error("Failed to delete subscription:", error);
+      logger.error("Failed to delete subscription", { error });
       res.status(500).json({
         success: false,
         error: "Failed to delete subscription",
       });
     }
   }
+
+  /**
+   * Enable a subscription that was disabled (manually or by its failure policy)
+   * Body: { replayBacklog? } - also queue the events that arrived while it
+   * was disabled
+   */
+  static async enableSubscription(req, res) {
+    try {
+      const { id } = req.params;
+      const { replayBacklog = false } = req.body || {};
+
+      const subscription = mongoose.Types.ObjectId.isValid(id)
+        ? await Subscription.findById(id)
+        : null;
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          error: "Subscription not found",
+        });
+      }
+
+      if (subscription.isActive) {
+        return res.status(409).json({
+          success: false,
+          error: "Subscription is already active",
+        });
+      }
+
+      const backlog = await FailurePolicyService.enable(subscription, {
+        replayBacklog: replayBacklog === true,
+        actor: req.apiKey?.name,
+      });
+
+      res.json({
+        success: true,
+        subscription,
+        ...backlog,
+      });
+    } catch (error) {
+      logger.error("Failed to enable subscription", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to enable subscription",
+      });
+    }
+  }
+
+  /**
+   * Rotate a subscription's HMAC secret without downtime
+   * The current secret becomes the previous secret and keeps signing
+   * deliveries (alongside the new one) until the overlap window ends.
+   * Body: { overlapSeconds? } - 0 revokes the old secret immediately
+   */
+  static async rotateSecret(req, res) {
+    try {
+      const { id } = req.params;
+      const { overlapSeconds = SECRET_ROTATION_OVERLAP_SECONDS } =
+        req.body || {};
+
+      // ==================== INPUT VALIDATION ====================
+      if (
+        !Number.isInteger(overlapSeconds) ||
+        overlapSeconds < 0 ||
+        overlapSeconds > SECRET_ROTATION_MAX_OVERLAP_SECONDS
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: `overlapSeconds must be an integer between 0 and ${SECRET_ROTATION_MAX_OVERLAP_SECONDS}`,
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(404).json({
+          success: false,
+          error: "Subscription not found",
+        });
+      }
+
+      const subscription = await Subscription.findById(id).select(
+        "+secret +previousSecret"
+      );
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          error: "Subscription not found",
+        });
+      }
+
+      // ==================== ROTATION ====================
+      // A rotation during an open overlap window replaces the older secret
+      const now = new Date();
+      const secret = HMACService.generateSecret();
+
+      if (overlapSeconds > 0) {
+        subscription.previousSecret = subscription.secret;
+        subscription.previousSecretExpiresAt = new Date(
+          now.getTime() + overlapSeconds * 1000
+        );
+      } else {
+        subscription.previousSecret = undefined;
+        subscription.previousSecretExpiresAt = undefined;
+      }
+      subscription.secret = secret;
+      subscription.secretRotatedAt = now;
+
+      await subscription.save();
+      logger.info("Subscription secret rotated", {
+        subscriptionId: id,
+        overlapSeconds,
+      });
+
+      res.json({
+        success: true,
+        subscription: {
+          id: subscription._id,
+          name: subscription.name,
+          signatureScheme: subscription.signatureScheme,
+          // Return the new secret only once, in the scheme's encoding
+          secret:
+            subscription.signatureScheme === "standard-webhooks"
+              ? HMACService.toStandardSecret(secret)
+              : secret,
+          secretRotatedAt: subscription.secretRotatedAt,
+          previousSecretExpiresAt: subscription.previousSecretExpiresAt || null,
+        },
+        warning: "Store the secret securely - it will not be shown again",
+      });
+    } catch (error) {
+      logger.error("Failed to rotate subscription secret", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to rotate subscription secret",
+      });
+    }
+  }
+
+  /**
+   * Dry-run a transformation template against a stored event
+   * Uses the template from the body, or the saved template of subscriptionId
+   * Body: { eventId, transform?, subscriptionId? }
+   */
+  static async previewTransform(req, res) {
+    try {
+      const { eventId, subscriptionId } = req.body;
+      let { transform } = req.body;
+
+      // ==================== INPUT VALIDATION ====================
+      if (!eventId) {
+        return res.status(400).json({
+          success: false,
+          error: "Missing required field: eventId",
+        });
+      }
+
+      if (transform === undefined && subscriptionId) {
+        const subscription = mongoose.Types.ObjectId.isValid(subscriptionId)
+          ? await Subscription.findById(subscriptionId)
+          : null;
+        if (!subscription) {
+          return res.status(404).json({
+            success: false,
+            error: "Subscription not found",
+          });
+        }
+        transform = subscription.transform;
+      }
+
+      if (transform !== undefined && transform !== null) {
+        const transformErrors = TransformService.validate(transform);
+        if (transformErrors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid transformation template",
+            details: transformErrors,
+          });
+        }
+      }
+
+      // Accept either the public event ID or the internal ObjectId
+      const event = await Event.findOne(
+        mongoose.isValidObjectId(eventId)
+          ? { $or: [{ eventId }, { _id: eventId }] }
+          : { eventId }
+      );
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          error: "Event not found",
+        });
+      }
+
+      // ==================== RENDERING ====================
+      const body =
+        transform === undefined || transform === null
+          ? event.payload
+          : TransformService.render(transform, event);
+
+      res.json({
+        success: true,
+        eventId: event.eventId,
+        eventType: event.eventType,
+        transformed: transform !== undefined && transform !== null,
+        body,
+      });
+    } catch (error) {
+      logger.error("Failed to preview transformation", { error });
+      res.status(500).json({
+        success: false,
+        error: "Failed to preview transformation",
+      });
+    }
+  }
 }
@@ -0,0 +1,86 @@
+import { ApiKeyService } from "../services/apiKeyService.js";
+import { SessionService, SESSION_COOKIE } from "../services/sessionService.js";
+import { createLogger } from "../utils/logger.js";
+
+const logger = createLogger("auth");
+
+/**
+ * Extract the API key from the request
+ * Accepts "Authorization: Bearer <key>" or "X-Api-Key: <key>"
+ * @param {object} req - Express request
+ * @returns {string|undefined} Plaintext API key
+ */
+const extractApiKey = (req) => {
+  const authorization = req.get("Authorization");
+  if (authorization && authorization.startsWith("Bearer ")) {
+    return authorization.substring(7).trim();
+  }
+
+  return req.get("X-Api-Key");
+};
+
+/**
+ * Read a cookie from the request
+ * @param {object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|undefined} Cookie value
+ */
+export const getCookie = (req, name) => {
+  for (const pair of (req.get("Cookie") || "").split(";")) {
+    const separator = pair.indexOf("=");
+    if (separator > 0 && pair.substring(0, separator).trim() === name) {
+      return decodeURIComponent(pair.substring(separator + 1).trim());
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Resolve the caller's API key - from the request headers, or for the
+ * dashboard from its session cookie (see SessionService)
+ * @param {object} req - Express request
+ * @returns {Promise<object|null>} ApiKey document
+ */
+const authenticateRequest = (req) => {
+  const key = extractApiKey(req);
+  return key
+    ? ApiKeyService.authenticate(key)
+    : SessionService.resolve(getCookie(req, SESSION_COOKIE));
+};
+
+/**
+ * Authentication middleware factory
+ * Rejects requests without a valid API key or dashboard session (401) or
+ * without the scope (403)
+ * On success the key document is available as req.apiKey
+ * @param {string} scope - Scope required by the route, e.g. "events:write"
+ * @returns {Function} Express middleware
+ */
+export const requireScope = (scope) => async (req, res, next) => {
+  try {
+    const apiKey = await authenticateRequest(req);
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: "Missing or invalid API key",
+      });
+    }
+
+    if (!ApiKeyService.hasScope(apiKey, scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key is missing required scope: ${scope}`,
+      });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    logger.error("API key authentication error", { error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to authenticate request",
+    });
+  }
+};
@@ -0,0 +1,33 @@
+import { v4 as uuidv4 } from "uuid";
+import { createLogger, withLogContext } from "../utils/logger.js";
+
+const logger = createLogger("http");
+
+// Accepted X-Request-Id values - anything else is replaced by a new ID
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Request context middleware
+ * Takes the caller's X-Request-Id (or generates one), echoes it in the
+ * response and attaches it to every log line written while handling the
+ * request. Available to handlers as req.id.
+ */
+export const requestContext = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = REQUEST_ID_PATTERN.test(incoming || "") ? incoming : uuidv4();
+  res.set("X-Request-Id", req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on("finish", () => {
+    // "finish" fires outside the request's log context
+    logger.info("Request completed", {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+    });
+  });
+
+  withLogContext({ requestId: req.id }, next);
+};
@@ -0,0 +1,114 @@
+import mongoose from "mongoose";
+
+/**
+ * Scopes that can be granted to an API key
+ * A ":admin" scope also grants the ":read" scope of the same resource,
+ * and "*" grants everything
+ */
+export const API_KEY_SCOPES = [
+  "*",
+  "events:read",
+  "events:write",
+  "event-types:read",
+  "event-types:admin",
+  "subscriptions:read",
+  "subscriptions:admin",
+  "dashboard:read",
+  "dashboard:admin",
+  "dead-letters:read",
+  "dead-letters:admin",
+  "keys:admin",
+];
+
+/**
+ * ApiKey Schema - Credentials for producers, integrators and the dashboard
+ * Only a SHA-256 hash of the key is stored; the plaintext is shown once on creation
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    // Human-readable name, e.g. "jobs-service" or "admin dashboard"
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+
+    // First characters of the key, safe to display for identification
+    keyPrefix: {
+      type: String,
+      required: true,
+    },
+
+    // SHA-256 hash of the full key - used for lookup on every request
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false, // Never include in queries by default
+    },
+
+    // Permissions granted to the key
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: API_KEY_SCOPES,
+        },
+      ],
+      validate: {
+        validator: function (v) {
+          return v.length > 0;
+        },
+        message: "At least one scope must be granted",
+      },
+    },
+
+    // Optional source module binding - the key may only emit this module's events
+    sourceModule: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+
+    // Revoked keys are kept for auditing but no longer authenticate
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    revokedAt: {
+      type: Date,
+    },
+
+    // Optional expiry date
+    expiresAt: {
+      type: Date,
+    },
+
+    // Last successful authentication (updated at most once a minute)
+    lastUsedAt: {
+      type: Date,
+    },
+
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    toJSON: {
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        delete ret.keyHash; // Ensure the hash is never serialized
+        return ret;
+      },
+    },
+  }
+);
+
+export default mongoose.model("ApiKey", apiKeySchema);
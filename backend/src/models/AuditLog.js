@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+/**
+ * AuditLog Schema - Append-only record of administrative and automatic
+ * state changes (e.g. a subscription disabled by its failure policy)
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    // What happened, e.g. "subscription.disabled" or "subscription.enabled"
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    // Affected resource
+    entityType: {
+      type: String,
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      index: true,
+    },
+
+    // Who did it: "system" for automatic changes, otherwise the API key name
+    actor: {
+      type: String,
+      required: true,
+      default: "system",
+    },
+
+    // Action-specific context (reason, counters, replay results, ...)
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+  },
+  {
+    timestamps: false, // Entries are never updated
+    toJSON: {
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// History of a single resource, newest first
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+export default mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+
+/**
+ * Attempt history entry - a snapshot of one DeliveryLog at dead-letter time
+ */
+const attemptSchema = new mongoose.Schema(
+  {
+    deliveryLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryLog",
+    },
+    deliveryAttempt: Number,
+    status: String,
+    responseStatus: Number,
+    error: String,
+    attemptedAt: Date,
+  },
+  { _id: false }
+);
+
+/**
+ * DeadLetter Schema - Durable record of a delivery that exhausted its retries
+ * Kept until it is replayed successfully or purged, unlike BullMQ's failed set
+ */
+const deadLetterSchema = new mongoose.Schema(
+  {
+    // Reference to the Event that could not be delivered
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+      index: true,
+    },
+
+    // Reference to the Subscription that was being delivered to
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
+      required: true,
+      index: true,
+    },
+
+    // Denormalized for filtering and display, even after the event or
+    // subscription is deleted
+    eventType: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    subscriptionName: {
+      type: String,
+    },
+    webhookUrl: {
+      type: String,
+    },
+
+    // dead      - waiting for inspection or replay
+    // replaying - a replay is queued or in progress
+    // replayed  - a replay was delivered successfully
+    status: {
+      type: String,
+      enum: ["dead", "replaying", "replayed"],
+      default: "dead",
+      index: true,
+    },
+
+    // Outcome of the final attempt
+    finalError: {
+      type: String,
+      maxlength: 2000,
+    },
+    responseStatus: {
+      type: Number,
+    },
+    responseBody: {
+      type: String,
+      maxlength: 10000,
+    },
+
+    // Every delivery attempt for this event/subscription pair, oldest first
+    attempts: [attemptSchema],
+
+    // Replay bookkeeping
+    replayCount: {
+      type: Number,
+      default: 0,
+    },
+    lastReplayedAt: {
+      type: Date,
+    },
+    replayedAt: {
+      type: Date,
+    },
+
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false, // Using custom timestamps
+    toJSON: {
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// One open dead letter per event/subscription pair
+deadLetterSchema.index({ eventId: 1, subscriptionId: 1 }, { unique: true });
+
+/**
+ * Pre-save middleware to update the updatedAt timestamp
+ */
+deadLetterSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model("DeadLetter", deadLetterSchema);
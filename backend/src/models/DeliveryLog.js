@@ -6,7 +6,7 @@ import mongoose from "mongoose";
  */
 const deliveryLogSchema = new mongoose.Schema(
   {
-    // Reference to the Event that was delivered
+    // Reference to the Event that was delivered (the first event of a batch)
     eventId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Event",
@@ -32,7 +32,14 @@ const deliveryLogSchema = new mongoose.Schema(
     // Current status of the delivery attempt
     status: {
       type: String,
-      enum: ["pending", "success", "failed", "retrying"],
+      enum: [
+        "pending",
+        "success",
+        "failed",
+        "retrying",
+        "throttled", // Receiver answered 429/503 - retried, not a hard failure
+        "filtered",
+      ],
       default: "pending",
       index: true, // Index for filtering by status
     },
@@ -54,17 +61,63 @@ const deliveryLogSchema = new mongoose.Schema(
       maxlength: 2000,
     },
 
+    // Why the subscription's payload filter rejected the event (status "filtered")
+    filterReason: {
+      type: String,
+      maxlength: 2000,
+    },
+
     // Timestamp when delivery was successfully completed
     deliveredAt: {
       type: Date,
     },
 
-    // Next retry time for failed deliveries
+    // How the response was classified by the subscription's rules
+    classification: {
+      type: String,
+      enum: ["success", "retryable", "permanent"],
+    },
+
+    // Delay requested by the receiver's Retry-After header (ms)
+    retryAfterMs: {
+      type: Number,
+    },
+
+    // When the next attempt is due - the worker schedules the retry for
+    // this time and re-queues it if the retry job goes missing
     nextRetryAt: {
       type: Date,
       index: true, // Index for finding deliveries ready for retry
     },
 
+    // Batch ID and the events it contained, for batch deliveries
+    batchId: {
+      type: String,
+      index: true,
+    },
+    batchEventIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Event" }],
+      default: undefined,
+      index: true, // Index for finding the batches an event was part of
+    },
+
+    // Ordering key value of a FIFO delivery
+    orderingKey: {
+      type: String,
+    },
+
+    // When the first attempt of this delivery's retry chain ran - the retry
+    // policy's maxRetryDuration is measured from here
+    firstAttemptAt: {
+      type: Date,
+    },
+
+    // When the next attempt was taken up by the worker
+    retriedAt: {
+      type: Date,
+      default: null,
+    },
+
     // Flag indicating if HMAC signature was verified
     hmacVerified: {
       type: Boolean,
@@ -99,4 +152,28 @@ deliveryLogSchema.index({ status: 1, nextRetryAt: 1 });
 // Index for dashboard queries (status with timestamp)
 deliveryLogSchema.index({ status: 1, createdAt: -1 });
 
+/**
+ * Record the subscriptions whose payload filter rejected an event
+ * Upserts one "filtered" log per event and subscription, so processing the
+ * event again (event queue retries, outbox re-dispatches) adds no duplicates
+ * @param {object} eventId - Event document ID
+ * @param {object[]} filteredOut - { subscriptionId, reason } per subscription
+ * @returns {Promise<number>} Number of logs created
+ */
+deliveryLogSchema.statics.recordFiltered = async function (
+  eventId,
+  filteredOut
+) {
+  const result = await this.bulkWrite(
+    filteredOut.map(({ subscriptionId, reason }) => ({
+      updateOne: {
+        filter: { eventId, subscriptionId, status: "filtered" },
+        update: { $setOnInsert: { filterReason: reason.substring(0, 2000) } },
+        upsert: true,
+      },
+    }))
+  );
+  return result.upsertedCount;
+};
+
 export default mongoose.model("DeliveryLog", deliveryLogSchema);
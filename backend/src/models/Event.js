@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import { createLogger } from "../utils/logger.js";
+
+const logger = createLogger("Event");
 
 /**
  * Event Schema - Defines the structure for event documents in MongoDB
@@ -14,25 +17,20 @@ const eventSchema = new mongoose.Schema(
       index: true, // Create index for faster queries
     },
 
-    // Type of event - must be one of the predefined event types
+    // Type of event - validated against the EventType registry on ingestion
     eventType: {
       type: String,
       required: true,
-      enum: [
-        "job.created", // New job posting created
-        "candidate.applied", // Candidate applied for a job
-        "interview.scheduled", // Interview scheduled with candidate
-        "candidate.updated", // Candidate profile updated
-        "assessment.completed", // Candidate completed assessment
-      ],
+      trim: true,
       index: true, // Index for filtering events by type
     },
 
-    // Source module that generated the event
+    // Source module that generated the event (owner of the event type)
     sourceModule: {
       type: String,
       required: true,
-      enum: ["JOBS", "CANDIDATES", "INTERVIEWS", "ASSESSMENTS"],
+      trim: true,
+      uppercase: true,
     },
 
     // Event payload containing relevant data
@@ -42,6 +40,46 @@ const eventSchema = new mongoose.Schema(
       required: true,
     },
 
+    // Payload schema version the event was validated against (if any)
+    schemaVersion: {
+      type: Number,
+    },
+
+    // X-Request-Id of the ingestion request, for correlating worker logs
+    requestId: {
+      type: String,
+    },
+
+    // W3C trace context of the ingestion request ({ traceparent, tracestate })
+    // Lets deliveries queued later (FIFO, batches, replays) join the trace
+    traceContext: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+
+    // ==================== OUTBOX ====================
+    // "pending" until the process-event job is in the queue. The outbox relay
+    // queues pending events the ingestion request could not (see OutboxService)
+    // No default: ingestion sets it, and events stored before the outbox
+    // existed must not load as "pending" - they were dispatched long ago
+    dispatchStatus: {
+      type: String,
+      enum: ["pending", "dispatched"],
+    },
+
+    // When the process-event job was queued
+    dispatchedAt: {
+      type: Date,
+    },
+
+    // Failed relay attempts, and the error of the last one
+    dispatchAttempts: {
+      type: Number,
+      default: 0,
+    },
+    dispatchError: {
+      type: String,
+    },
+
     // Automatic timestamp when event is created
     createdAt: {
       type: Date,
@@ -77,11 +115,17 @@ const eventSchema = new mongoose.Schema(
 // Index for filtering by event type with date sorting
 eventSchema.index({ eventType: 1, createdAt: -1 });
 
+// Index for the outbox relay and dashboard: oldest undispatched events first
+eventSchema.index({ dispatchStatus: 1, createdAt: 1 });
+
 /**
  * Pre-save middleware (example - can be expanded)
  */
 eventSchema.pre("save", function (next) {
-  console.log(`Saving event: ${this.eventId} of type ${this.eventType}`);
+  logger.debug("Saving event", {
+    eventId: this.eventId,
+    eventType: this.eventType,
+  });
   next();
 });
 
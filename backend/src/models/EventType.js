@@ -0,0 +1,209 @@
+import mongoose from "mongoose";
+
+/**
+ * Schema version sub-document - one immutable JSON Schema per version
+ */
+const payloadSchemaVersionSchema = new mongoose.Schema(
+  {
+    // Monotonically increasing version number, starting at 1
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    // JSON Schema for the payload, stored serialized because keywords such as
+    // $ref and $defs are not safe MongoDB field names
+    definition: {
+      type: String,
+      required: true,
+    },
+
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * EventType Schema - Runtime registry of the event types the relay accepts
+ * Replaces the hardcoded enums so new events can be added without a redeploy
+ */
+const eventTypeSchema = new mongoose.Schema(
+  {
+    // Dotted event name, e.g. "candidate.applied" or "offer.extended"
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 100,
+      validate: {
+        validator: function (v) {
+          // At least two dot-separated segments of letters, digits and underscores
+          return /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/.test(v);
+        },
+        message: "Event type name must look like 'resource.action'",
+      },
+    },
+
+    // Source module that owns (and is allowed to emit) this event type
+    sourceModule: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      maxlength: 50,
+      validate: {
+        validator: function (v) {
+          return /^[A-Z][A-Z0-9_]*$/.test(v);
+        },
+        message: "Source module must be an uppercase identifier",
+      },
+      index: true, // Index for listing event types per module
+    },
+
+    // Optional human-readable description of when the event is emitted
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+
+    // Deprecated types are still accepted but should not be used by new subscribers
+    deprecated: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Path to the value that orders deliveries of this type for FIFO
+    // subscriptions, e.g. "payload.candidateId" (see OrderingService)
+    orderingKey: {
+      type: String,
+      trim: true,
+      default: null,
+      validate: {
+        validator: function (v) {
+          return !v || /^payload(\.[A-Za-z0-9_]+)+$/.test(v);
+        },
+        message:
+          "Ordering key must be a payload path like 'payload.candidateId'",
+      },
+    },
+
+    // Versioned JSON Schemas for the event payload (empty = no validation)
+    schemas: {
+      type: [payloadSchemaVersionSchema],
+      default: [],
+    },
+
+    // Automatic timestamps
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    // Schema options
+    timestamps: false, // Using custom timestamps
+    toJSON: {
+      transform: function (doc, ret) {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.__v;
+        // Schema bodies are served by the dedicated schema endpoints
+        ret.schemas = (ret.schemas || []).map(({ version, createdAt }) => ({
+          version,
+          createdAt,
+        }));
+        ret.latestSchemaVersion = ret.schemas.length
+          ? ret.schemas[ret.schemas.length - 1].version
+          : null;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Find a payload schema by version
+ * @param {number} [version] - Schema version; the latest version when omitted
+ * @returns {object|null} Schema version sub-document, or null if not found
+ */
+eventTypeSchema.methods.getSchema = function (version) {
+  if (this.schemas.length === 0) {
+    return null;
+  }
+
+  if (version === undefined || version === null) {
+    return this.schemas[this.schemas.length - 1];
+  }
+
+  return (
+    this.schemas.find((entry) => entry.version === Number(version)) || null
+  );
+};
+
+/**
+ * Event types registered on first startup so existing producers keep working
+ */
+const DEFAULT_EVENT_TYPES = [
+  {
+    name: "job.created",
+    sourceModule: "JOBS",
+    description: "New job posting created",
+  },
+  {
+    name: "candidate.applied",
+    sourceModule: "CANDIDATES",
+    description: "Candidate applied for a job",
+  },
+  {
+    name: "interview.scheduled",
+    sourceModule: "INTERVIEWS",
+    description: "Interview scheduled with candidate",
+  },
+  {
+    name: "candidate.updated",
+    sourceModule: "CANDIDATES",
+    description: "Candidate profile updated",
+  },
+  {
+    name: "assessment.completed",
+    sourceModule: "ASSESSMENTS",
+    description: "Candidate completed assessment",
+  },
+];
+
+/**
+ * Seed the registry with the default event types when it is empty
+ * @returns {Promise<number>} Number of event types inserted
+ */
+eventTypeSchema.statics.seedDefaults = async function () {
+  const count = await this.estimatedDocumentCount();
+  if (count > 0) {
+    return 0;
+  }
+
+  await this.insertMany(DEFAULT_EVENT_TYPES);
+  return DEFAULT_EVENT_TYPES.length;
+};
+
+/**
+ * Pre-save middleware to update the updatedAt timestamp
+ */
+eventTypeSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Create and export the EventType model
+export default mongoose.model("EventType", eventTypeSchema);
@@ -36,20 +36,29 @@ const subscriptionSchema = new mongoose.Schema(
     },
 
     // Array of event types this subscription is interested in
+    // Validated against the EventType registry by the controller
     eventTypes: [
       {
         type: String,
         required: true,
-        enum: [
-          "job.created",
-          "candidate.applied",
-          "interview.scheduled",
-          "candidate.updated",
-          "assessment.completed",
-        ],
+        trim: true,
       },
     ],
 
+    // Optional payload filter (see FilterService) - events that do not match
+    // are recorded as "filtered" instead of being delivered
+    filter: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    // Optional transformation template (see TransformService) - rendered by
+    // the webhook worker before signing; null delivers the payload verbatim
+    transform: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
     // HMAC secret for signing webhook payloads
     // This should NEVER be exposed in API responses (except during creation)
     secret: {
@@ -58,6 +67,42 @@ const subscriptionSchema = new mongoose.Schema(
       select: false, // Never include in queries by default
     },
 
+    // Secret replaced by the last rotation - still signed with until
+    // previousSecretExpiresAt so receivers can switch over without downtime
+    previousSecret: {
+      type: String,
+      select: false,
+    },
+
+    // End of the rotation overlap window; the previous secret is revoked after it
+    previousSecretExpiresAt: {
+      type: Date,
+      index: { sparse: true },
+    },
+
+    // When the secret was last rotated
+    secretRotatedAt: {
+      type: Date,
+    },
+
+    // Signing scheme used for deliveries:
+    //   legacy            - X-Algohire-Signature (hex HMAC of the body)
+    //   standard-webhooks - webhook-id/-timestamp/-signature headers, signed
+    //                       over "id.timestamp.body" for replay protection
+    signatureScheme: {
+      type: String,
+      enum: ["legacy", "standard-webhooks"],
+      default: "legacy",
+    },
+
+    // Body serialization: "none" sends JSON.stringify output, "jcs" sends
+    // RFC 8785 canonical JSON so receivers can verify re-serialized bodies
+    canonicalization: {
+      type: String,
+      enum: ["none", "jcs"],
+      default: "none",
+    },
+
     // Activation status - inactive subscriptions won't receive events
     isActive: {
       type: Boolean,
@@ -65,6 +110,83 @@ const subscriptionSchema = new mongoose.Schema(
       index: true, // Index for filtering active subscriptions
     },
 
+    // Why and when the failure policy disabled the subscription
+    // (cleared when it is enabled again)
+    disabledReason: {
+      type: String,
+      default: null,
+    },
+    disabledAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Owner contact - notified when the subscription is disabled
+    ownerEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: 254,
+    },
+    notificationUrl: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: function (v) {
+          return !v || /^https?:\/\/.+\..+/.test(v);
+        },
+        message: "Invalid notification URL format",
+      },
+    },
+
+    // Automatic disabling after sustained failures (see FailurePolicyService)
+    // Either rule may be left null to turn it off
+    failurePolicy: {
+      // Disable after this many failed attempts in a row
+      maxConsecutiveFailures: {
+        type: Number,
+        min: 1,
+        default: null,
+      },
+      // Disable when more than this percentage of attempts in the window failed
+      maxFailureRate: {
+        type: Number,
+        min: 1,
+        max: 100,
+        default: null,
+      },
+      failureRateWindowMinutes: {
+        type: Number,
+        min: 1,
+        max: 7 * 24 * 60,
+        default: 60,
+      },
+      // The failure rate is only judged once the window has this many attempts
+      minAttemptsInWindow: {
+        type: Number,
+        min: 1,
+        default: 20,
+      },
+    },
+
+    // Which response status codes count as success, retryable failure or
+    // permanent failure - rules are codes ("410"), classes ("4xx") or ranges
+    // ("400-409"); unset lists use the defaults (2xx success, 408/425/429/5xx
+    // retryable, other 4xx permanent). See ResponseClassificationService.
+    responseClassification: {
+      success: { type: [String], default: undefined },
+      retryable: { type: [String], default: undefined },
+      permanent: { type: [String], default: undefined },
+      // Disable the subscription when the endpoint answers 410 Gone
+      disableOnGone: { type: Boolean, default: false },
+    },
+
+    // Failed delivery attempts since the last success
+    consecutiveFailures: {
+      type: Number,
+      default: 0,
+    },
+
     // Maximum number of delivery retry attempts
     maxRetries: {
       type: Number,
@@ -73,6 +195,91 @@ const subscriptionSchema = new mongoose.Schema(
       max: 10,
     },
 
+    // "batch" buffers matching events and delivers them together in one
+    // request (see BatchService); "single" delivers each event on its own
+    deliveryMode: {
+      type: String,
+      enum: ["single", "batch"],
+      default: "single",
+    },
+    batch: {
+      // Flush once this many events are buffered
+      maxSize: {
+        type: Number,
+        min: 1,
+        max: 1000,
+        default: 100,
+      },
+      // Flush this long after the first buffered event at the latest (ms)
+      maxWaitMs: {
+        type: Number,
+        min: 100,
+        max: 5 * 60 * 1000,
+        default: 5000,
+      },
+    },
+
+    // "fifo" delivers events sharing an ordering key strictly in order
+    // (see OrderingService); "unordered" delivers them concurrently
+    deliveryOrder: {
+      type: String,
+      enum: ["unordered", "fifo"],
+      default: "unordered",
+    },
+
+    // Outbound limits, enforced across all workers (see RateLimitService)
+    // Deliveries over a limit are deferred; null turns a limit off
+    rateLimit: {
+      maxPerSecond: {
+        type: Number,
+        min: 1,
+        default: null,
+      },
+      maxConcurrent: {
+        type: Number,
+        min: 1,
+        default: null,
+      },
+    },
+
+    // When failed deliveries are retried (see RetryPolicyService)
+    // Durations are in milliseconds
+    retryPolicy: {
+      strategy: {
+        type: String,
+        enum: ["fixed", "linear", "exponential", "schedule"],
+        default: "exponential",
+      },
+      // Base delay for the fixed, linear and exponential curves
+      delay: {
+        type: Number,
+        min: 0,
+        default: 1000,
+      },
+      // Cap for the fixed, linear and exponential curves
+      maxDelay: {
+        type: Number,
+        min: 0,
+        default: 30000,
+      },
+      // Explicit delay per retry for the "schedule" strategy
+      schedule: {
+        type: [Number],
+        default: undefined,
+      },
+      jitter: {
+        type: String,
+        enum: ["none", "full", "equal"],
+        default: "none",
+      },
+      // Give up once a retry would run this long after the first attempt
+      maxRetryDuration: {
+        type: Number,
+        min: 0,
+        default: null,
+      },
+    },
+
     // HTTP request timeout in milliseconds
     timeout: {
       type: Number,
@@ -102,6 +309,7 @@ const subscriptionSchema = new mongoose.Schema(
         delete ret._id;
         delete ret.__v;
         delete ret.secret; // Ensure secret is never serialized
+        delete ret.previousSecret;
         return ret;
       },
     },
@@ -117,6 +325,37 @@ subscriptionSchema.index({ eventTypes: 1, isActive: 1 });
 // Index for webhook URL (useful for debugging and analytics)
 subscriptionSchema.index({ webhookUrl: 1 });
 
+/**
+ * Secrets deliveries are currently signed with, newest first
+ * Requires the document to be loaded with "+secret +previousSecret".
+ * A previous secret whose overlap window has ended is ignored even if the
+ * revocation sweep has not removed it yet.
+ * @returns {string[]} Active secrets
+ */
+subscriptionSchema.methods.getSigningSecrets = function () {
+  const secrets = [this.secret];
+  if (
+    this.previousSecret &&
+    this.previousSecretExpiresAt &&
+    this.previousSecretExpiresAt > new Date()
+  ) {
+    secrets.push(this.previousSecret);
+  }
+  return secrets;
+};
+
+/**
+ * Revoke previous secrets whose rotation overlap window has ended
+ * @returns {Promise<number>} Number of subscriptions updated
+ */
+subscriptionSchema.statics.revokeExpiredSecrets = async function () {
+  const result = await this.updateMany(
+    { previousSecretExpiresAt: { $lte: new Date() } },
+    { $unset: { previousSecret: "", previousSecretExpiresAt: "" } }
+  );
+  return result.modifiedCount;
+};
+
 /**
  * Pre-save middleware to update the updatedAt timestamp
  */
@@ -0,0 +1,29 @@
+import express from "express";
+import { ApiKeyController } from "../controllers/apiKeyController.js";
+import { requireScope } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Every key management route requires the keys:admin scope
+router.use(requireScope("keys:admin"));
+
+/**
+ * POST /api/api-keys
+ * Create a new API key (plaintext key is returned once)
+ * Body: { name, scopes[], sourceModule?, expiresAt? }
+ */
+router.post("/", ApiKeyController.createApiKey);
+
+/**
+ * GET /api/api-keys
+ * Retrieve all API keys (without hashes)
+ */
+router.get("/", ApiKeyController.getApiKeys);
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revoke an API key
+ */
+router.delete("/:id", ApiKeyController.revokeApiKey);
+
+export { router as apiKeyRoutes };
@@ -0,0 +1,30 @@
+import express from "express";
+import { AuthController } from "../controllers/authController.js";
+import { requireScope } from "../middleware/auth.js";
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/session
+ * Dashboard sign-in - exchanges an API key for an HttpOnly session cookie
+ * Body: { apiKey }
+ */
+router.post("/session", AuthController.createSession);
+
+/**
+ * GET /api/auth/session
+ * Current dashboard session (401 when signed out)
+ */
+router.get(
+  "/session",
+  requireScope("dashboard:read"),
+  AuthController.getSession
+);
+
+/**
+ * DELETE /api/auth/session
+ * Dashboard sign-out
+ */
+router.delete("/session", AuthController.deleteSession);
+
+export { router as authRoutes };
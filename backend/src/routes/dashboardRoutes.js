@@ -3,28 +3,58 @@ import express from "express";
 import DeliveryLog from "../models/DeliveryLog.js";
 import Event from "../models/Event.js";
 import Subscription from "../models/Subscription.js";
+import DeadLetter from "../models/DeadLetter.js";
+import { requireScope } from "../middleware/auth.js";
+import { CircuitBreakerService } from "../services/circuitBreakerService.js";
+import { RateLimitService } from "../services/rateLimitService.js";
+import { OutboxService } from "../services/outboxService.js";
+import { createLogger } from "../utils/logger.js";
+
+const logger = createLogger("dashboardRoutes");
 
 const router = express.Router();
 
+// Every dashboard route requires at least the dashboard:read scope
+router.use(requireScope("dashboard:read"));
+
+// Routes that change delivery state additionally require dashboard:admin
+const requireAdmin = requireScope("dashboard:admin");
+
 /**
  * GET /api/dashboard/stats
  * Returns overall system statistics for dashboard display
  */
 router.get("/stats", async (req, res) => {
   try {
-    console.log("Fetching dashboard statistics...");
-
     // Execute all count operations in parallel for better performance
     const [
       totalEvents,
       totalSubscriptions,
       successfulDeliveries,
       failedDeliveries,
+      filteredDeliveries,
+      throttledDeliveries,
+      permanentFailures,
+      deadLetters,
     ] = await Promise.all([
       Event.countDocuments(),
       Subscription.countDocuments({ isActive: true }), // Only count active subscriptions
-      DeliveryLog.countDocuments({ status: "success" }),
-      DeliveryLog.countDocuments({ status: "failed" }),
+      // Deliveries logged before response classification recorded any
+      // status below 500 as "success" - count those 4xx responses as failed
+      DeliveryLog.countDocuments({
+        status: "success",
+        responseStatus: { $not: { $gte: 400 } },
+      }),
+      DeliveryLog.countDocuments({
+        $or: [
+          { status: "failed" },
+          { status: "success", responseStatus: { $gte: 400 } },
+        ],
+      }),
+      DeliveryLog.countDocuments({ status: "filtered" }),
+      DeliveryLog.countDocuments({ status: "throttled" }),
+      DeliveryLog.countDocuments({ classification: "permanent" }),
+      DeadLetter.countDocuments({ status: "dead" }),
     ]);
 
     // Calculate additional metrics
@@ -34,9 +64,10 @@ router.get("/stats", async (req, res) => {
         ? ((successfulDeliveries / totalDeliveries) * 100).toFixed(2)
         : 0;
 
-    console.log(
-      `Dashboard stats: ${totalEvents} events, ${totalSubscriptions} subscriptions`
-    );
+    logger.debug("Dashboard statistics computed", {
+      totalEvents,
+      totalSubscriptions,
+    });
 
     res.json({
       success: true,
@@ -45,13 +76,17 @@ router.get("/stats", async (req, res) => {
         totalSubscriptions,
         successfulDeliveries,
         failedDeliveries,
+        filteredDeliveries,
+        throttledDeliveries,
+        permanentFailures,
+        deadLetters,
         successRate: parseFloat(successRate),
         totalDeliveries,
       },
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    console.error("Failed to fetch dashboard stats:", error);
+    logger.error("Failed to fetch dashboard stats", { error });
     res.status(500).json({
       success: false,
       error: "Failed to fetch dashboard statistics",
@@ -67,10 +102,6 @@ router.get("/recent-deliveries", async (req, res) => {
   try {
     const { limit = 10, page = 1 } = req.query;
 
-    console.log(
-      `Fetching recent deliveries (limit: ${limit}, page: ${page})...`
-    );
-
     // Convert query parameters to numbers
     const limitNum = parseInt(limit);
     const pageNum = parseInt(page);
@@ -88,7 +119,9 @@ router.get("/recent-deliveries", async (req, res) => {
     // Get total count for pagination info
     const total = await DeliveryLog.countDocuments();
 
-    console.log(`Retrieved ${recentDeliveries.length} recent deliveries`);
+    logger.debug("Retrieved recent deliveries", {
+      count: recentDeliveries.length,
+    });
 
     res.json({
       success: true,
@@ -101,7 +134,7 @@ router.get("/recent-deliveries", async (req, res) => {
       },
     });
   } catch (error) {
-    console.error("Failed to fetch recent deliveries:", error);
+    logger.error("Failed to fetch recent deliveries", { error });
     res.status(500).json({
       success: false,
       error: "Failed to fetch recent deliveries",
@@ -109,16 +142,128 @@ router.get("/recent-deliveries", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/dashboard/circuits
+ * Returns the state of every tracked endpoint circuit breaker
+ */
+router.get("/circuits", async (req, res) => {
+  try {
+    const circuits = await CircuitBreakerService.listCircuits();
+
+    // Attach subscription names to subscription-keyed circuits
+    const subscriptionIds = circuits
+      .filter((circuit) => circuit.key.startsWith("subscription:"))
+      .map((circuit) => circuit.key.substring("subscription:".length));
+    const subscriptions = await Subscription.find({
+      _id: { $in: subscriptionIds },
+    }).select("name webhookUrl");
+    const byId = new Map(
+      subscriptions.map((subscription) => [
+        subscription._id.toString(),
+        subscription,
+      ])
+    );
+
+    res.json({
+      success: true,
+      config: CircuitBreakerService.getConfig(),
+      circuits: circuits.map((circuit) => {
+        const subscription = byId.get(
+          circuit.key.substring("subscription:".length)
+        );
+        return subscription
+          ? {
+              ...circuit,
+              subscriptionName: subscription.name,
+              webhookUrl: subscription.webhookUrl,
+            }
+          : circuit;
+      }),
+    });
+  } catch (error) {
+    logger.error("Failed to fetch circuit breakers", { error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch circuit breakers",
+    });
+  }
+});
+
+/**
+ * GET /api/dashboard/queue
+ * Returns delivery queue job counts and per-subscription rate limiter state
+ * ("delayed" includes deliveries deferred by rate limits and open circuits)
+ */
+router.get("/queue", async (req, res) => {
+  try {
+    const { webhookQueue } = await import("../utils/queue.js");
+
+    const [counts, limited] = await Promise.all([
+      webhookQueue.getJobCounts(
+        "waiting",
+        "active",
+        "delayed",
+        "completed",
+        "failed"
+      ),
+      Subscription.find({
+        $or: [
+          { "rateLimit.maxPerSecond": { $ne: null } },
+          { "rateLimit.maxConcurrent": { $ne: null } },
+        ],
+      }).select("name rateLimit"),
+    ]);
+
+    res.json({
+      success: true,
+      counts,
+      rateLimits: await RateLimitService.getStats(limited),
+    });
+  } catch (error) {
+    logger.error("Failed to fetch queue metrics", { error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch queue metrics",
+    });
+  }
+});
+
+/**
+ * GET /api/dashboard/outbox
+ * Returns events stored but not yet queued for processing, oldest first.
+ * "stuck" counts those pending longer than OUTBOX_STUCK_AFTER_MS - the outbox
+ * relay in the event processor is not running or cannot reach the queue.
+ */
+router.get("/outbox", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const [stats, events] = await Promise.all([
+      OutboxService.getStats(),
+      OutboxService.listPending(limit),
+    ]);
+
+    res.json({
+      success: true,
+      ...stats,
+      events,
+    });
+  } catch (error) {
+    logger.error("Failed to fetch outbox state", { error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch outbox state",
+    });
+  }
+});
+
 /**
  * POST /api/dashboard/retry/:logId
  * Retry a failed webhook delivery
  */
-router.post("/retry/:logId", async (req, res) => {
+router.post("/retry/:logId", requireAdmin, async (req, res) => {
   try {
     const { logId } = req.params;
 
-    console.log(`Attempting to retry delivery: ${logId}`);
-
     // Find the delivery log with associated event and subscription
     const deliveryLog = await DeliveryLog.findById(logId)
       .populate("eventId")
@@ -158,6 +303,9 @@ router.post("/retry/:logId", async (req, res) => {
         subscriptionId: deliveryLog.subscriptionId._id,
         deliveryAttempt: deliveryLog.deliveryAttempt + 1,
         isRetry: true,
+        // A batch is retried as the same batch
+        batchId: deliveryLog.batchId,
+        eventIds: deliveryLog.batchEventIds,
       },
       {
         jobId: `retry-${deliveryLog.eventId.eventId}-${
@@ -166,7 +314,7 @@ router.post("/retry/:logId", async (req, res) => {
       }
     );
 
-    console.log(`Delivery retry queued: ${logId}`);
+    logger.info("Delivery retry queued", { deliveryId: logId });
 
     res.json({
       success: true,
@@ -174,7 +322,7 @@ router.post("/retry/:logId", async (req, res) => {
       deliveryAttempt: deliveryLog.deliveryAttempt + 1,
     });
   } catch (error) {
-    console.error(" Failed to retry delivery:", error);
+    logger.error("Failed to retry delivery", { error });
     res.status(500).json({
       success: false,
       error: "Failed to retry delivery",
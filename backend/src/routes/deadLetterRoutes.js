@@ -0,0 +1,70 @@
+import express from "express";
+import { DeadLetterController } from "../controllers/deadLetterController.js";
+import { requireScope } from "../middleware/auth.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/dead-letters
+ * List dead letters
+ * Query: subscriptionId, eventType, status, from, to, page, limit
+ */
+router.get(
+  "/",
+  requireScope("dead-letters:read"),
+  DeadLetterController.getDeadLetters
+);
+
+/**
+ * POST /api/dead-letters/replay
+ * Replay dead letters in bulk
+ * Body: { ids: [] } or { filter: { subscriptionId?, eventType?, from?, to? } }
+ */
+router.post(
+  "/replay",
+  requireScope("dead-letters:admin"),
+  DeadLetterController.replayDeadLetters
+);
+
+/**
+ * DELETE /api/dead-letters
+ * Purge dead letters matching a filter
+ * Query: subscriptionId, eventType, status, from, to - or all=true
+ */
+router.delete(
+  "/",
+  requireScope("dead-letters:admin"),
+  DeadLetterController.purgeDeadLetters
+);
+
+/**
+ * GET /api/dead-letters/:id
+ * Retrieve a dead letter with its attempt history
+ */
+router.get(
+  "/:id",
+  requireScope("dead-letters:read"),
+  DeadLetterController.getDeadLetter
+);
+
+/**
+ * POST /api/dead-letters/:id/replay
+ * Replay a single dead letter
+ */
+router.post(
+  "/:id/replay",
+  requireScope("dead-letters:admin"),
+  DeadLetterController.replayDeadLetter
+);
+
+/**
+ * DELETE /api/dead-letters/:id
+ * Purge a single dead letter
+ */
+router.delete(
+  "/:id",
+  requireScope("dead-letters:admin"),
+  DeadLetterController.purgeDeadLetter
+);
+
+export { router as deadLetterRoutes };
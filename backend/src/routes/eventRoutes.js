@@ -1,20 +1,32 @@
 import express from "express";
 import { EventController } from "../controllers/eventController.js";
+import { requireScope } from "../middleware/auth.js";
 
 const router = express.Router();
 
 /**
  * POST /api/events
  * Receive new events from system modules
- * Body: { eventType, sourceModule, payload, idempotencyKey }
+ * Body: { eventType, sourceModule, payload, idempotencyKey, schemaVersion? }
  */
-router.post("/", EventController.receiveEvent);
+router.post("/", requireScope("events:write"), EventController.receiveEvent);
+
+/**
+ * POST /api/events/batch
+ * Receive many events at once with a per-item result
+ * Body: { events: [{ eventType, sourceModule, payload, idempotencyKey, schemaVersion? }] }
+ */
+router.post(
+  "/batch",
+  requireScope("events:write"),
+  EventController.receiveBatch
+);
 
 /**
  * GET /api/events
  * Retrieve paginated list of events with optional filtering
  * Query params: page, limit, eventType
  */
-router.get("/", EventController.getEvents);
+router.get("/", requireScope("events:read"), EventController.getEvents);
 
 export { router as eventRoutes };
@@ -0,0 +1,91 @@
+import express from "express";
+import { EventTypeController } from "../controllers/eventTypeController.js";
+import { requireScope } from "../middleware/auth.js";
+
+const router = express.Router();
+
+/**
+ * POST /api/event-types
+ * Register a new event type
+ * Body: { name, sourceModule, description, deprecated }
+ */
+router.post(
+  "/",
+  requireScope("event-types:admin"),
+  EventTypeController.createEventType
+);
+
+/**
+ * GET /api/event-types
+ * Retrieve all registered event types
+ * Query params: sourceModule, includeDeprecated
+ */
+router.get(
+  "/",
+  requireScope("event-types:read"),
+  EventTypeController.getEventTypes
+);
+
+/**
+ * GET /api/event-types/:name
+ * Retrieve a single event type
+ */
+router.get(
+  "/:name",
+  requireScope("event-types:read"),
+  EventTypeController.getEventType
+);
+
+/**
+ * PUT /api/event-types/:name
+ * Update an event type (name is immutable)
+ * Body: { sourceModule, description, deprecated }
+ */
+router.put(
+  "/:name",
+  requireScope("event-types:admin"),
+  EventTypeController.updateEventType
+);
+
+/**
+ * DELETE /api/event-types/:name
+ * Delete an event type that no subscription references
+ */
+router.delete(
+  "/:name",
+  requireScope("event-types:admin"),
+  EventTypeController.deleteEventType
+);
+
+/**
+ * POST /api/event-types/:name/schemas
+ * Register a new payload JSON Schema version
+ * Body: { schema, version? }
+ */
+router.post(
+  "/:name/schemas",
+  requireScope("event-types:admin"),
+  EventTypeController.addSchema
+);
+
+/**
+ * GET /api/event-types/:name/schemas
+ * List all payload schema versions of an event type
+ */
+router.get(
+  "/:name/schemas",
+  requireScope("event-types:read"),
+  EventTypeController.getSchemas
+);
+
+/**
+ * GET /api/event-types/:name/schemas/:version
+ * Retrieve a raw JSON Schema by version number or "latest"
+ */
+router.get(
+  "/:name/schemas/:version",
+  requireScope("event-types:read"),
+  EventTypeController.getSchema
+);
+
+export { router as eventTypeRoutes };
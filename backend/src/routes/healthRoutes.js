@@ -0,0 +1,46 @@
+import express from "express";
+import { HealthService } from "../services/healthService.js";
+
+const router = express.Router();
+
+/**
+ * GET /health
+ * Basic health check - kept for existing load balancer configurations
+ */
+router.get("/", (req, res) => {
+  res.json({
+    status: "OK",
+    timestamp: new Date().toISOString(),
+    service: "Algohire Webhook Relay Server",
+  });
+});
+
+/**
+ * GET /health/live
+ * Liveness probe - the process is up and serving requests. Dependencies are
+ * not checked, so an outage does not get healthy servers restarted.
+ */
+router.get("/live", (req, res) => {
+  res.json({
+    status: "OK",
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * GET /health/ready
+ * Readiness probe - MongoDB connected, Redis answering PING and both BullMQ
+ * queues reachable. Responds 503 with the failing checks otherwise.
+ */
+router.get("/ready", async (req, res) => {
+  const { ready, checks } = await HealthService.checkReadiness();
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : "not_ready",
+    checks,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+export { router as healthRoutes };
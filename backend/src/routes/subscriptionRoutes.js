@@ -1,32 +1,83 @@
 import express from "express";
 import { SubscriptionController } from "../controllers/subscriptionController.js";
+import { requireScope } from "../middleware/auth.js";
 
 const router = express.Router();
 
 /**
  * POST /api/subscriptions
  * Create a new webhook subscription
- * Body: { name, description, webhookUrl, eventTypes[] }
+ * Body: { name, description, webhookUrl, eventTypes[], filter?, transform?, signatureScheme?,
+ *         canonicalization?, ownerEmail?, notificationUrl?, failurePolicy? }
  */
-router.post("/", SubscriptionController.createSubscription);
+router.post(
+  "/",
+  requireScope("subscriptions:admin"),
+  SubscriptionController.createSubscription
+);
 
 /**
  * GET /api/subscriptions
  * Retrieve all subscriptions (without secrets)
  */
-router.get("/", SubscriptionController.getSubscriptions);
+router.get(
+  "/",
+  requireScope("subscriptions:read"),
+  SubscriptionController.getSubscriptions
+);
+
+/**
+ * POST /api/subscriptions/preview-transform
+ * Render a transformation template against a stored event without saving it
+ * Body: { eventId, transform?, subscriptionId? }
+ */
+router.post(
+  "/preview-transform",
+  requireScope("subscriptions:admin"),
+  SubscriptionController.previewTransform
+);
 
 /**
  * PUT /api/subscriptions/:id
  * Update an existing subscription
- * Body: { name, description, webhookUrl, eventTypes[], isActive, etc. }
+ * Body: { name, description, webhookUrl, eventTypes[], filter, transform, isActive, etc. }
+ */
+router.put(
+  "/:id",
+  requireScope("subscriptions:admin"),
+  SubscriptionController.updateSubscription
+);
+
+/**
+ * POST /api/subscriptions/:id/enable
+ * Re-enable a disabled subscription, optionally replaying the missed backlog
+ * Body: { replayBacklog? }
+ */
+router.post(
+  "/:id/enable",
+  requireScope("subscriptions:admin"),
+  SubscriptionController.enableSubscription
+);
+
+/**
+ * POST /api/subscriptions/:id/rotate-secret
+ * Generate a new secret; the old one keeps signing until the overlap ends
+ * Body: { overlapSeconds? } (default SECRET_ROTATION_OVERLAP_SECONDS, 24h)
  */
-router.put("/:id", SubscriptionController.updateSubscription);
+router.post(
+  "/:id/rotate-secret",
+  requireScope("subscriptions:admin"),
+  SubscriptionController.rotateSecret
+);
 
 /**
  * DELETE /api/subscriptions/:id
  * Delete a subscription
  */
-router.delete("/:id", SubscriptionController.deleteSubscription);
+router.delete(
+  "/:id",
+  requireScope("subscriptions:admin"),
+  SubscriptionController.deleteSubscription
+);
 
 export { router as subscriptionRoutes };
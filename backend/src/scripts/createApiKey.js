@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { parseArgs } from "util";
+import ApiKey from "../models/ApiKey.js";
+import { ApiKeyService } from "../services/apiKeyService.js";
+
+/**
+ * Create API Key Script
+ * Bootstraps API keys from the command line - needed for the very first
+ * admin key, since the key management routes themselves require a key
+ *
+ * Usage:
+ *   npm run create-api-key -- --name admin --scopes "*"
+ *   npm run create-api-key -- --name jobs-service --scopes events:write --source-module JOBS
+ */
+
+// Load environment variables from .env file
+dotenv.config();
+
+const { values } = parseArgs({
+  options: {
+    name: { type: "string" },
+    scopes: { type: "string" },
+    "source-module": { type: "string" },
+  },
+});
+
+if (!values.name || !values.scopes) {
+  console.error(
+    'Usage: npm run create-api-key -- --name <name> --scopes "<scope,scope>" [--source-module <MODULE>]'
+  );
+  process.exit(1);
+}
+
+try {
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/algohire-webhooks"
+  );
+
+  const { key, keyPrefix, keyHash } = ApiKeyService.generateKey();
+
+  const apiKey = await ApiKey.create({
+    name: values.name,
+    keyPrefix,
+    keyHash,
+    scopes: values.scopes.split(",").map((scope) => scope.trim()),
+    sourceModule: values["source-module"],
+  });
+
+  console.log(`API key created: ${apiKey.name}`);
+  console.log(`   Scopes: ${apiKey.scopes.join(", ")}`);
+  if (apiKey.sourceModule) {
+    console.log(`   Source module: ${apiKey.sourceModule}`);
+  }
+  console.log(`   Key: ${key}`);
+  console.log("Store the API key securely - it will not be shown again");
+} catch (error) {
+  console.error("Failed to create API key:", error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
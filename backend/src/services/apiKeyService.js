@@ -0,0 +1,98 @@
+import crypto from "crypto";
+import ApiKey from "../models/ApiKey.js";
+import { createLogger } from "../utils/logger.js";
+
+const logger = createLogger("apiKeyService");
+
+// Only refresh lastUsedAt when it is older than this, to avoid a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * ApiKeyService - Generates, hashes and authenticates API keys
+ */
+export class ApiKeyService {
+  /**
+   * Generate a new random API key
+   * @returns {{key: string, keyPrefix: string, keyHash: string}} Plaintext key and its stored form
+   */
+  static generateKey() {
+    const key = `ahk_${crypto.randomBytes(24).toString("base64url")}`;
+
+    return {
+      key,
+      keyPrefix: key.substring(0, 12),
+      keyHash: this.hashKey(key),
+    };
+  }
+
+  /**
+   * Hash an API key for storage and lookup
+   * Keys are high-entropy random strings, so a fast hash is sufficient
+   * @param {string} key - Plaintext API key
+   * @returns {string} Hexadecimal SHA-256 hash
+   */
+  static hashKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+  }
+
+  /**
+   * Resolve a plaintext key to an active, unexpired ApiKey document
+   * @param {string} key - Plaintext API key from the request
+   * @returns {Promise<object|null>} ApiKey document, or null if the key is not valid
+   */
+  static async authenticate(key) {
+    if (!key) {
+      return null;
+    }
+
+    const apiKey = await this.findActive({ keyHash: this.hashKey(key) });
+    if (!apiKey) {
+      return null;
+    }
+
+    // Track usage without delaying the request
+    if (
+      !apiKey.lastUsedAt ||
+      Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS
+    ) {
+      ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(
+        (error) => logger.error("Failed to update API key usage", { error })
+      );
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Find an active, unexpired ApiKey document
+   * @param {string|object} query - Key document ID, or a filter
+   * @returns {Promise<object|null>} ApiKey document, or null if not usable
+   */
+  static async findActive(query) {
+    const filter = typeof query === "object" ? query : { _id: query };
+    const apiKey = await ApiKey.findOne({ ...filter, isActive: true });
+
+    if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+      return null;
+    }
+    return apiKey;
+  }
+
+  /**
+   * Check whether a key grants a scope
+   * "*" grants everything and "<resource>:admin" implies "<resource>:read"
+   * @param {object} apiKey - ApiKey document
+   * @param {string} scope - Required scope, e.g. "events:write"
+   * @returns {boolean} True if the scope is granted
+   */
+  static hasScope(apiKey, scope) {
+    const [resource, action] = scope.split(":");
+
+    return apiKey.scopes.some(
+      (granted) =>
+        granted === "*" ||
+        granted === scope ||
+        (action === "read" && granted === `${resource}:admin`)
+    );
+  }
+}
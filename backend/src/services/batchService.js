@@ -0,0 +1,196 @@
+import { v4 as uuidv4 } from "uuid";
+import redisClient from "../utils/redis.js";
+import { webhookQueue } from "../utils/queue.js";
+import { TransformService } from "./transformService.js";
+
+const KEY_PREFIX = "batch:";
+
+/**
+ * Appends an event to a buffer unless it is already in it
+ *   KEYS[1] - buffer list of event IDs
+ *   KEYS[2] - set of the buffered event IDs
+ *   ARGV[1] - event ID
+ * Returns the buffer length after the append, or 0 for an event already
+ * buffered (the event processor retried, or the outbox dispatched it twice)
+ */
+const ADD_SCRIPT = `
+if redis.call("SADD", KEYS[2], ARGV[1]) == 0 then
+  return 0
+end
+return redis.call("RPUSH", KEYS[1], ARGV[1])
+`;
+
+/**
+ * Takes up to ARGV[1] event IDs off the head of a buffer
+ *   KEYS[1], KEYS[2] - buffer list and set as above
+ *   ARGV[1]          - maximum number of events
+ * Returns { event IDs taken, events left in the buffer }
+ */
+const FLUSH_SCRIPT = `
+local maxSize = tonumber(ARGV[1])
+local eventIds = redis.call("LRANGE", KEYS[1], 0, maxSize - 1)
+redis.call("LTRIM", KEYS[1], maxSize, -1)
+for _, eventId in ipairs(eventIds) do
+  redis.call("SREM", KEYS[2], eventId)
+end
+return {eventIds, redis.call("LLEN", KEYS[1])}
+`;
+
+// Name of the queue job that turns a subscription's buffer into a batch
+export const BATCH_FLUSH_JOB = "webhook-batch-flush";
+
+/**
+ * BatchService - Buffers events for subscriptions with deliveryMode "batch"
+ * and delivers them as one signed POST per batch
+ *
+ * Matching events are appended to the Redis list "batch:<subscriptionId>",
+ * at most once while they are buffered (the set "batch:<subscriptionId>:ids"
+ * tracks the buffered IDs).
+ * The buffer is flushed when it reaches batch.maxSize events or when
+ * batch.maxWaitMs has passed since the first buffered event, whichever comes
+ * first. A flush takes up to maxSize events off the buffer and queues one
+ * delivery job carrying their IDs; that job is retried as a whole.
+ */
+export class BatchService {
+  /**
+   * Redis list buffering a subscription's events
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {string} Redis key
+   */
+  static getBufferKey(subscriptionId) {
+    return `${KEY_PREFIX}${subscriptionId}`;
+  }
+
+  /**
+   * Redis set of the event IDs in a subscription's buffer
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {string} Redis key
+   */
+  static getBufferIdsKey(subscriptionId) {
+    return `${KEY_PREFIX}${subscriptionId}:ids`;
+  }
+
+  /**
+   * Buffer an event for a batch subscription
+   * Safe to repeat: an event still in the buffer is not added again
+   * @param {object} event - Event document
+   * @param {object} subscription - Subscription document
+   * @returns {Promise<number>} Events in the buffer after adding this one,
+   *   or 0 if the event was already buffered
+   */
+  static async add(event, subscription) {
+    const subscriptionId = subscription._id.toString();
+    const { maxSize, maxWaitMs } = subscription.batch;
+
+    const length = await redisClient.eval(
+      ADD_SCRIPT,
+      2,
+      this.getBufferKey(subscriptionId),
+      this.getBufferIdsKey(subscriptionId),
+      event._id.toString()
+    );
+
+    // Already buffered - the flush that takes it is scheduled
+    if (length === 0) {
+      return 0;
+    }
+
+    if (length % maxSize === 0) {
+      // Full - flush now rather than waiting for the window
+      await this.scheduleFlush(subscriptionId, 0);
+    } else if (length === 1) {
+      // First event of a new window
+      await this.scheduleFlush(subscriptionId, maxWaitMs);
+    }
+
+    return length;
+  }
+
+  /**
+   * Queue a flush of a subscription's buffer
+   * @param {string} subscriptionId - Subscription ID
+   * @param {number} delay - Milliseconds until the flush
+   * @returns {Promise<void>}
+   */
+  static async scheduleFlush(subscriptionId, delay) {
+    await webhookQueue.add(
+      BATCH_FLUSH_JOB,
+      { subscriptionId },
+      {
+        jobId: `batch-flush-${subscriptionId}-${Date.now()}`,
+        delay,
+      }
+    );
+  }
+
+  /**
+   * Take up to maxSize events off a subscription's buffer and queue their
+   * delivery as one batch. Events left behind start a new window.
+   * @param {object} subscription - Subscription document
+   * @returns {Promise<{batchId: string|null, size: number}>}
+   */
+  static async flush(subscription) {
+    const subscriptionId = subscription._id.toString();
+    const { maxSize, maxWaitMs } = subscription.batch;
+
+    const [eventIds, remaining] = await redisClient.eval(
+      FLUSH_SCRIPT,
+      2,
+      this.getBufferKey(subscriptionId),
+      this.getBufferIdsKey(subscriptionId),
+      maxSize
+    );
+
+    if (remaining > 0) {
+      await this.scheduleFlush(
+        subscriptionId,
+        remaining >= maxSize ? 0 : maxWaitMs
+      );
+    }
+
+    // A window whose events were already taken by a size-triggered flush
+    if (eventIds.length === 0) {
+      return { batchId: null, size: 0 };
+    }
+
+    const batchId = `batch_${uuidv4()}`;
+    await webhookQueue.add(
+      "webhook-delivery",
+      {
+        subscriptionId,
+        batchId,
+        eventIds,
+        deliveryAttempt: 1,
+      },
+      { jobId: batchId }
+    );
+
+    return { batchId, size: eventIds.length };
+  }
+
+  /**
+   * Build the JSON body of a batch delivery
+   * Each event's data is its payload after the subscription's transform
+   * @param {string} batchId - Batch ID
+   * @param {object[]} events - Event documents, in buffer order
+   * @param {object} subscription - Subscription document
+   * @returns {object} Batch envelope
+   */
+  static buildEnvelope(batchId, events, subscription) {
+    return {
+      batchId,
+      count: events.length,
+      events: events.map((event) => ({
+        eventId: event.eventId,
+        eventType: event.eventType,
+        sourceModule: event.sourceModule,
+        timestamp: event.createdAt,
+        data:
+          subscription.transform === null ||
+          subscription.transform === undefined
+            ? event.payload
+            : TransformService.render(subscription.transform, event),
+      })),
+    };
+  }
+}
@@ -0,0 +1,227 @@
+import redisClient from "../utils/redis.js";
+import { createLogger } from "../utils/logger.js";
+
+const logger = createLogger("circuitBreakerService");
+
+// Consecutive failures that open a circuit
+const CIRCUIT_FAILURE_THRESHOLD =
+  parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5;
+
+// How long an open circuit holds deliveries before a probe is allowed (ms)
+const CIRCUIT_COOLDOWN_MS =
+  parseInt(process.env.CIRCUIT_COOLDOWN_MS, 10) || 30 * 1000;
+
+// Circuits are keyed per subscription, or per host ("host") so that several
+// subscriptions pointing at the same partner share one breaker
+const CIRCUIT_BREAKER_KEY =
+  process.env.CIRCUIT_BREAKER_KEY === "host" ? "host" : "subscription";
+
+// Idle circuit records expire so Redis does not collect dead endpoints
+const CIRCUIT_STATE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const KEY_PREFIX = "circuit:";
+const PROBE_SUFFIX = ":probe";
+
+/**
+ * CircuitBreakerService - Per-endpoint circuit breaker shared by all
+ * webhook worker processes through Redis
+ *
+ *   closed    - deliveries are attempted; consecutive failures are counted
+ *   open      - deliveries are held without being attempted until the
+ *               cooldown has passed
+ *   half-open - one probe delivery is attempted; any answer other than
+ *               throttling (success or a permanent 4xx) closes the
+ *               circuit, failure or throttling opens it again for another
+ *               cooldown
+ *
+ * State lives in a Redis hash "circuit:<key>"; the probe slot is a
+ * "circuit:<key>:probe" key taken with SET NX.
+ */
+export class CircuitBreakerService {
+  /**
+   * Circuit key for a subscription
+   * @param {object} subscription - Subscription document
+   * @returns {string} "subscription:<id>" or "host:<host>"
+   */
+  static getKey(subscription) {
+    return CIRCUIT_BREAKER_KEY === "host"
+      ? `host:${new URL(subscription.webhookUrl).host}`
+      : `subscription:${subscription._id}`;
+  }
+
+  /**
+   * Ask the breaker whether a delivery may be attempted now
+   * @param {object} subscription - Subscription document
+   * @returns {Promise<{key: string, allowed: boolean, probe?: boolean, retryAt?: number}>}
+   *   retryAt (epoch ms) tells a held delivery when to ask again
+   */
+  static async acquire(subscription) {
+    const key = this.getKey(subscription);
+    const circuit = await redisClient.hgetall(KEY_PREFIX + key);
+
+    if (!circuit.state || circuit.state === "closed") {
+      return { key, allowed: true, probe: false };
+    }
+
+    const cooldownEndsAt = Number(circuit.openedAt) + CIRCUIT_COOLDOWN_MS;
+    if (Date.now() < cooldownEndsAt) {
+      return { key, allowed: false, retryAt: cooldownEndsAt };
+    }
+
+    // Cooldown is over - let exactly one probe through. The slot expires
+    // after the request timeout in case the probing worker dies.
+    const probeTtl = subscription.timeout + 5000;
+    const acquired = await redisClient.set(
+      KEY_PREFIX + key + PROBE_SUFFIX,
+      Date.now().toString(),
+      "PX",
+      probeTtl,
+      "NX"
+    );
+    if (!acquired) {
+      return { key, allowed: false, retryAt: Date.now() + probeTtl };
+    }
+
+    await redisClient.hset(KEY_PREFIX + key, "state", "half-open");
+    logger.info("Circuit half-open - sending probe delivery", { circuit: key });
+    return { key, allowed: true, probe: true };
+  }
+
+  /**
+   * Record a successful delivery - closes the circuit and resets the count
+   * @param {string} key - Circuit key from acquire()
+   * @returns {Promise<void>}
+   */
+  static async recordSuccess(key) {
+    const state = await redisClient.hget(KEY_PREFIX + key, "state");
+    await redisClient.del(KEY_PREFIX + key, KEY_PREFIX + key + PROBE_SUFFIX);
+
+    if (state && state !== "closed") {
+      logger.info("Circuit closed", { circuit: key });
+    }
+  }
+
+  /**
+   * Record a throttling response (429/503 with the endpoint up)
+   * Does not count as a failure, but a throttled probe does not prove the
+   * endpoint can take traffic again either - the circuit opens for another
+   * cooldown instead of staying half-open with its probe slot used up
+   * @param {string} key - Circuit key from acquire()
+   * @returns {Promise<string>} Circuit state after the response
+   */
+  static async recordThrottled(key) {
+    const redisKey = KEY_PREFIX + key;
+    const state = await redisClient.hget(redisKey, "state");
+    if (state !== "half-open") {
+      return state || "closed";
+    }
+
+    await redisClient
+      .multi()
+      .hset(redisKey, "state", "open", "openedAt", Date.now().toString())
+      .pexpire(redisKey, CIRCUIT_STATE_TTL_MS)
+      .del(redisKey + PROBE_SUFFIX)
+      .exec();
+
+    logger.warn("Circuit probe throttled - reopening", { circuit: key });
+    return "open";
+  }
+
+  /**
+   * Record a failed delivery
+   * Opens the circuit once the threshold is reached, or again straight
+   * away if the failure was the half-open probe
+   * @param {string} key - Circuit key from acquire()
+   * @param {string} [error] - Failure description for the dashboard
+   * @returns {Promise<string>} Circuit state after the failure
+   */
+  static async recordFailure(key, error = "") {
+    const redisKey = KEY_PREFIX + key;
+    const [[, failures], [, state]] = await redisClient
+      .multi()
+      .hincrby(redisKey, "failures", 1)
+      .hget(redisKey, "state")
+      .hset(
+        redisKey,
+        "lastFailureAt",
+        Date.now().toString(),
+        "lastError",
+        error.substring(0, 500)
+      )
+      .pexpire(redisKey, CIRCUIT_STATE_TTL_MS)
+      .exec();
+
+    const shouldOpen =
+      state === "half-open" ||
+      (state !== "open" && failures >= CIRCUIT_FAILURE_THRESHOLD);
+
+    if (!shouldOpen) {
+      return state || "closed";
+    }
+
+    await redisClient
+      .multi()
+      .hset(redisKey, "state", "open", "openedAt", Date.now().toString())
+      .del(redisKey + PROBE_SUFFIX)
+      .exec();
+
+    logger.warn("Circuit opened", { circuit: key, failures });
+    return "open";
+  }
+
+  /**
+   * List every tracked circuit (for the dashboard)
+   * @returns {Promise<object[]>} { key, state, failures, openedAt?,
+   *   cooldownEndsAt?, lastFailureAt?, lastError? }
+   */
+  static async listCircuits() {
+    const keys = [];
+    let cursor = "0";
+    do {
+      const [next, batch] = await redisClient.scan(
+        cursor,
+        "MATCH",
+        `${KEY_PREFIX}*`,
+        "COUNT",
+        100
+      );
+      cursor = next;
+      keys.push(...batch.filter((key) => !key.endsWith(PROBE_SUFFIX)));
+    } while (cursor !== "0");
+
+    const circuits = await Promise.all(
+      keys.map(async (redisKey) => {
+        const circuit = await redisClient.hgetall(redisKey);
+        const openedAt = circuit.openedAt ? Number(circuit.openedAt) : null;
+
+        return {
+          key: redisKey.substring(KEY_PREFIX.length),
+          state: circuit.state || "closed",
+          failures: Number(circuit.failures) || 0,
+          openedAt: openedAt ? new Date(openedAt) : null,
+          cooldownEndsAt: openedAt
+            ? new Date(openedAt + CIRCUIT_COOLDOWN_MS)
+            : null,
+          lastFailureAt: circuit.lastFailureAt
+            ? new Date(Number(circuit.lastFailureAt))
+            : null,
+          lastError: circuit.lastError || null,
+        };
+      })
+    );
+
+    return circuits;
+  }
+
+  /**
+   * Breaker configuration, reported alongside the circuits
+   * @returns {{failureThreshold: number, cooldownMs: number, keyedBy: string}}
+   */
+  static getConfig() {
+    return {
+      failureThreshold: CIRCUIT_FAILURE_THRESHOLD,
+      cooldownMs: CIRCUIT_COOLDOWN_MS,
+      keyedBy: CIRCUIT_BREAKER_KEY,
+    };
+  }
+}
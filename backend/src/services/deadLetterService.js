@@ -0,0 +1,163 @@
+import DeadLetter from "../models/DeadLetter.js";
+import DeliveryLog from "../models/DeliveryLog.js";
+import Subscription from "../models/Subscription.js";
+import { webhookQueue } from "../utils/queue.js";
+
+// Attempts copied into a dead letter's history (oldest are dropped first)
+const MAX_ATTEMPT_HISTORY = 100;
+
+/**
+ * DeadLetterService - Moves exhausted deliveries into the dead-letter
+ * collection and queues them again on replay
+ */
+export class DeadLetterService {
+  /**
+   * Record a delivery that exhausted its retries, or that was dropped because
+   * its subscription was disabled
+   * A pair that was dead-lettered before (e.g. a failed replay) is updated
+   * in place and returns to the "dead" status
+   * @param {object} event - Event document
+   * @param {object} subscription - Subscription document
+   * @param {object} deliveryLog - DeliveryLog of the final attempt, or
+   *   { error } for a delivery that was not attempted
+   * @returns {Promise<object>} Dead letter document
+   */
+  static async record(event, subscription, deliveryLog) {
+    const logs = await DeliveryLog.find({
+      // Batched attempts are logged under the batch's first event
+      $or: [{ eventId: event._id }, { batchEventIds: event._id }],
+      subscriptionId: subscription._id,
+      status: { $ne: "filtered" },
+    })
+      .sort({ createdAt: -1 })
+      .limit(MAX_ATTEMPT_HISTORY);
+
+    const attempts = logs.reverse().map((log) => ({
+      deliveryLogId: log._id,
+      deliveryAttempt: log.deliveryAttempt,
+      status: log.status,
+      responseStatus: log.responseStatus,
+      error: log.error,
+      attemptedAt: log.createdAt,
+    }));
+
+    const now = new Date();
+    return DeadLetter.findOneAndUpdate(
+      { eventId: event._id, subscriptionId: subscription._id },
+      {
+        $set: {
+          eventType: event.eventType,
+          subscriptionName: subscription.name,
+          webhookUrl: subscription.webhookUrl,
+          status: "dead",
+          finalError: deliveryLog.error,
+          responseStatus: deliveryLog.responseStatus,
+          responseBody: deliveryLog.responseBody,
+          attempts,
+          updatedAt: now,
+        },
+        $setOnInsert: { createdAt: now },
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Mark a replayed dead letter as delivered
+   * @param {string} deadLetterId - Dead letter ID from the replay job
+   * @returns {Promise<void>}
+   */
+  static async markReplayed(deadLetterId) {
+    const now = new Date();
+    await DeadLetter.updateOne(
+      { _id: deadLetterId, status: "replaying" },
+      { $set: { status: "replayed", replayedAt: now, updatedAt: now } }
+    );
+  }
+
+  /**
+   * Return a replayed dead letter to "dead" after its replay failed without
+   * being dead-lettered again (e.g. its event or subscription was deleted),
+   * so it can be inspected, replayed or purged
+   * @param {string} deadLetterId - Dead letter ID from the replay job
+   * @param {string} error - Why the replay failed
+   * @returns {Promise<boolean>} True if the dead letter was still replaying
+   */
+  static async markReplayFailed(deadLetterId, error) {
+    const result = await DeadLetter.updateOne(
+      { _id: deadLetterId, status: "replaying" },
+      { $set: { status: "dead", finalError: error, updatedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Queue dead letters for another round of delivery attempts
+   * Each replay starts with a fresh retry budget. Dead letters whose
+   * subscription was deleted or deactivated are skipped.
+   * @param {object[]} deadLetters - Dead letter documents
+   * @returns {Promise<object[]>} Per-item results: { id, status, error? }
+   */
+  static async replay(deadLetters) {
+    const subscriptions = await Subscription.find({
+      _id: { $in: deadLetters.map((deadLetter) => deadLetter.subscriptionId) },
+      isActive: true,
+    }).select("_id");
+    const activeIds = new Set(
+      subscriptions.map((subscription) => subscription._id.toString())
+    );
+
+    const results = [];
+    const jobs = [];
+    for (const deadLetter of deadLetters) {
+      if (!activeIds.has(deadLetter.subscriptionId.toString())) {
+        results.push({
+          id: deadLetter._id,
+          status: "skipped",
+          error: "Subscription is deleted or inactive",
+        });
+        continue;
+      }
+
+      jobs.push({
+        name: "webhook-delivery",
+        data: {
+          eventId: deadLetter.eventId,
+          subscriptionId: deadLetter.subscriptionId,
+          deliveryAttempt: 1, // Fresh retry budget
+          deadLetterId: deadLetter._id,
+        },
+        opts: {
+          jobId: `replay-${deadLetter._id}-${Date.now()}`,
+        },
+      });
+      results.push({ id: deadLetter._id, status: "queued" });
+    }
+
+    if (jobs.length > 0) {
+      // Mark before queueing so a fast delivery can find the "replaying" status
+      const ids = jobs.map((job) => job.data.deadLetterId);
+      const now = new Date();
+      await DeadLetter.updateMany(
+        { _id: { $in: ids } },
+        {
+          $set: { status: "replaying", lastReplayedAt: now, updatedAt: now },
+          $inc: { replayCount: 1 },
+        }
+      );
+
+      try {
+        await webhookQueue.addBulk(jobs);
+      } catch (error) {
+        // Nothing was queued - keep the dead letters replayable
+        await DeadLetter.updateMany(
+          { _id: { $in: ids }, status: "replaying" },
+          { $set: { status: "dead", updatedAt: new Date() } }
+        );
+        throw error;
+      }
+    }
+
+    return results;
+  }
+}
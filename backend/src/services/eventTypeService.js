@@ -0,0 +1,62 @@
+import EventType from "../models/EventType.js";
+
+/**
+ * EventTypeService - Lookups against the runtime event type registry
+ * Used by event ingestion and subscription validation
+ */
+export class EventTypeService {
+  /**
+   * Check that an incoming event uses a registered type from its owning module
+   * @param {string} eventType - Event type name from the request
+   * @param {string} sourceModule - Source module that emitted the event
+   * @param {Map<string, object>} [registry] - Preloaded registry (see loadRegistry)
+   * @returns {Promise<{eventType?: object, error?: string}>} Registry entry or an error message
+   */
+  static async validateEvent(eventType, sourceModule, registry) {
+    const name = String(eventType).trim().toLowerCase();
+    const registered = registry
+      ? registry.get(name)
+      : await EventType.findOne({ name });
+
+    if (!registered) {
+      return { error: `Unknown event type: ${eventType}` };
+    }
+
+    if (registered.sourceModule !== String(sourceModule).trim().toUpperCase()) {
+      return {
+        error: `Event type ${registered.name} is owned by ${registered.sourceModule}, not ${sourceModule}`,
+      };
+    }
+
+    return { eventType: registered };
+  }
+
+  /**
+   * Load the registry entries for a set of event type names in one query
+   * Used by batch ingestion to avoid a lookup per event
+   * @param {string[]} names - Event type names
+   * @returns {Promise<Map<string, object>>} Registry entries keyed by name
+   */
+  static async loadRegistry(names) {
+    const normalized = [
+      ...new Set(names.map((name) => String(name).trim().toLowerCase())),
+    ];
+    const registered = await EventType.find({ name: { $in: normalized } });
+
+    return new Map(registered.map((type) => [type.name, type]));
+  }
+
+  /**
+   * Find event type names that are not present in the registry
+   * @param {string[]} names - Event type names to check
+   * @returns {Promise<string[]>} Names missing from the registry
+   */
+  static async findUnknownTypes(names) {
+    const registered = await EventType.find({ name: { $in: names } }).select(
+      "name"
+    );
+    const known = new Set(registered.map((type) => type.name));
+
+    return names.filter((name) => !known.has(name));
+  }
+}
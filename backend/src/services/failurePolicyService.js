@@ -0,0 +1,267 @@
+import Subscription from "../models/Subscription.js";
+import DeliveryLog from "../models/DeliveryLog.js";
+import Event from "../models/Event.js";
+import AuditLog from "../models/AuditLog.js";
+import { FilterService } from "./filterService.js";
+import { NotificationService } from "./notificationService.js";
+import { webhookQueue } from "../utils/queue.js";
+import { createLogger } from "../utils/logger.js";
+
+const logger = createLogger("failurePolicyService");
+
+// Upper bound on events re-queued by one backlog replay
+const BACKLOG_REPLAY_MAX =
+  parseInt(process.env.BACKLOG_REPLAY_MAX, 10) || 10000;
+
+// Jobs added to the queue per addBulk call during a backlog replay
+const BACKLOG_REPLAY_CHUNK = 500;
+
+/**
+ * FailurePolicyService - Disables subscriptions whose endpoint keeps failing
+ * and enables them again, optionally replaying the events they missed
+ *
+ * A subscription's failurePolicy has two independent rules:
+ *   maxConsecutiveFailures - failed attempts in a row
+ *   maxFailureRate         - % of failed attempts over failureRateWindowMinutes,
+ *                            judged once minAttemptsInWindow attempts were made
+ */
+export class FailurePolicyService {
+  /**
+   * Record a successful delivery attempt - resets the failure streak
+   * @param {object} subscription - Subscription document
+   * @returns {Promise<void>}
+   */
+  static async recordSuccess(subscription) {
+    if (subscription.consecutiveFailures > 0) {
+      await Subscription.updateOne(
+        { _id: subscription._id },
+        { $set: { consecutiveFailures: 0 } }
+      );
+    }
+  }
+
+  /**
+   * Record a failed delivery attempt and apply the failure policy
+   * @param {object} subscription - Subscription document
+   * @returns {Promise<string|null>} Disable reason, or null if still active
+   */
+  static async recordFailure(subscription) {
+    const updated = await Subscription.findByIdAndUpdate(
+      subscription._id,
+      { $inc: { consecutiveFailures: 1 } },
+      { new: true }
+    );
+    if (!updated || !updated.isActive) {
+      return null;
+    }
+
+    const reason = await this.evaluate(updated);
+    if (reason) {
+      await this.disable(updated, reason);
+    }
+    return reason;
+  }
+
+  /**
+   * Check a subscription against its failure policy
+   * @param {object} subscription - Subscription document
+   * @returns {Promise<string|null>} Why the policy was breached, or null
+   */
+  static async evaluate(subscription) {
+    const policy = subscription.failurePolicy || {};
+
+    if (
+      policy.maxConsecutiveFailures &&
+      subscription.consecutiveFailures >= policy.maxConsecutiveFailures
+    ) {
+      return `${subscription.consecutiveFailures} consecutive delivery failures (limit ${policy.maxConsecutiveFailures})`;
+    }
+
+    if (policy.maxFailureRate) {
+      const since = new Date(
+        Date.now() - policy.failureRateWindowMinutes * 60 * 1000
+      );
+      const [attempts, failures] = await Promise.all([
+        DeliveryLog.countDocuments({
+          subscriptionId: subscription._id,
+          createdAt: { $gte: since },
+          status: { $in: ["success", "failed", "retrying"] },
+        }),
+        DeliveryLog.countDocuments({
+          subscriptionId: subscription._id,
+          createdAt: { $gte: since },
+          status: { $in: ["failed", "retrying"] },
+        }),
+      ]);
+
+      const rate = attempts > 0 ? (failures / attempts) * 100 : 0;
+      if (
+        attempts >= policy.minAttemptsInWindow &&
+        rate > policy.maxFailureRate
+      ) {
+        return `${rate.toFixed(
+          1
+        )}% of ${attempts} delivery attempts failed in the last ${
+          policy.failureRateWindowMinutes
+        } minutes (limit ${policy.maxFailureRate}%)`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Disable a subscription, write an audit entry and notify its owner
+   * Does nothing if the subscription was already disabled (e.g. by another
+   * worker reacting to the same failures)
+   * @param {object} subscription - Subscription document
+   * @param {string} reason - Why the subscription is disabled
+   * @param {string} [actor="system"] - Who disabled it
+   * @returns {Promise<boolean>} True if this call disabled it
+   */
+  static async disable(subscription, reason, actor = "system") {
+    const disabledAt = new Date();
+    const result = await Subscription.updateOne(
+      { _id: subscription._id, isActive: true },
+      {
+        $set: {
+          isActive: false,
+          disabledReason: reason,
+          disabledAt,
+          updatedAt: disabledAt,
+        },
+      }
+    );
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    logger.warn("Subscription disabled", {
+      subscriptionId: subscription._id,
+      reason,
+    });
+
+    const channels = await NotificationService.notify(subscription, {
+      type: "subscription.disabled",
+      message: `Webhook subscription "${subscription.name}" (${subscription.webhookUrl}) was disabled: ${reason}`,
+      details: { reason, disabledAt },
+    });
+
+    await AuditLog.create({
+      action: "subscription.disabled",
+      entityType: "Subscription",
+      entityId: subscription._id,
+      actor,
+      details: {
+        reason,
+        consecutiveFailures: subscription.consecutiveFailures,
+        notifiedVia: channels,
+      },
+    });
+
+    return true;
+  }
+
+  /**
+   * Enable a subscription again
+   * @param {object} subscription - Subscription document
+   * @param {object} [options]
+   * @param {boolean} [options.replayBacklog=false] - Queue deliveries for the
+   *   events that arrived while the subscription was disabled
+   * @param {string} [options.actor="system"] - Who enabled it
+   * @returns {Promise<{backlogQueued: number, backlogTruncated: boolean}>}
+   */
+  static async enable(
+    subscription,
+    { replayBacklog = false, actor = "system" } = {}
+  ) {
+    const { disabledAt, disabledReason } = subscription;
+
+    subscription.isActive = true;
+    subscription.disabledReason = null;
+    subscription.disabledAt = null;
+    subscription.consecutiveFailures = 0;
+    await subscription.save();
+
+    let backlog = { backlogQueued: 0, backlogTruncated: false };
+    if (replayBacklog && disabledAt) {
+      backlog = await this.replayBacklog(subscription, disabledAt);
+    }
+
+    await AuditLog.create({
+      action: "subscription.enabled",
+      entityType: "Subscription",
+      entityId: subscription._id,
+      actor,
+      details: { previousReason: disabledReason, disabledAt, ...backlog },
+    });
+
+    logger.info("Subscription enabled", {
+      subscriptionId: subscription._id,
+      ...backlog,
+    });
+    return backlog;
+  }
+
+  /**
+   * Queue deliveries for events the subscription missed while disabled
+   * Applies the subscription's payload filter like the event processor does
+   * @param {object} subscription - Active subscription document
+   * @param {Date} since - When the subscription was disabled
+   * @returns {Promise<{backlogQueued: number, backlogTruncated: boolean}>}
+   */
+  static async replayBacklog(subscription, since) {
+    const cursor = Event.find({
+      eventType: { $in: subscription.eventTypes },
+      createdAt: { $gte: since },
+    })
+      .sort({ createdAt: 1 }) // Oldest first, preserving order
+      .limit(BACKLOG_REPLAY_MAX + 1)
+      .cursor();
+
+    let queued = 0;
+    let scanned = 0;
+    let jobs = [];
+    for await (const event of cursor) {
+      scanned += 1;
+      if (scanned > BACKLOG_REPLAY_MAX) {
+        break;
+      }
+
+      if (
+        subscription.filter &&
+        !FilterService.evaluate(subscription.filter, event).matched
+      ) {
+        continue;
+      }
+
+      jobs.push({
+        name: "webhook-delivery",
+        data: {
+          eventId: event._id,
+          subscriptionId: subscription._id,
+          deliveryAttempt: 1,
+        },
+        opts: {
+          jobId: `backlog-${event.eventId}-${subscription._id}-${Date.now()}`,
+        },
+      });
+
+      if (jobs.length >= BACKLOG_REPLAY_CHUNK) {
+        await webhookQueue.addBulk(jobs);
+        queued += jobs.length;
+        jobs = [];
+      }
+    }
+
+    if (jobs.length > 0) {
+      await webhookQueue.addBulk(jobs);
+      queued += jobs.length;
+    }
+
+    return {
+      backlogQueued: queued,
+      backlogTruncated: scanned > BACKLOG_REPLAY_MAX,
+    };
+  }
+}
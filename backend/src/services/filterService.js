@@ -0,0 +1,188 @@
+import { resolvePath } from "../utils/objectPath.js";
+
+/**
+ * Comparison operators supported in filter predicates
+ * Each receives the resolved value and the predicate's expected value
+ */
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  in: (actual, expected) => expected.includes(actual),
+  nin: (actual, expected) => !expected.includes(actual),
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected,
+  exists: (actual, expected) => (actual !== undefined) === expected,
+  contains: (actual, expected) =>
+    (Array.isArray(actual) || typeof actual === "string") &&
+    actual.includes(expected),
+  startsWith: (actual, expected) =>
+    typeof actual === "string" && actual.startsWith(expected),
+  endsWith: (actual, expected) =>
+    typeof actual === "string" && actual.endsWith(expected),
+};
+
+// Operators whose value must be an array
+const ARRAY_OPERATORS = ["in", "nin"];
+
+// Limits that keep a single filter cheap to evaluate
+const MAX_DEPTH = 10;
+const MAX_NODES = 100;
+
+// Top-level fields of the event a path may start with
+const PATH_ROOTS = ["eventType", "sourceModule", "payload"];
+
+/**
+ * FilterService - Evaluates subscription payload filters
+ *
+ * Filters are plain JSON, never evaluated as code:
+ *   { "path": "payload.jobId", "op": "in", "value": ["job_1", "job_2"] }
+ *   { "all": [ <filter>, ... ] }   - every sub-filter must match
+ *   { "any": [ <filter>, ... ] }   - at least one sub-filter must match
+ *   { "not": <filter> }            - sub-filter must not match
+ *
+ * Paths are dot-separated and start at eventType, sourceModule or payload;
+ * numeric segments index into arrays (e.g. "payload.tags.0").
+ */
+export class FilterService {
+  /**
+   * Validate a filter expression
+   * @param {object} filter - Filter expression
+   * @returns {string[]} Validation errors (empty if the filter is valid)
+   */
+  static validate(filter) {
+    const errors = [];
+    let nodes = 0;
+
+    const visit = (node, location, depth) => {
+      nodes += 1;
+
+      if (depth > MAX_DEPTH) {
+        errors.push(`${location}: filter is nested deeper than ${MAX_DEPTH}`);
+        return;
+      }
+
+      if (!node || typeof node !== "object" || Array.isArray(node)) {
+        errors.push(`${location}: filter must be an object`);
+        return;
+      }
+
+      if (node.all !== undefined || node.any !== undefined) {
+        const key = node.all !== undefined ? "all" : "any";
+        if (!Array.isArray(node[key]) || node[key].length === 0) {
+          errors.push(`${location}.${key}: must be a non-empty array`);
+          return;
+        }
+        node[key].forEach((child, i) =>
+          visit(child, `${location}.${key}[${i}]`, depth + 1)
+        );
+        return;
+      }
+
+      if (node.not !== undefined) {
+        visit(node.not, `${location}.not`, depth + 1);
+        return;
+      }
+
+      // Leaf predicate
+      if (typeof node.path !== "string" || !node.path) {
+        errors.push(`${location}.path: must be a non-empty string`);
+      } else if (!PATH_ROOTS.includes(node.path.split(".")[0])) {
+        errors.push(
+          `${location}.path: must start with one of ${PATH_ROOTS.join(", ")}`
+        );
+      }
+
+      if (!OPERATORS[node.op]) {
+        errors.push(
+          `${location}.op: must be one of ${Object.keys(OPERATORS).join(", ")}`
+        );
+      } else if (ARRAY_OPERATORS.includes(node.op)) {
+        if (!Array.isArray(node.value)) {
+          errors.push(`${location}.value: must be an array for "${node.op}"`);
+        }
+      } else if (node.op === "exists") {
+        if (typeof node.value !== "boolean") {
+          errors.push(`${location}.value: must be a boolean for "exists"`);
+        }
+      } else if (node.value === undefined) {
+        errors.push(`${location}.value: is required`);
+      }
+    };
+
+    visit(filter, "filter", 1);
+
+    if (nodes > MAX_NODES) {
+      errors.push(`filter: has more than ${MAX_NODES} nodes`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Evaluate a filter against an event
+   * @param {object} filter - Validated filter expression
+   * @param {object} event - Event document (eventType, sourceModule, payload)
+   * @returns {{matched: boolean, reason?: string}} Match result and, when not
+   *   matched, a description of the predicate that rejected the event
+   */
+  static evaluate(filter, event) {
+    const context = {
+      eventType: event.eventType,
+      sourceModule: event.sourceModule,
+      payload: event.payload,
+    };
+
+    return this.evaluateNode(filter, context);
+  }
+
+  /**
+   * Recursively evaluate one filter node
+   * @param {object} node - Filter node
+   * @param {object} context - Values paths are resolved against
+   * @returns {{matched: boolean, reason?: string}}
+   */
+  static evaluateNode(node, context) {
+    if (node.all) {
+      for (const child of node.all) {
+        const result = this.evaluateNode(child, context);
+        if (!result.matched) {
+          return result;
+        }
+      }
+      return { matched: true };
+    }
+
+    if (node.any) {
+      const reasons = [];
+      for (const child of node.any) {
+        const result = this.evaluateNode(child, context);
+        if (result.matched) {
+          return { matched: true };
+        }
+        reasons.push(result.reason);
+      }
+      return { matched: false, reason: `none matched: ${reasons.join("; ")}` };
+    }
+
+    if (node.not) {
+      const result = this.evaluateNode(node.not, context);
+      return result.matched
+        ? { matched: false, reason: `negated filter matched` }
+        : { matched: true };
+    }
+
+    const actual = resolvePath(context, node.path);
+    if (OPERATORS[node.op](actual, node.value)) {
+      return { matched: true };
+    }
+
+    return {
+      matched: false,
+      reason: `${node.path} ${node.op} ${JSON.stringify(node.value)} (actual: ${
+        actual === undefined ? "undefined" : JSON.stringify(actual)
+      })`,
+    };
+  }
+}
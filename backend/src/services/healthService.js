@@ -0,0 +1,110 @@
+import mongoose from "mongoose";
+import redisClient from "../utils/redis.js";
+import { webhookQueue, eventQueue } from "../utils/queue.js";
+
+// Longest a single dependency check may take before it counts as down
+const HEALTH_CHECK_TIMEOUT_MS =
+  parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000;
+
+/**
+ * Run a check, failing it if it takes longer than HEALTH_CHECK_TIMEOUT_MS
+ * Redis commands queue while the client reconnects, so without a timeout a
+ * probe would hang instead of reporting the outage
+ * @param {Promise} promise - Check in progress
+ * @returns {Promise<*>} Result of the check
+ */
+const withTimeout = (promise) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Timed out after ${HEALTH_CHECK_TIMEOUT_MS}ms`)),
+      HEALTH_CHECK_TIMEOUT_MS
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * HealthService - Dependency checks behind the readiness probes of the API
+ * server and the workers
+ *
+ * Each check returns { status: "up" | "down", ... } and never throws.
+ */
+export class HealthService {
+  /**
+   * MongoDB: mongoose connection state, plus a ping while connected
+   * @returns {Promise<object>} { status, state, latencyMs?, error? }
+   */
+  static async checkMongo() {
+    const state = mongoose.STATES[mongoose.connection.readyState];
+    if (state !== "connected") {
+      return { status: "down", state };
+    }
+
+    const startedAt = Date.now();
+    try {
+      await withTimeout(mongoose.connection.db.admin().ping());
+      return { status: "up", state, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      return { status: "down", state, error: error.message };
+    }
+  }
+
+  /**
+   * Redis: client status and PING latency
+   * @returns {Promise<object>} { status, state, latencyMs?, error? }
+   */
+  static async checkRedis() {
+    const state = redisClient.status;
+    const startedAt = Date.now();
+    try {
+      await withTimeout(redisClient.ping());
+      return { status: "up", state, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      return { status: "down", state, error: error.message };
+    }
+  }
+
+  /**
+   * BullMQ: both queues answer a job count query
+   * @returns {Promise<object>} { status, queues: { [name]: counts | error } }
+   */
+  static async checkQueues() {
+    const queues = {};
+    let status = "up";
+
+    await Promise.all(
+      [webhookQueue, eventQueue].map(async (queue) => {
+        try {
+          queues[queue.name] = await withTimeout(
+            queue.getJobCounts("waiting", "active", "delayed", "failed")
+          );
+        } catch (error) {
+          status = "down";
+          queues[queue.name] = { error: error.message };
+        }
+      })
+    );
+
+    return { status, queues };
+  }
+
+  /**
+   * Run the given checks in parallel
+   * @param {string[]} [checks] - Any of "mongo", "redis", "queues"
+   * @returns {Promise<{ready: boolean, checks: object}>}
+   */
+  static async checkReadiness(checks = ["mongo", "redis", "queues"]) {
+    const runners = {
+      mongo: () => this.checkMongo(),
+      redis: () => this.checkRedis(),
+      queues: () => this.checkQueues(),
+    };
+
+    const results = await Promise.all(checks.map((name) => runners[name]()));
+    return {
+      ready: results.every((result) => result.status === "up"),
+      checks: Object.fromEntries(checks.map((name, i) => [name, results[i]])),
+    };
+  }
+}
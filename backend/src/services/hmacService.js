@@ -1,4 +1,8 @@
 import crypto from "crypto";
+import { canonicalize } from "../utils/canonicalJson.js";
+import { createLogger } from "../utils/logger.js";
+
+const logger = createLogger("hmacService");
 
 /**
  * HMACService - Handles cryptographic signing and verification of webhook payloads
@@ -13,24 +17,35 @@ export class HMACService {
   static generateSecret() {
     // Generate 32 random bytes (256 bits) and convert to hex string
     const secret = crypto.randomBytes(32).toString("hex");
-    console.log(
-      `🔑 Generated new HMAC secret (length: ${secret.length} chars)`
-    );
+    logger.debug("Generated new HMAC secret", { length: secret.length });
     return secret;
   }
 
+  /**
+   * Serialize a payload into the exact request body that is signed and sent
+   * @param {*} payload - The data to be delivered
+   * @param {string} [canonicalization="none"] - "none" for plain JSON.stringify,
+   *   "jcs" for RFC 8785 canonical JSON (sorted keys at every level)
+   * @returns {string} Request body
+   */
+  static serializePayload(payload, canonicalization = "none") {
+    return canonicalization === "jcs"
+      ? canonicalize(payload)
+      : JSON.stringify(payload);
+  }
+
   /**
    * Generate HMAC signature for a payload using the provided secret
-   * @param {object} payload - The data to be signed
+   * Pass the exact request body string - objects are serialized with
+   * serializePayload(), which only matches the sent bytes if the caller
+   * sends that same serialization
+   * @param {string|object} payload - The request body (or data) to be signed
    * @param {string} secret - The HMAC secret key
    * @returns {string} Hexadecimal signature
    */
   static generateSignature(payload, secret) {
-    // Convert payload to consistent JSON string (sorted keys for consistency)
     const payloadString =
-      typeof payload === "string"
-        ? payload
-        : JSON.stringify(payload, Object.keys(payload).sort());
+      typeof payload === "string" ? payload : this.serializePayload(payload);
 
     // Create HMAC generator with SHA-256 algorithm
     const hmac = crypto.createHmac("sha256", secret);
@@ -65,29 +80,159 @@ export class HMACService {
 
       return isValid;
     } catch (error) {
-      console.error("HMAC signature verification error:", error);
+      logger.error("HMAC signature verification error", { error });
       return false;
     }
   }
 
+  /**
+   * Build the X-Algohire-Signature header value
+   * During a secret rotation the header carries one signature per active
+   * secret, comma-separated and newest first
+   * @param {string} body - Exact request body that is sent
+   * @param {string|string[]} secrets - Active secret(s)
+   * @returns {string} Header value
+   */
+  static generateSignatureHeader(body, secrets) {
+    return []
+      .concat(secrets)
+      .map((secret) => this.generateSignature(body, secret))
+      .join(",");
+  }
+
   /**
    * Validate webhook request by comparing signatures
    * @param {object} payload - The webhook payload
-   * @param {string} receivedSignature - Signature from X-Algohire-Signature header
+   * @param {string} receivedSignature - X-Algohire-Signature header value
+   *   (one or more comma-separated signatures)
    * @param {string} secret - The subscription's secret
    * @returns {boolean} True if webhook is authentic
    */
   static validateWebhook(payload, receivedSignature, secret) {
     if (!receivedSignature || !secret) {
-      console.warn("Missing signature or secret for webhook validation");
+      logger.warn("Missing signature or secret for webhook validation");
       return false;
     }
 
-    const isValid = this.verifySignature(payload, receivedSignature, secret);
-    console.log(
-      `🔍 Webhook signature validation: ${isValid ? "VALID" : "INVALID"}`
-    );
+    // Any one matching signature is enough - the receiver only knows one secret
+    const isValid = receivedSignature
+      .split(",")
+      .some((signature) =>
+        this.verifySignature(payload, signature.trim(), secret)
+      );
+    logger.debug("Webhook signature validation", { valid: isValid });
 
     return isValid;
   }
+
+  // ==================== STANDARD WEBHOOKS SCHEME ====================
+  // https://www.standardwebhooks.com - signs "<id>.<timestamp>.<body>" and
+  // sends webhook-id, webhook-timestamp and webhook-signature headers
+
+  /**
+   * Convert a subscription secret to the Standard Webhooks "whsec_" form
+   * The key bytes are the same; only the encoding differs (hex -> base64)
+   * @param {string} secret - Hexadecimal subscription secret
+   * @returns {string} Secret as "whsec_<base64>"
+   */
+  static toStandardSecret(secret) {
+    return `whsec_${Buffer.from(secret, "hex").toString("base64")}`;
+  }
+
+  /**
+   * Decode a secret in either form to its raw key bytes
+   * @param {string} secret - "whsec_<base64>" or hexadecimal secret
+   * @returns {Buffer} HMAC key
+   */
+  static decodeStandardSecret(secret) {
+    return secret.startsWith("whsec_")
+      ? Buffer.from(secret.substring(6), "base64")
+      : Buffer.from(secret, "hex");
+  }
+
+  /**
+   * Generate a Standard Webhooks signature
+   * @param {string} messageId - Value of the webhook-id header
+   * @param {number} timestamp - Unix timestamp in seconds (webhook-timestamp)
+   * @param {string} body - Exact request body that is sent
+   * @param {string} secret - Subscription secret (hex or whsec_ form)
+   * @returns {string} Signature in the "v1,<base64>" format
+   */
+  static generateStandardSignature(messageId, timestamp, body, secret) {
+    const signature = crypto
+      .createHmac("sha256", this.decodeStandardSecret(secret))
+      .update(`${messageId}.${timestamp}.${body}`)
+      .digest("base64");
+
+    return `v1,${signature}`;
+  }
+
+  /**
+   * Build the Standard Webhooks headers for a delivery
+   * @param {string} messageId - Stable message ID (the same across retries)
+   * @param {string} body - Exact request body that is sent
+   * @param {string|string[]} secrets - Active secret(s); during a rotation
+   *   each one adds a space-delimited signature
+   * @param {number} [timestamp] - Unix timestamp in seconds; defaults to now
+   * @returns {object} webhook-id, webhook-timestamp and webhook-signature headers
+   */
+  static generateStandardHeaders(
+    messageId,
+    body,
+    secrets,
+    timestamp = Math.floor(Date.now() / 1000)
+  ) {
+    return {
+      "webhook-id": messageId,
+      "webhook-timestamp": timestamp.toString(),
+      "webhook-signature": []
+        .concat(secrets)
+        .map((secret) =>
+          this.generateStandardSignature(messageId, timestamp, body, secret)
+        )
+        .join(" "),
+    };
+  }
+
+  /**
+   * Verify a Standard Webhooks request (receiver side)
+   * Rejects requests whose timestamp is outside the tolerance window, which
+   * stops captured requests from being replayed later
+   * @param {object} headers - Request headers (lower-case names)
+   * @param {string} body - Raw request body exactly as received
+   * @param {string} secret - Subscription secret (hex or whsec_ form)
+   * @param {number} [toleranceSeconds=300] - Allowed clock difference
+   * @returns {boolean} True if a signature matches and the timestamp is fresh
+   */
+  static verifyStandardWebhook(headers, body, secret, toleranceSeconds = 300) {
+    const messageId = headers["webhook-id"];
+    const timestamp = parseInt(headers["webhook-timestamp"], 10);
+    const signatureHeader = headers["webhook-signature"];
+
+    if (!messageId || !timestamp || !signatureHeader || !secret) {
+      logger.warn("Missing Standard Webhooks headers or secret");
+      return false;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (Math.abs(now - timestamp) > toleranceSeconds) {
+      logger.warn("Standard Webhooks timestamp outside tolerance window", {
+        timestamp,
+      });
+      return false;
+    }
+
+    const expected = Buffer.from(
+      this.generateStandardSignature(messageId, timestamp, body, secret)
+    );
+
+    // The header may carry several space-delimited signatures (e.g. during rotation)
+    return signatureHeader.split(" ").some((candidate) => {
+      const received = Buffer.from(candidate);
+      return (
+        received.length === expected.length &&
+        crypto.timingSafeEqual(received, expected)
+      );
+    });
+  }
 }
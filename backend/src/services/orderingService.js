@@ -0,0 +1,250 @@
+import redisClient from "../utils/redis.js";
+import { webhookQueue } from "../utils/queue.js";
+import { resolvePath } from "../utils/objectPath.js";
+import { injectTraceContext } from "../utils/tracing.js";
+import Event from "../models/Event.js";
+
+const KEY_PREFIX = "fifo:";
+
+// Counter numbering list entries, so every entry gets its own job ID
+const SEQUENCE_KEY = `${KEY_PREFIX}seq`;
+
+/**
+ * Appends an event to a key's list unless it is already in it
+ *   KEYS[1] - list of event IDs, head first
+ *   KEYS[2] - hash of the listed event IDs -> entry number
+ *   KEYS[3] - entry number counter
+ *   ARGV[1] - event ID
+ * Returns { isHead (0/1), entry number } - for an event already listed (the
+ * event processor retried, or the outbox dispatched the event twice), its
+ * existing entry
+ */
+const ENQUEUE_SCRIPT = `
+local entry = redis.call("HGET", KEYS[2], ARGV[1])
+if entry then
+  local head = redis.call("LINDEX", KEYS[1], 0)
+  return {head == ARGV[1] and 1 or 0, entry}
+end
+
+entry = redis.call("INCR", KEYS[3])
+redis.call("HSET", KEYS[2], ARGV[1], entry)
+local length = redis.call("RPUSH", KEYS[1], ARGV[1])
+return {length == 1 and 1 or 0, tostring(entry)}
+`;
+
+/**
+ * Removes a finished head and returns the next one
+ *   KEYS[1], KEYS[2] - list and entry hash as above
+ *   ARGV[1]          - event ID of the finished delivery
+ * Returns { next event ID, its entry number }, or nil if the event was not
+ * the head (already released) or the list is now empty
+ */
+const RELEASE_SCRIPT = `
+if redis.call("LINDEX", KEYS[1], 0) ~= ARGV[1] then
+  return nil
+end
+
+redis.call("LPOP", KEYS[1])
+redis.call("HDEL", KEYS[2], ARGV[1])
+
+local nextId = redis.call("LINDEX", KEYS[1], 0)
+if not nextId then
+  return nil
+end
+return {nextId, redis.call("HGET", KEYS[2], nextId) or "0"}
+`;
+
+/**
+ * Removes a key's list and returns the event IDs it held, head first
+ *   KEYS[1], KEYS[2] - list and entry hash as above
+ */
+const DRAIN_SCRIPT = `
+local eventIds = redis.call("LRANGE", KEYS[1], 0, -1)
+redis.call("DEL", KEYS[1], KEYS[2])
+return eventIds
+`;
+
+/**
+ * OrderingService - FIFO delivery per ordering key for subscriptions with
+ * deliveryOrder "fifo"
+ *
+ * An event type may declare an orderingKey path (e.g. "payload.candidateId").
+ * For a FIFO subscription, every event is appended to a Redis list
+ * "fifo:<subscriptionId>:<key value>" and only the head of the list has a
+ * delivery job. The head is released once its delivery has finished -
+ * delivered, or given up on and dead-lettered - and the next event in the
+ * list is queued. While the head is retrying, the rest of its key waits;
+ * other keys are not affected.
+ *
+ * An event is listed at most once per key: enqueueing it again (event
+ * processor retries, outbox re-dispatches) only re-queues its job if it is
+ * the head. Every list entry has its own number, and the head's job ID
+ * includes it, so a job BullMQ still retains for an earlier entry of the
+ * same event cannot swallow the new one.
+ *
+ * Events without a value at the ordering key are delivered unordered, as are
+ * dead-letter replays, backlog replays and manual retries.
+ */
+export class OrderingService {
+  /**
+   * Resolve an event's ordering key value
+   * @param {object|null} eventType - EventType registry entry
+   * @param {object} event - Event document
+   * @returns {string|null} Key value, or null if the event is unordered
+   */
+  static getOrderingKey(eventType, event) {
+    if (!eventType?.orderingKey) {
+      return null;
+    }
+
+    const value = resolvePath(
+      {
+        eventType: event.eventType,
+        sourceModule: event.sourceModule,
+        payload: event.payload,
+      },
+      eventType.orderingKey
+    );
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  }
+
+  /**
+   * Redis list holding a key's pending events for a subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} orderingKey - Key value
+   * @returns {string} Redis key
+   */
+  static getListKey(subscriptionId, orderingKey) {
+    return `${KEY_PREFIX}${subscriptionId}:${orderingKey}`;
+  }
+
+  /**
+   * Redis hash of the event IDs in a key's list
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} orderingKey - Key value
+   * @returns {string} Redis key
+   */
+  static getEntriesKey(subscriptionId, orderingKey) {
+    return `${this.getListKey(subscriptionId, orderingKey)}:entries`;
+  }
+
+  /**
+   * Delivery job for the head of a key's list
+   * The job ID is fixed per list entry so that queueing the same head twice
+   * adds one job
+   * @param {string} eventId - Event document ID
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} orderingKey - Key value
+   * @param {string} entry - Entry number from the list's entry hash
+   * @param {object} [traceContext] - Trace context the delivery continues
+   * @returns {object} Job for webhookQueue.add
+   */
+  static buildJob(eventId, subscriptionId, orderingKey, entry, traceContext) {
+    return {
+      name: "webhook-delivery",
+      data: {
+        eventId,
+        subscriptionId,
+        deliveryAttempt: 1,
+        orderingKey,
+        traceContext,
+      },
+      opts: {
+        jobId: `fifo-${eventId}-${subscriptionId}-${entry}`,
+      },
+    };
+  }
+
+  /**
+   * Append an event to its key's list, queueing it right away if the key
+   * has nothing in flight
+   * Safe to repeat: an event already in the list is not appended again, and
+   * if it is the head its job is queued again (a no-op while the job exists)
+   * @param {object} event - Event document
+   * @param {object} subscription - Subscription document
+   * @param {string} orderingKey - Key value
+   * @returns {Promise<boolean>} True if the delivery was queued, false if it
+   *   waits behind earlier events
+   */
+  static async enqueue(event, subscription, orderingKey) {
+    const eventId = event._id.toString();
+    const subscriptionId = subscription._id.toString();
+
+    const [isHead, entry] = await redisClient.eval(
+      ENQUEUE_SCRIPT,
+      3,
+      this.getListKey(subscriptionId, orderingKey),
+      this.getEntriesKey(subscriptionId, orderingKey),
+      SEQUENCE_KEY,
+      eventId
+    );
+    if (isHead !== 1) {
+      return false;
+    }
+
+    const job = this.buildJob(
+      eventId,
+      subscriptionId,
+      orderingKey,
+      entry,
+      injectTraceContext()
+    );
+    await webhookQueue.add(job.name, job.data, job.opts);
+    return true;
+  }
+
+  /**
+   * Release a finished head and queue the next event of its key
+   * Does nothing if the event is no longer the head (already released)
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} orderingKey - Key value
+   * @param {string} eventId - Event document ID of the finished delivery
+   * @returns {Promise<string|null>} Event ID queued next, if any
+   */
+  static async release(subscriptionId, orderingKey, eventId) {
+    const released = await redisClient.eval(
+      RELEASE_SCRIPT,
+      2,
+      this.getListKey(subscriptionId, orderingKey),
+      this.getEntriesKey(subscriptionId, orderingKey),
+      String(eventId)
+    );
+    if (!released) {
+      return null;
+    }
+
+    // The next delivery continues its own event's trace, not the trace of
+    // the delivery that released it
+    const [next, entry] = released;
+    const nextEvent = await Event.findById(next).select("traceContext");
+    const job = this.buildJob(
+      next,
+      String(subscriptionId),
+      orderingKey,
+      entry,
+      nextEvent?.traceContext
+    );
+    await webhookQueue.add(job.name, job.data, job.opts);
+    return next;
+  }
+
+  /**
+   * Remove a key's list in one step, e.g. once its subscription has been
+   * disabled - releasing the events one by one would queue a job for each
+   * @param {string} subscriptionId - Subscription ID
+   * @param {string} orderingKey - Key value
+   * @returns {Promise<string[]>} Event IDs that were listed, head first
+   */
+  static async drain(subscriptionId, orderingKey) {
+    return redisClient.eval(
+      DRAIN_SCRIPT,
+      2,
+      this.getListKey(subscriptionId, orderingKey),
+      this.getEntriesKey(subscriptionId, orderingKey)
+    );
+  }
+}
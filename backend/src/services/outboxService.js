@@ -0,0 +1,226 @@
+import Event from "../models/Event.js";
+import redisClient from "../utils/redis.js";
+import { eventQueue } from "../utils/queue.js";
+import { createLogger } from "../utils/logger.js";
+import { v4 as uuidv4 } from "uuid";
+
+const logger = createLogger("outboxService");
+
+// Pending events younger than this are left to the ingestion request, which
+// dispatches them itself right after saving
+const OUTBOX_RELAY_GRACE_MS =
+  parseInt(process.env.OUTBOX_RELAY_GRACE_MS, 10) || 10 * 1000;
+
+// Events dispatched per relay run
+const OUTBOX_RELAY_BATCH_SIZE =
+  parseInt(process.env.OUTBOX_RELAY_BATCH_SIZE, 10) || 500;
+
+// Pending events older than this are reported as stuck on the dashboard
+const OUTBOX_STUCK_AFTER_MS =
+  parseInt(process.env.OUTBOX_STUCK_AFTER_MS, 10) || 5 * 60 * 1000;
+
+// How long an ingestion request waits for the queue before leaving the event
+// to the relay. Redis commands queue while the client reconnects, so without
+// a deadline requests would hang for the whole outage
+const OUTBOX_DISPATCH_TIMEOUT_MS =
+  parseInt(process.env.OUTBOX_DISPATCH_TIMEOUT_MS, 10) || 2000;
+
+// Held by the process running a relay, so concurrent relays do not
+// dispatch the same events
+const RELAY_LOCK_KEY = "outbox:relay:lock";
+
+// A relay pass that outlives this loses the lock to the next one
+const RELAY_LOCK_TTL_MS = 60 * 1000;
+
+/**
+ * Releases the relay lock only if it still holds this pass's token - once
+ * the TTL has passed, the lock may belong to another process's relay
+ *   KEYS[1] - lock key
+ *   ARGV[1] - token the lock was taken with
+ */
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+/**
+ * OutboxService - Transactional outbox for event ingestion
+ *
+ * An event document is its own outbox record: it is stored with
+ * dispatchStatus "pending" and becomes "dispatched" once its process-event
+ * job is in the queue. Ingestion dispatches right after saving; if Redis is
+ * down or the process dies in between, the relay (run periodically by the
+ * event processor) queues the event later. Nothing is lost between the
+ * MongoDB write and the queue.
+ *
+ * Jobs use the event's document ID as job ID, so an event dispatched twice
+ * (e.g. by a request and the relay at once) is queued once while its job is
+ * still in the queue.
+ */
+export class OutboxService {
+  /**
+   * process-event job for an event
+   * @param {object} event - Event document
+   * @returns {object} Job for eventQueue.addBulk
+   */
+  static buildJob(event) {
+    return {
+      name: "process-event",
+      data: {
+        eventId: event._id, // MongoDB ObjectId for internal reference
+        eventType: event.eventType, // Event type for subscription matching
+        requestId: event.requestId, // Correlates the worker logs
+        traceContext: event.traceContext, // Continues the ingestion trace
+      },
+      opts: {
+        jobId: `event-${event._id}`,
+      },
+    };
+  }
+
+  /**
+   * Queue events for processing and mark them dispatched
+   * @param {object[]} events - Event documents
+   * @returns {Promise<void>}
+   * @throws If the events could not be queued - they stay pending
+   */
+  static async dispatch(events) {
+    if (events.length === 0) {
+      return;
+    }
+
+    await eventQueue.addBulk(events.map((event) => this.buildJob(event)));
+
+    await Event.updateMany(
+      { _id: { $in: events.map((event) => event._id) } },
+      {
+        $set: { dispatchStatus: "dispatched", dispatchedAt: new Date() },
+        $unset: { dispatchError: "" },
+      }
+    );
+  }
+
+  /**
+   * Dispatch right after ingestion, waiting at most OUTBOX_DISPATCH_TIMEOUT_MS
+   * A failure is logged, not thrown: the event is stored and the relay
+   * dispatches it once the queue is reachable again. A dispatch that times
+   * out keeps running and marks the events once Redis answers.
+   * @param {object[]} events - Newly stored event documents
+   * @returns {Promise<boolean>} True if the events were queued now
+   */
+  static async tryDispatch(events) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () =>
+          reject(new Error(`Timed out after ${OUTBOX_DISPATCH_TIMEOUT_MS}ms`)),
+        OUTBOX_DISPATCH_TIMEOUT_MS
+      );
+    });
+
+    try {
+      await Promise.race([this.dispatch(events), timeout]);
+      return true;
+    } catch (error) {
+      logger.warn("Dispatch failed - events left to the outbox relay", {
+        count: events.length,
+        error: error.message,
+      });
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Queue pending events older than the grace period, oldest first
+   * Skipped if another process is running a relay
+   * @returns {Promise<{dispatched: number, failed: number}|null>} Counts, or
+   *   null if the relay lock is held elsewhere
+   */
+  static async relay() {
+    const token = uuidv4();
+    const acquired = await redisClient.set(
+      RELAY_LOCK_KEY,
+      token,
+      "PX",
+      RELAY_LOCK_TTL_MS,
+      "NX"
+    );
+    if (!acquired) {
+      return null;
+    }
+
+    try {
+      const pending = await Event.find({
+        dispatchStatus: "pending",
+        createdAt: { $lt: new Date(Date.now() - OUTBOX_RELAY_GRACE_MS) },
+      })
+        .sort({ createdAt: 1 })
+        .limit(OUTBOX_RELAY_BATCH_SIZE)
+        .select("eventType requestId traceContext");
+
+      if (pending.length === 0) {
+        return { dispatched: 0, failed: 0 };
+      }
+
+      try {
+        await this.dispatch(pending);
+        return { dispatched: pending.length, failed: 0 };
+      } catch (error) {
+        await Event.updateMany(
+          { _id: { $in: pending.map((event) => event._id) } },
+          {
+            $inc: { dispatchAttempts: 1 },
+            $set: { dispatchError: error.message.substring(0, 1000) },
+          }
+        );
+        return { dispatched: 0, failed: pending.length };
+      }
+    } finally {
+      await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, RELAY_LOCK_KEY, token);
+    }
+  }
+
+  /**
+   * Oldest undispatched events, for the dashboard
+   * @param {number} [limit=20] - Maximum number of events
+   * @returns {Promise<object[]>} Events without their payloads
+   */
+  static async listPending(limit = 20) {
+    return Event.find({ dispatchStatus: "pending" })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .select(
+        "eventId eventType sourceModule createdAt dispatchAttempts dispatchError"
+      );
+  }
+
+  /**
+   * Outbox state for the dashboard
+   * @returns {Promise<{pending: number, stuck: number, oldestPendingAt: Date|null,
+   *   stuckAfterMs: number}>}
+   */
+  static async getStats() {
+    const stuckBefore = new Date(Date.now() - OUTBOX_STUCK_AFTER_MS);
+    const [pending, stuck, oldest] = await Promise.all([
+      Event.countDocuments({ dispatchStatus: "pending" }),
+      Event.countDocuments({
+        dispatchStatus: "pending",
+        createdAt: { $lt: stuckBefore },
+      }),
+      Event.findOne({ dispatchStatus: "pending" })
+        .sort({ createdAt: 1 })
+        .select("createdAt"),
+    ]);
+
+    return {
+      pending,
+      stuck,
+      oldestPendingAt: oldest?.createdAt || null,
+      stuckAfterMs: OUTBOX_STUCK_AFTER_MS,
+    };
+  }
+}
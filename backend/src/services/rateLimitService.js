@@ -0,0 +1,174 @@
+import redisClient from "../utils/redis.js";
+import { rateLimitDeferrals } from "../utils/metrics.js";
+
+const KEY_PREFIX = "ratelimit:";
+
+// Redis hash counting deferred deliveries per "<subscriptionId>:<reason>"
+const DEFERRED_STATS_KEY = `${KEY_PREFIX}deferred`;
+
+// How long a delivery waiting for an in-flight slot is held (plus jitter)
+const CONCURRENCY_DEFER_MS = 1000;
+
+/**
+ * Checks both limits and takes a slot in one round trip, so concurrent
+ * workers cannot overshoot.
+ *   KEYS[1] - rate counter for the current one-second window
+ *   KEYS[2] - sorted set of in-flight slots (score = slot expiry)
+ *   ARGV    - now, maxPerSecond (0 = off), maxConcurrent (0 = off),
+ *             slotId, slotTtlMs
+ * Returns { allowed (0/1), reason, requests in window }
+ */
+const ACQUIRE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local maxPerSecond = tonumber(ARGV[2])
+local maxConcurrent = tonumber(ARGV[3])
+
+if maxConcurrent > 0 then
+  redis.call("ZREMRANGEBYSCORE", KEYS[2], "-inf", now)
+  if redis.call("ZCARD", KEYS[2]) >= maxConcurrent then
+    return {0, "concurrency", 0}
+  end
+end
+
+local count = 0
+if maxPerSecond > 0 then
+  count = redis.call("INCR", KEYS[1])
+  if count == 1 then
+    redis.call("PEXPIRE", KEYS[1], 2000)
+  end
+  if count > maxPerSecond then
+    return {0, "rate", count}
+  end
+end
+
+if maxConcurrent > 0 then
+  redis.call("ZADD", KEYS[2], now + tonumber(ARGV[5]), ARGV[4])
+  redis.call("PEXPIRE", KEYS[2], tonumber(ARGV[5]))
+end
+
+return {1, "", count}
+`;
+
+/**
+ * RateLimitService - Outbound limits per subscription, shared by all
+ * webhook worker processes through Redis
+ *
+ *   rateLimit.maxPerSecond  - requests started per one-second window
+ *   rateLimit.maxConcurrent - deliveries in flight at the same time
+ *
+ * A delivery over either limit is deferred, not failed: the worker holds
+ * the job until the returned retryAt without using up a retry attempt.
+ * Deferrals past the rate limit are spread over the following windows in
+ * the order they were turned away, so a burst drains at the configured
+ * rate instead of retrying all at once.
+ */
+export class RateLimitService {
+  /**
+   * Ask for permission to start a delivery
+   * @param {object} subscription - Subscription document
+   * @param {string} slotId - Unique ID for the in-flight slot (e.g. job ID)
+   * @returns {Promise<{allowed: boolean, reason?: string, retryAt?: number}>}
+   *   reason is "rate" or "concurrency"; retryAt is epoch ms
+   */
+  static async acquire(subscription, slotId) {
+    const { maxPerSecond, maxConcurrent } = subscription.rateLimit || {};
+    if (!maxPerSecond && !maxConcurrent) {
+      return { allowed: true };
+    }
+
+    const subscriptionId = subscription._id.toString();
+    const now = Date.now();
+    const window = Math.floor(now / 1000);
+
+    const [allowed, reason, count] = await redisClient.eval(
+      ACQUIRE_SCRIPT,
+      2,
+      `${KEY_PREFIX}${subscriptionId}:${window}`,
+      `${KEY_PREFIX}${subscriptionId}:inflight`,
+      now,
+      maxPerSecond || 0,
+      maxConcurrent || 0,
+      slotId,
+      subscription.timeout + 5000 // Slot outlives the request in case the worker dies
+    );
+
+    if (allowed === 1) {
+      return { allowed: true };
+    }
+
+    await redisClient.hincrby(
+      DEFERRED_STATS_KEY,
+      `${subscriptionId}:${reason}`,
+      1
+    );
+    rateLimitDeferrals.inc({ subscription_id: subscriptionId, reason });
+
+    const jitter = Math.floor(Math.random() * 1000);
+    if (reason === "rate") {
+      // The n-th delivery turned away in this window waits n / maxPerSecond
+      // windows, so the backlog is released at the configured rate
+      const windowsAhead = Math.floor(
+        (count - maxPerSecond - 1) / maxPerSecond
+      );
+      return {
+        allowed: false,
+        reason,
+        retryAt: (window + 1 + windowsAhead) * 1000 + jitter,
+      };
+    }
+
+    return {
+      allowed: false,
+      reason,
+      retryAt: now + CONCURRENCY_DEFER_MS + jitter,
+    };
+  }
+
+  /**
+   * Free an in-flight slot taken by acquire()
+   * Safe to call more than once, or when no slot was taken
+   * @param {object} subscription - Subscription document
+   * @param {string} slotId - Slot ID passed to acquire()
+   * @returns {Promise<void>}
+   */
+  static async release(subscription, slotId) {
+    if (!subscription.rateLimit?.maxConcurrent) {
+      return;
+    }
+
+    await redisClient.zrem(`${KEY_PREFIX}${subscription._id}:inflight`, slotId);
+  }
+
+  /**
+   * Limiter state per subscription (for the dashboard)
+   * @param {object[]} subscriptions - Subscriptions with a rateLimit
+   * @returns {Promise<object[]>} { subscriptionId, name, maxPerSecond,
+   *   maxConcurrent, inFlight, deferredByRate, deferredByConcurrency }
+   */
+  static async getStats(subscriptions) {
+    const deferred = await redisClient.hgetall(DEFERRED_STATS_KEY);
+    const now = Date.now();
+
+    return Promise.all(
+      subscriptions.map(async (subscription) => {
+        const subscriptionId = subscription._id.toString();
+        const inFlight = await redisClient.zcount(
+          `${KEY_PREFIX}${subscriptionId}:inflight`,
+          now,
+          "+inf"
+        );
+
+        return {
+          subscriptionId,
+          name: subscription.name,
+          maxPerSecond: subscription.rateLimit?.maxPerSecond || null,
+          maxConcurrent: subscription.rateLimit?.maxConcurrent || null,
+          inFlight,
+          deferredByRate: Number(deferred[`${subscriptionId}:rate`]) || 0,
+          deferredByConcurrency:
+            Number(deferred[`${subscriptionId}:concurrency`]) || 0,
+        };
+      })
+    );
+  }
+}
@@ -0,0 +1,122 @@
+// Classification used when a subscription does not configure its own
+const DEFAULT_CLASSIFICATION = {
+  success: ["2xx"],
+  retryable: ["408", "425", "429", "5xx"],
+  permanent: ["4xx"],
+};
+
+// Outcomes in tie-break order for rules of the same specificity
+const OUTCOMES = ["success", "retryable", "permanent"];
+
+/**
+ * ResponseClassificationService - Decides what an HTTP response status means
+ * for a delivery: "success", "retryable" (failed, try again) or "permanent"
+ * (failed, do not retry)
+ *
+ * Each outcome has a list of rules:
+ *   "410"      - exact status code
+ *   "4xx"      - status class
+ *   "400-409"  - inclusive range
+ * The most specific matching rule wins (exact > narrower range > class), so
+ * { retryable: ["429"], permanent: ["4xx"] } retries 429 but no other 4xx.
+ * A status that matches no rule is treated as retryable.
+ */
+export class ResponseClassificationService {
+  /**
+   * Parse a rule into an inclusive status range
+   * @param {string} rule - "410", "4xx" or "400-409"
+   * @returns {{min: number, max: number}|null} Range, or null if invalid
+   */
+  static parseRule(rule) {
+    const value = String(rule).trim().toLowerCase();
+
+    let match = value.match(/^([1-5])xx$/);
+    if (match) {
+      const min = parseInt(match[1], 10) * 100;
+      return { min, max: min + 99 };
+    }
+
+    match = value.match(/^(\d{3})(?:-(\d{3}))?$/);
+    if (match) {
+      const min = parseInt(match[1], 10);
+      const max = match[2] ? parseInt(match[2], 10) : min;
+      if (min >= 100 && max <= 599 && min <= max) {
+        return { min, max };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate a classification config
+   * @param {object} classification - { success?, retryable?, permanent?, disableOnGone? }
+   * @returns {string[]} Validation errors (empty if valid)
+   */
+  static validate(classification) {
+    if (
+      !classification ||
+      typeof classification !== "object" ||
+      Array.isArray(classification)
+    ) {
+      return ["responseClassification: must be an object"];
+    }
+
+    const errors = [];
+    for (const outcome of OUTCOMES) {
+      const rules = classification[outcome];
+      if (rules === undefined) continue;
+
+      if (!Array.isArray(rules)) {
+        errors.push(`responseClassification.${outcome}: must be an array`);
+        continue;
+      }
+
+      rules.forEach((rule, i) => {
+        if (!this.parseRule(rule)) {
+          errors.push(
+            `responseClassification.${outcome}[${i}]: "${rule}" is not a status code, class (4xx) or range (400-409)`
+          );
+        }
+      });
+    }
+
+    if (
+      classification.disableOnGone !== undefined &&
+      typeof classification.disableOnGone !== "boolean"
+    ) {
+      errors.push("responseClassification.disableOnGone: must be a boolean");
+    }
+
+    return errors;
+  }
+
+  /**
+   * Classify a response status
+   * @param {number} status - HTTP status code
+   * @param {object} [classification] - Subscription's rules; missing
+   *   outcomes fall back to the defaults
+   * @returns {"success"|"retryable"|"permanent"}
+   */
+  static classify(status, classification = {}) {
+    let best = null;
+
+    for (const outcome of OUTCOMES) {
+      const rules = classification?.[outcome]?.length
+        ? classification[outcome]
+        : DEFAULT_CLASSIFICATION[outcome];
+
+      for (const rule of rules) {
+        const range = this.parseRule(rule);
+        if (!range || status < range.min || status > range.max) continue;
+
+        const width = range.max - range.min;
+        if (!best || width < best.width) {
+          best = { outcome, width };
+        }
+      }
+    }
+
+    return best ? best.outcome : "retryable";
+  }
+}
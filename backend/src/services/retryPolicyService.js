@@ -0,0 +1,184 @@
+import { parseDuration } from "../utils/duration.js";
+
+// Backoff curves a retry policy can use
+const STRATEGIES = ["fixed", "linear", "exponential", "schedule"];
+
+// How the computed delay is randomized
+const JITTER_MODES = ["none", "full", "equal"];
+
+// Policy fields that hold durations
+const DURATION_FIELDS = ["delay", "maxDelay", "maxRetryDuration"];
+
+// Used for anything a subscription's policy leaves unset
+const DEFAULT_POLICY = {
+  strategy: "exponential",
+  delay: 1000,
+  maxDelay: 30000,
+  schedule: [],
+  jitter: "none",
+  maxRetryDuration: null,
+};
+
+/**
+ * RetryPolicyService - Computes when a failed delivery is retried
+ *
+ * A subscription's retryPolicy picks one of the strategies:
+ *   fixed       - every retry waits `delay`
+ *   linear      - retry n waits n * `delay`
+ *   exponential - retry n waits `delay` * 2^(n-1)
+ *   schedule    - retry n waits schedule[n-1]; the last entry repeats
+ * Curves are capped at `maxDelay` (not applied to schedules), then jitter
+ * is applied:
+ *   full  - random delay between 0 and the computed delay
+ *   equal - half the computed delay plus a random share of the other half
+ * `maxRetryDuration` gives up once the next retry would fall later than that
+ * long after the first attempt. subscription.maxRetries still limits the
+ * number of attempts.
+ *
+ * Durations are stored in milliseconds; the API also accepts strings such
+ * as "30s", "5m", "2h" or "1d".
+ */
+export class RetryPolicyService {
+  /**
+   * Validate a retry policy from a request
+   * @param {object} policy - Retry policy
+   * @returns {string[]} Validation errors (empty if valid)
+   */
+  static validate(policy) {
+    if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+      return ["retryPolicy: must be an object"];
+    }
+
+    const errors = [];
+
+    if (
+      policy.strategy !== undefined &&
+      !STRATEGIES.includes(policy.strategy)
+    ) {
+      errors.push(
+        `retryPolicy.strategy: must be one of ${STRATEGIES.join(", ")}`
+      );
+    }
+
+    if (policy.jitter !== undefined && !JITTER_MODES.includes(policy.jitter)) {
+      errors.push(
+        `retryPolicy.jitter: must be one of ${JITTER_MODES.join(", ")}`
+      );
+    }
+
+    for (const field of DURATION_FIELDS) {
+      const value = policy[field];
+      if (value === undefined || value === null) continue;
+      if (parseDuration(value) === null) {
+        errors.push(
+          `retryPolicy.${field}: "${value}" is not a duration (milliseconds or e.g. "30s", "5m", "2h")`
+        );
+      }
+    }
+
+    if (policy.schedule !== undefined) {
+      if (!Array.isArray(policy.schedule)) {
+        errors.push("retryPolicy.schedule: must be an array");
+      } else {
+        policy.schedule.forEach((entry, i) => {
+          if (parseDuration(entry) === null) {
+            errors.push(
+              `retryPolicy.schedule[${i}]: "${entry}" is not a duration`
+            );
+          }
+        });
+      }
+    }
+
+    if (
+      policy.strategy === "schedule" &&
+      (!Array.isArray(policy.schedule) || policy.schedule.length === 0)
+    ) {
+      errors.push('retryPolicy.schedule: required for strategy "schedule"');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Convert a validated policy's durations to milliseconds for storage
+   * @param {object} policy - Validated retry policy
+   * @returns {object} Policy with numeric durations
+   */
+  static normalize(policy) {
+    const normalized = { ...policy };
+
+    for (const field of DURATION_FIELDS) {
+      if (normalized[field] !== undefined && normalized[field] !== null) {
+        normalized[field] = parseDuration(normalized[field]);
+      }
+    }
+
+    if (Array.isArray(normalized.schedule)) {
+      normalized.schedule = normalized.schedule.map(parseDuration);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Delay before a retry
+   * @param {object} [policy] - Subscription's retry policy
+   * @param {number} deliveryAttempt - Attempt that just failed (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  static getDelay(policy, deliveryAttempt) {
+    const settings = {};
+    for (const [key, fallback] of Object.entries(DEFAULT_POLICY)) {
+      settings[key] = policy?.[key] ?? fallback;
+    }
+
+    let delay;
+    switch (settings.strategy) {
+      case "fixed":
+        delay = settings.delay;
+        break;
+      case "linear":
+        delay = settings.delay * deliveryAttempt;
+        break;
+      case "schedule": {
+        const { schedule } = settings;
+        delay = schedule.length
+          ? schedule[Math.min(deliveryAttempt, schedule.length) - 1]
+          : DEFAULT_POLICY.delay;
+        break;
+      }
+      case "exponential":
+      default:
+        delay = settings.delay * Math.pow(2, deliveryAttempt - 1);
+    }
+
+    // An explicit schedule is used as written
+    if (settings.strategy !== "schedule") {
+      delay = Math.min(delay, settings.maxDelay);
+    }
+
+    switch (settings.jitter) {
+      case "full":
+        return Math.round(Math.random() * delay);
+      case "equal":
+        return Math.round(delay / 2 + Math.random() * (delay / 2));
+      default:
+        return delay;
+    }
+  }
+
+  /**
+   * Whether a retry at the given time would pass the policy's deadline
+   * @param {object} [policy] - Subscription's retry policy
+   * @param {Date} firstAttemptAt - When the first attempt of the chain ran
+   * @param {Date} nextRetryAt - When the retry would run
+   * @returns {boolean} True if the delivery should give up instead
+   */
+  static isPastDeadline(policy, firstAttemptAt, nextRetryAt) {
+    if (!policy?.maxRetryDuration || !firstAttemptAt) {
+      return false;
+    }
+    return nextRetryAt - firstAttemptAt > policy.maxRetryDuration;
+  }
+}
@@ -0,0 +1,115 @@
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+
+/**
+ * New Ajv instance - allErrors so producers see every failing path at once
+ * Every compile gets its own instance: Ajv registers schemas by their $id, so
+ * compiling a schema with an $id twice on one instance (upload check, then
+ * validation - or two versions sharing an $id) throws "already exists"
+ * @returns {Ajv}
+ */
+const createAjv = () => {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+  return ajv;
+};
+
+// Compiled validators keyed by "<eventType>@<version>" (schema versions are immutable)
+const validatorCache = new Map();
+
+/**
+ * SchemaValidationService - Validates event payloads against versioned JSON Schemas
+ * Schemas are registered per event type in the EventType registry
+ */
+export class SchemaValidationService {
+  /**
+   * Check that a JSON Schema document compiles
+   * @param {object} schema - JSON Schema to check
+   * @returns {string|null} Error message, or null if the schema is valid
+   */
+  static checkSchema(schema) {
+    if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+      return "Schema must be a JSON object";
+    }
+
+    try {
+      createAjv().compile(schema);
+      return null;
+    } catch (error) {
+      return `Invalid JSON Schema: ${error.message}`;
+    }
+  }
+
+  /**
+   * Validate a payload against one of an event type's schema versions
+   * @param {object} eventType - EventType document from the registry
+   * @param {number} [schemaVersion] - Declared version; latest when omitted
+   * @param {*} payload - Event payload to validate
+   * @returns {{schemaVersion?: number, errors?: object[], error?: string}}
+   *   Resolved version and failing paths, or an error for an unknown version
+   */
+  static validatePayload(eventType, schemaVersion, payload) {
+    // Event types without schemas accept any payload
+    if (eventType.schemas.length === 0) {
+      if (schemaVersion !== undefined && schemaVersion !== null) {
+        return {
+          error: `Event type ${eventType.name} has no registered schemas`,
+        };
+      }
+      return { schemaVersion: undefined, errors: [] };
+    }
+
+    const entry = eventType.getSchema(schemaVersion);
+    if (!entry) {
+      return {
+        error: `Unknown schema version ${schemaVersion} for event type ${eventType.name}`,
+      };
+    }
+
+    const validate = this.getValidator(eventType.name, entry);
+    const valid = validate(payload);
+
+    return {
+      schemaVersion: entry.version,
+      errors: valid ? [] : validate.errors.map(this.formatError),
+    };
+  }
+
+  /**
+   * Get (or compile and cache) the validator for a schema version
+   * @param {string} name - Event type name
+   * @param {object} entry - Schema version sub-document
+   * @returns {Function} Compiled Ajv validator
+   */
+  static getValidator(name, entry) {
+    const cacheKey = `${name}@${entry.version}`;
+
+    if (!validatorCache.has(cacheKey)) {
+      validatorCache.set(
+        cacheKey,
+        createAjv().compile(JSON.parse(entry.definition))
+      );
+    }
+
+    return validatorCache.get(cacheKey);
+  }
+
+  /**
+   * Convert an Ajv error into a path/message pair for API responses
+   * @param {object} error - Ajv error object
+   * @returns {{path: string, message: string, keyword: string}}
+   */
+  static formatError(error) {
+    // For "required" errors Ajv points at the parent object - point at the missing field
+    const path =
+      error.keyword === "required"
+        ? `${error.instancePath}/${error.params.missingProperty}`
+        : error.instancePath || "/";
+
+    return {
+      path,
+      message: error.message,
+      keyword: error.keyword,
+    };
+  }
+}
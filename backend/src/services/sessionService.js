@@ -0,0 +1,79 @@
+import crypto from "crypto";
+import redisClient from "../utils/redis.js";
+import { ApiKeyService } from "./apiKeyService.js";
+
+// How long a dashboard sign-in lasts (default 8 hours)
+const SESSION_TTL_SECONDS =
+  parseInt(process.env.DASHBOARD_SESSION_TTL_SECONDS, 10) || 8 * 60 * 60;
+
+// HttpOnly cookie carrying the session token
+export const SESSION_COOKIE = "algohire_session";
+
+const KEY_PREFIX = "session:";
+
+/**
+ * SessionService - Browser sessions for the dashboard
+ *
+ * The dashboard never holds an API key: a user signs in with one, and the
+ * browser gets a random session token in an HttpOnly cookie instead. The
+ * session acts with the scopes of the key it was opened with, and ends when
+ * that key is revoked or expires.
+ *
+ * Sessions live in Redis under "session:<sha256(token)>" -> API key ID, so
+ * the stored form cannot be used as a cookie.
+ */
+export class SessionService {
+  /**
+   * Redis key of a session token
+   * @param {string} token - Session token from the cookie
+   * @returns {string} Redis key
+   */
+  static getKey(token) {
+    return `${KEY_PREFIX}${crypto
+      .createHash("sha256")
+      .update(token)
+      .digest("hex")}`;
+  }
+
+  /**
+   * Open a session for an authenticated API key
+   * @param {object} apiKey - ApiKey document
+   * @returns {Promise<{token: string, maxAgeMs: number}>} Token for the cookie
+   */
+  static async create(apiKey) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    await redisClient.set(
+      this.getKey(token),
+      apiKey._id.toString(),
+      "EX",
+      SESSION_TTL_SECONDS
+    );
+    return { token, maxAgeMs: SESSION_TTL_SECONDS * 1000 };
+  }
+
+  /**
+   * Resolve a session token to its API key
+   * @param {string} token - Session token from the cookie
+   * @returns {Promise<object|null>} ApiKey document, or null if the session
+   *   is unknown, expired, or its key is no longer valid
+   */
+  static async resolve(token) {
+    if (!token) {
+      return null;
+    }
+
+    const apiKeyId = await redisClient.get(this.getKey(token));
+    return apiKeyId ? ApiKeyService.findActive(apiKeyId) : null;
+  }
+
+  /**
+   * End a session
+   * @param {string} token - Session token from the cookie
+   * @returns {Promise<void>}
+   */
+  static async destroy(token) {
+    if (token) {
+      await redisClient.del(this.getKey(token));
+    }
+  }
+}
@@ -0,0 +1,138 @@
+import { resolvePath } from "../utils/objectPath.js";
+
+// "{{ path }}" placeholders inside template strings
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+// A string that consists of exactly one placeholder
+const WHOLE_PLACEHOLDER = /^\{\{\s*([^{}]+?)\s*\}\}$/;
+
+// Top-level fields of the event a placeholder path may start with
+const PATH_ROOTS = [
+  "eventId",
+  "eventType",
+  "sourceModule",
+  "createdAt",
+  "payload",
+];
+
+// Limits that keep templates cheap to render
+const MAX_DEPTH = 20;
+const MAX_TEMPLATE_BYTES = 64 * 1024;
+
+/**
+ * TransformService - Renders per-subscription payload transformation templates
+ *
+ * A template is any JSON value. Strings may contain "{{ path }}" placeholders,
+ * resolved against the event (eventId, eventType, sourceModule, createdAt, payload):
+ *   - a string that is exactly one placeholder is replaced by the raw value,
+ *     keeping its type ({ "candidate": "{{ payload }}" } nests the whole payload)
+ *   - placeholders inside longer strings are interpolated as text
+ *     ({ "text": "New applicant {{ payload.name }}" })
+ * Templates are data, never evaluated as code.
+ */
+export class TransformService {
+  /**
+   * Validate a transformation template
+   * @param {*} template - Template to check
+   * @returns {string[]} Validation errors (empty if the template is valid)
+   */
+  static validate(template) {
+    const errors = [];
+
+    if (template === undefined) {
+      return ["transform: template is required"];
+    }
+
+    if (JSON.stringify(template).length > MAX_TEMPLATE_BYTES) {
+      return [`transform: template is larger than ${MAX_TEMPLATE_BYTES} bytes`];
+    }
+
+    const visit = (node, location, depth) => {
+      if (depth > MAX_DEPTH) {
+        errors.push(`${location}: nested deeper than ${MAX_DEPTH}`);
+        return;
+      }
+
+      if (typeof node === "string") {
+        for (const [, path] of node.matchAll(PLACEHOLDER)) {
+          if (!PATH_ROOTS.includes(path.split(".")[0])) {
+            errors.push(
+              `${location}: placeholder "${path}" must start with one of ${PATH_ROOTS.join(
+                ", "
+              )}`
+            );
+          }
+        }
+      } else if (Array.isArray(node)) {
+        node.forEach((child, i) =>
+          visit(child, `${location}[${i}]`, depth + 1)
+        );
+      } else if (node && typeof node === "object") {
+        for (const [key, child] of Object.entries(node)) {
+          visit(child, `${location}.${key}`, depth + 1);
+        }
+      }
+    };
+
+    visit(template, "transform", 1);
+    return errors;
+  }
+
+  /**
+   * Render a template against an event
+   * @param {*} template - Validated transformation template
+   * @param {object} event - Event document
+   * @returns {*} Transformed body to deliver
+   */
+  static render(template, event) {
+    const context = {
+      eventId: event.eventId,
+      eventType: event.eventType,
+      sourceModule: event.sourceModule,
+      createdAt: event.createdAt,
+      payload: event.payload,
+    };
+
+    return this.renderNode(template, context);
+  }
+
+  /**
+   * Recursively render one template node
+   * @param {*} node - Template node
+   * @param {object} context - Values placeholders are resolved against
+   * @returns {*} Rendered node
+   */
+  static renderNode(node, context) {
+    if (typeof node === "string") {
+      const whole = node.match(WHOLE_PLACEHOLDER);
+      if (whole) {
+        const value = resolvePath(context, whole[1]);
+        return value === undefined ? null : value;
+      }
+
+      return node.replace(PLACEHOLDER, (_, path) => {
+        const value = resolvePath(context, path);
+        if (value === undefined || value === null) return "";
+        if (typeof value === "string") return value;
+        if (value instanceof Date) return value.toISOString();
+        return JSON.stringify(value);
+      });
+    }
+
+    if (Array.isArray(node)) {
+      return node.map((child) => this.renderNode(child, context));
+    }
+
+    if (node && typeof node === "object") {
+      return Object.fromEntries(
+        Object.entries(node).map(([key, child]) => [
+          key,
+          this.renderNode(child, context),
+        ])
+      );
+    }
+
+    // Numbers, booleans and null are emitted as-is
+    return node;
+  }
+}
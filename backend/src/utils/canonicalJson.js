@@ -0,0 +1,49 @@
+// backend/src/utils/canonicalJson.js
+
+/**
+ * Serialize a value with the JSON Canonicalization Scheme (RFC 8785, "JCS")
+ *
+ * JCS output is byte-for-byte reproducible, so receivers can re-serialize a
+ * parsed body and still verify its signature:
+ *   - object keys are sorted by UTF-16 code units, at every nesting level
+ *   - no insignificant whitespace
+ *   - strings and numbers use the ECMAScript JSON.stringify serialization,
+ *     which is what RFC 8785 specifies
+ *
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON text
+ * @throws {TypeError} If the value contains a non-finite number
+ */
+export const canonicalize = (value) => {
+  if (value === null || typeof value !== "object") {
+    if (typeof value === "number" && !Number.isFinite(value)) {
+      throw new TypeError("Non-finite numbers cannot be canonicalized");
+    }
+    return JSON.stringify(value);
+  }
+
+  // Dates, ObjectIds and similar types serialize through their toJSON()
+  if (typeof value.toJSON === "function") {
+    return canonicalize(value.toJSON());
+  }
+
+  if (Array.isArray(value)) {
+    // Like JSON.stringify, unrepresentable array items become null
+    const items = value.map((item) =>
+      item === undefined || typeof item === "function"
+        ? "null"
+        : canonicalize(item)
+    );
+    return `[${items.join(",")}]`;
+  }
+
+  // Array.prototype.sort() without a comparator orders by UTF-16 code units
+  const members = Object.keys(value)
+    .filter(
+      (key) => value[key] !== undefined && typeof value[key] !== "function"
+    )
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+  return `{${members.join(",")}}`;
+};
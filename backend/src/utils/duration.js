@@ -0,0 +1,35 @@
+// backend/src/utils/duration.js
+
+// Milliseconds per duration unit
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a duration into milliseconds
+ * Accepts a number of milliseconds or a string with a unit:
+ *   "500ms", "30s", "5m", "2h", "1d"
+ *
+ * @param {number|string} value - Duration
+ * @returns {number|null} Milliseconds (never negative), or null if malformed
+ */
+export const parseDuration = (value) => {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/i);
+  if (!match) {
+    return null;
+  }
+
+  return Math.round(parseFloat(match[1]) * UNITS[match[2].toLowerCase()]);
+};
@@ -0,0 +1,251 @@
+// backend/src/utils/logger.js
+import { AsyncLocalStorage } from "async_hooks";
+import { trace } from "@opentelemetry/api";
+
+/**
+ * ================================================================
+ * Structured Logger
+ *
+ * Every module creates its own logger:
+ *   const logger = createLogger("webhookWorker");
+ *   logger.info("Webhook delivered", { status: 200 });
+ *
+ * Each line is one JSON object with time, level, module and msg, the fields
+ * passed to the call and the correlation fields of the current context
+ * (requestId, jobId, eventId, deliveryId, subscriptionId, traceId, ...).
+ *
+ * Configuration:
+ *   LOG_LEVEL   - debug | info | warn | error | silent (default info)
+ *   LOG_LEVELS  - per-module overrides, e.g. "webhookWorker=debug,redis=warn"
+ *   LOG_FORMAT  - json (default) or pretty for local development
+ *
+ * Secrets, signatures, API keys and authorization headers are redacted
+ * before anything is written.
+ * ================================================================
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Field names whose values are never logged
+const REDACTED_KEYS =
+  /secret|signature|password|token|authorization|cookie|api[-_]?key/i;
+
+// Values that look like credentials, wherever they appear
+const REDACTED_VALUES = [
+  /whsec_[A-Za-z0-9+/=]+/g, // Standard Webhooks secrets
+  /ahk_[A-Za-z0-9_-]{32}/g, // API keys (not the 12-character keyPrefix)
+  /\bv1,[A-Za-z0-9+/=]{20,}/g, // Standard Webhooks signatures ("v1,<base64>")
+  // X-Algohire-Signature values and subscription secrets are both bare
+  // 64-character hex strings (ObjectIds are 24 characters)
+  /\b[A-Fa-f0-9]{64}\b/g,
+];
+
+const REDACTED = "[REDACTED]";
+
+// Nested objects deeper than this are summarized
+const MAX_DEPTH = 6;
+
+// Parsed LOG_LEVEL / LOG_LEVELS, re-parsed when the variables change
+const thresholds = { key: null, default: LEVELS.info, levels: new Map() };
+
+/**
+ * Resolve the level threshold of a module from LOG_LEVEL and LOG_LEVELS
+ * Read on use, not on import, so variables loaded by dotenv after the
+ * imports still apply
+ * @param {string} module - Module name
+ * @returns {number} Lowest level written
+ */
+const getThreshold = (module) => {
+  const key = `${process.env.LOG_LEVEL}|${process.env.LOG_LEVELS}`;
+  if (thresholds.key !== key) {
+    // "webhookWorker=debug,redis=warn" -> Map { webhookWorker => 10, redis => 30 }
+    thresholds.key = key;
+    thresholds.default =
+      LEVELS[String(process.env.LOG_LEVEL).toLowerCase()] ?? LEVELS.info;
+    thresholds.levels = new Map(
+      (process.env.LOG_LEVELS || "")
+        .split(",")
+        .map((entry) => entry.split("=").map((part) => part.trim()))
+        .filter(([name, level]) => name && LEVELS[level?.toLowerCase()])
+        .map(([name, level]) => [name, LEVELS[level.toLowerCase()]])
+    );
+  }
+  return thresholds.levels.get(module) ?? thresholds.default;
+};
+
+// Correlation fields of the request or job being handled
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Strip credentials out of a string
+ * @param {string} value - String to redact
+ * @returns {string} Redacted string
+ */
+const redactString = (value) =>
+  REDACTED_VALUES.reduce(
+    (redacted, pattern) => redacted.replace(pattern, REDACTED),
+    value
+  );
+
+/**
+ * Copy a value for logging: errors become plain objects, credentials are
+ * redacted by field name and by value
+ * @param {*} value - Value to log
+ * @param {number} [depth=0] - Current nesting depth
+ * @returns {*} Loggable copy
+ */
+export const redact = (value, depth = 0) => {
+  if (typeof value === "string") {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return "[Object]";
+  }
+
+  if (value instanceof Error) {
+    return redact(
+      {
+        name: value.name,
+        message: value.message,
+        ...(value.code !== undefined && { code: value.code }),
+        stack: value.stack,
+      },
+      depth + 1
+    );
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value.toHexString === "function") {
+    return value.toHexString(); // ObjectId
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = REDACTED_KEYS.test(key) ? REDACTED : redact(item, depth + 1);
+  }
+  return copy;
+};
+
+/**
+ * Run a function with correlation fields attached to every log line it
+ * (and anything it awaits) writes
+ * Nested calls add to the outer context.
+ * @param {object} fields - e.g. { requestId } or { jobId, subscriptionId }
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export const withLogContext = (fields, fn) =>
+  logContext.run({ ...logContext.getStore(), ...fields }, fn);
+
+/**
+ * Add correlation fields to the current context once they are known
+ * (e.g. the deliveryId after the DeliveryLog was created)
+ * Does nothing outside withLogContext.
+ * @param {object} fields - Fields to add
+ */
+export const addLogContext = (fields) => {
+  const store = logContext.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+};
+
+/**
+ * Wrap a BullMQ processor so its logs carry the job's correlation fields:
+ * jobId, and requestId / subscriptionId when the job data has them
+ * @param {Function} processor - BullMQ processor
+ * @returns {Function} Processor
+ */
+export const withJobLogContext = (processor) => (job, token) =>
+  withLogContext(
+    {
+      jobId: job.id,
+      requestId: job.data.requestId,
+      subscriptionId: job.data.subscriptionId,
+    },
+    () => processor(job, token)
+  );
+
+/**
+ * Correlation fields of the current context
+ * @returns {object} Fields (empty outside withLogContext)
+ */
+export const getLogContext = () => ({ ...logContext.getStore() });
+
+/**
+ * Write one log line
+ * @param {string} module - Module name
+ * @param {string} level - Level name
+ * @param {string} msg - Message
+ * @param {object} [fields] - Extra fields
+ */
+const write = (module, level, msg, fields) => {
+  const spanContext = trace.getActiveSpan()?.spanContext();
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    module,
+    msg,
+    ...logContext.getStore(),
+    ...(spanContext && {
+      traceId: spanContext.traceId,
+      spanId: spanContext.spanId,
+    }),
+    ...fields,
+  });
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (process.env.LOG_FORMAT !== "pretty") {
+    stream.write(`${JSON.stringify(entry)}\n`);
+    return;
+  }
+
+  // Pretty: "12:00:00.000 INFO  [module] message {fields}" and the stack
+  const { time, msg: message, error, ...rest } = entry;
+  delete rest.level;
+  delete rest.module;
+  if (error) {
+    rest.error = error.message;
+  }
+  const details =
+    Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : "";
+  stream.write(
+    `${time.substring(11, 23)} ${level
+      .toUpperCase()
+      .padEnd(5)} [${module}] ${message}${details}\n${
+      error?.stack ? `${error.stack}\n` : ""
+    }`
+  );
+};
+
+/**
+ * Create a logger for a module
+ * @param {string} module - Module name, also used for LOG_LEVELS overrides
+ * @param {object} [bindings] - Fields added to every line of this logger
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function,
+ *   child: Function}} Logger - each level takes (message, fields?)
+ */
+export const createLogger = (module, bindings = {}) => {
+  const logAt = (level) => (msg, fields) => {
+    if (LEVELS[level] >= getThreshold(module)) {
+      write(module, level, msg, { ...bindings, ...fields });
+    }
+  };
+
+  return {
+    debug: logAt("debug"),
+    info: logAt("info"),
+    warn: logAt("warn"),
+    error: logAt("error"),
+    child: (fields) => createLogger(module, { ...bindings, ...fields }),
+  };
+};
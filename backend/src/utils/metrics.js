@@ -0,0 +1,174 @@
+// backend/src/utils/metrics.js
+import http from "http";
+import client from "prom-client";
+import { webhookQueue, eventQueue } from "./queue.js";
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("metrics");
+
+/**
+ * ================================================================
+ * Prometheus Metrics
+ *
+ * One registry per process. The API server serves it on GET /metrics;
+ * each worker serves it from a small HTTP server (startMetricsServer).
+ * ================================================================
+ */
+
+export const register = new client.Registry();
+
+// Process metrics: CPU, memory, event loop lag, GC, ...
+client.collectDefaultMetrics({ register });
+
+// ==================== INGESTION ====================
+
+export const eventsIngested = new client.Counter({
+  name: "webhook_events_ingested_total",
+  help: "Events accepted by the ingestion API",
+  labelNames: ["event_type", "source_module"],
+  registers: [register],
+});
+
+export const eventsDuplicate = new client.Counter({
+  name: "webhook_events_duplicate_total",
+  help: "Events rejected as idempotent duplicates",
+  labelNames: ["ingestion"], // "single" or "batch"
+  registers: [register],
+});
+
+// ==================== QUEUES ====================
+
+// Longest a scrape waits for queue depths before reporting without them
+const QUEUE_COLLECT_TIMEOUT_MS = 2000;
+
+// Read from Redis when scraped, so every process reports current depths.
+// If Redis is unreachable the gauge is left out rather than hanging the scrape.
+new client.Gauge({
+  name: "webhook_queue_jobs",
+  help: "Jobs in each BullMQ queue by state",
+  labelNames: ["queue", "state"],
+  registers: [register],
+  async collect() {
+    this.reset();
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error("Timed out reading queue depths")),
+        QUEUE_COLLECT_TIMEOUT_MS
+      );
+    });
+
+    try {
+      const results = await Promise.race([
+        Promise.all(
+          [webhookQueue, eventQueue].map((queue) =>
+            queue.getJobCounts("waiting", "active", "delayed", "failed")
+          )
+        ),
+        timeout,
+      ]);
+
+      [webhookQueue, eventQueue].forEach((queue, i) => {
+        for (const [state, count] of Object.entries(results[i])) {
+          this.set({ queue: queue.name, state }, count);
+        }
+      });
+    } catch (error) {
+      logger.error("Failed to collect queue metrics", {
+        error: error.message,
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+});
+
+// ==================== DELIVERIES ====================
+
+export const deliveries = new client.Counter({
+  name: "webhook_deliveries_total",
+  help: "Delivery attempts by subscription, response status class and outcome",
+  // status_class: 2xx/3xx/4xx/5xx, or "network" when there was no response
+  // outcome: success, retrying, throttled, failed
+  labelNames: [
+    "subscription_id",
+    "subscription_name",
+    "status_class",
+    "outcome",
+  ],
+  registers: [register],
+});
+
+export const deliveryDuration = new client.Histogram({
+  name: "webhook_delivery_duration_seconds",
+  help: "Time from sending a delivery request to receiving the response",
+  labelNames: ["subscription_id", "status_class"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+export const deliveryLag = new client.Histogram({
+  name: "webhook_delivery_lag_seconds",
+  help: "Time from event creation to successful delivery, including retries",
+  labelNames: ["subscription_id"],
+  buckets: [0.1, 0.5, 1, 5, 15, 60, 300, 900, 3600, 4 * 3600, 24 * 3600],
+  registers: [register],
+});
+
+export const rateLimitDeferrals = new client.Counter({
+  name: "webhook_rate_limit_deferrals_total",
+  help: "Deliveries deferred by a subscription's outbound limits",
+  labelNames: ["subscription_id", "reason"], // reason: rate or concurrency
+  registers: [register],
+});
+
+/**
+ * Status class label for a response status
+ * @param {number|undefined} status - HTTP status, undefined if no response
+ * @returns {string} "2xx" ... "5xx", or "network"
+ */
+export const statusClass = (status) =>
+  status ? `${Math.floor(status / 100)}xx` : "network";
+
+/**
+ * Express handler for GET /metrics
+ */
+export const metricsHandler = async (req, res) => {
+  try {
+    res.set("Content-Type", register.contentType);
+    res.end(await register.metrics());
+  } catch (error) {
+    logger.error("Failed to collect metrics", { error });
+    res.status(500).end();
+  }
+};
+
+/**
+ * Serve /metrics from a worker process
+ * @param {number} port - Port to listen on
+ * @returns {http.Server} Started server
+ */
+export const startMetricsServer = (port) => {
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== "GET" || req.url !== "/metrics") {
+      res.writeHead(404).end();
+      return;
+    }
+
+    try {
+      const body = await register.metrics();
+      res.writeHead(200, { "Content-Type": register.contentType }).end(body);
+    } catch (error) {
+      logger.error("Failed to collect metrics", { error });
+      res.writeHead(500).end();
+    }
+  });
+
+  server.listen(port, () => {
+    logger.info("Metrics server listening", {
+      url: `http://localhost:${port}/metrics`,
+    });
+  });
+  return server;
+};
@@ -0,0 +1,20 @@
+// backend/src/utils/objectPath.js
+
+/**
+ * Resolve a dot-separated path against an object
+ * Numeric segments index into arrays (e.g. "payload.tags.0").
+ * Only own properties are followed so paths cannot reach the prototype chain.
+ *
+ * @param {object} context - Object to read from
+ * @param {string} path - Dot-separated path
+ * @returns {*} Value at the path, or undefined if any segment is missing
+ */
+export const resolvePath = (context, path) =>
+  path.split(".").reduce((value, segment) => {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    return Object.prototype.hasOwnProperty.call(value, segment)
+      ? value[segment]
+      : undefined;
+  }, context);
@@ -1,6 +1,9 @@
 // backend/src/utils/queue.js
 import { Queue } from "bullmq";
 import redisClient from "./redis.js";
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("queue");
 
 /**
  * ================================================================
@@ -19,12 +22,13 @@ import redisClient from "./redis.js";
  * -----------------------------
  * Purpose:
  *   - Handles actual HTTP delivery of webhook events to external endpoints.
- *   - Includes retry logic with exponential backoff to handle transient failures.
+ *   - Each job is one delivery attempt. Retries are queued by the webhook
+ *     worker as new delayed jobs, following the subscription's maxRetries
+ *     and the nextRetryAt recorded on each DeliveryLog.
  * Default Options:
  *   - removeOnComplete: keeps last 100 successful jobs (prevents memory bloat)
  *   - removeOnFail: keeps last 1000 failed jobs (for debugging and auditing)
- *   - attempts: retry a failing job up to 5 times
- *   - backoff: exponential retry (1s, 2s, 4s, 8s, 16s)
+ *   - attempts: 1 - BullMQ never re-runs a delivery on its own
  *   - timeout: 30s per job to avoid hanging requests
  */
 export const webhookQueue = new Queue("webhook-delivery", {
@@ -32,11 +36,7 @@ export const webhookQueue = new Queue("webhook-delivery", {
   defaultJobOptions: {
     removeOnComplete: 100, // Keep last 100 successful jobs
     removeOnFail: 1000, // Keep last 1000 failed jobs
-    attempts: 5, // Maximum retry attempts per job
-    backoff: {
-      type: "exponential", // Delay doubles after each failure
-      delay: 1000, // Initial delay = 1 second
-    },
+    attempts: 1, // Retries are separate jobs, see webhookWorker.js
     timeout: 30000, // 30s per job before timing out
   },
 });
@@ -74,11 +74,9 @@ export const eventQueue = new Queue("event-processing", {
  * This helps track which queues are initialized.
  * Useful during development and debugging.
  */
-console.log("BullMQ queues initialized:");
-console.log(
-  "   - webhook-delivery: Handles HTTP delivery to webhook endpoints"
-);
-console.log("   - event-processing: Handles event routing to subscriptions");
+logger.debug("BullMQ queues initialized", {
+  queues: ["webhook-delivery", "event-processing"],
+});
 
 /**
  * ================================================================
@@ -1,5 +1,8 @@
 // backend/src/utils/redis.js
 import IORedis from "ioredis";
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("redis");
 
 /**
  * Redis Client Configuration for BullMQ
@@ -40,28 +43,28 @@ const redisClient = new IORedis(
 
 // Fires when a connection error occurs
 redisClient.on("error", (err) => {
-  console.error("Redis Client Error:", err);
+  logger.error("Redis client error", { error: err.message });
   // In production, you might want to implement alerting or fallback logic
 });
 
 // Fires when the client successfully connects to Redis
 redisClient.on("connect", () => {
-  console.log("Redis Client Connected");
+  logger.info("Redis client connected");
 });
 
 // Fires when the client disconnects from Redis
 redisClient.on("end", () => {
-  console.log("Redis Client Disconnected");
+  logger.warn("Redis client disconnected");
 });
 
 // Fires when the client is attempting to reconnect
 redisClient.on("reconnecting", () => {
-  console.log("Redis Client Reconnecting...");
+  logger.info("Redis client reconnecting");
 });
 
 // Fires when the client is ready to receive commands
 redisClient.on("ready", () => {
-  console.log("Redis Client Ready to use");
+  logger.info("Redis client ready");
 });
 
 /**
@@ -0,0 +1,34 @@
+// backend/src/utils/retryAfter.js
+
+/**
+ * Parse an HTTP Retry-After header (RFC 9110, section 10.2.3)
+ * Accepts both forms:
+ *   - delay-seconds: "120"
+ *   - HTTP-date:     "Wed, 21 Oct 2015 07:28:00 GMT"
+ *
+ * @param {string|undefined} value - Header value
+ * @param {number} [now=Date.now()] - Reference time for HTTP-dates (epoch ms)
+ * @returns {number|null} Delay in milliseconds (never negative), or null if
+ *   the header is missing or malformed
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (typeof value !== "string" || value.trim() === "") {
+    return null;
+  }
+
+  const trimmed = value.trim();
+
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10) * 1000;
+  }
+
+  // HTTP-dates always contain day/month names; this also rejects values
+  // like "-5" that Date.parse would read as a year
+  const date = /[a-z]/i.test(trimmed) ? Date.parse(trimmed) : NaN;
+  if (isNaN(date)) {
+    return null;
+  }
+
+  // A date in the past means "retry now"
+  return Math.max(date - now, 0);
+};
@@ -0,0 +1,163 @@
+// backend/src/utils/shutdown.js
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("shutdown");
+
+// How long HTTP requests and active jobs may take to finish (default 30s)
+const SHUTDOWN_TIMEOUT_MS =
+  parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 30 * 1000;
+
+// Extra time for closing connections before the process is killed anyway
+const SHUTDOWN_FORCE_EXIT_MS = SHUTDOWN_TIMEOUT_MS + 10 * 1000;
+
+/**
+ * ================================================================
+ * Graceful Shutdown
+ *
+ * Each process registers its shutdown steps in the order they must run:
+ *   onShutdown("http server", () => closeServer(server));
+ *   onShutdown("redis", () => redisClient.quit());
+ *   installShutdownHandlers();
+ *
+ * On SIGTERM or SIGINT the steps run one after another. Every step is
+ * logged with its duration; a failing step is logged and the rest still run.
+ *
+ * Exit codes:
+ *   0 - all steps finished
+ *   1 - a step failed, or the process had to be killed after
+ *       SHUTDOWN_TIMEOUT_MS + 10s (also on a second signal)
+ * ================================================================
+ */
+
+const steps = [];
+let shuttingDown = false;
+
+/**
+ * Wait for a promise, but no longer than a deadline
+ * @param {Promise} promise - Work to wait for
+ * @param {number} ms - Deadline in milliseconds
+ * @returns {Promise<boolean>} True if it finished in time
+ */
+export const waitWithDeadline = (promise, ms) => {
+  let timer;
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), ms);
+  });
+  return Promise.race([promise.then(() => true), deadline]).finally(() =>
+    clearTimeout(timer)
+  );
+};
+
+/**
+ * Register a shutdown step
+ * @param {string} name - Shown in the shutdown logs
+ * @param {Function} fn - Async function closing the resource
+ */
+export const onShutdown = (name, fn) => {
+  steps.push({ name, fn });
+};
+
+/**
+ * Stop accepting connections and wait for in-flight requests, up to
+ * SHUTDOWN_TIMEOUT_MS - then drop the remaining connections
+ * @param {http.Server} server - HTTP server
+ * @returns {Promise<void>}
+ */
+export const closeServer = async (server) => {
+  const closed = new Promise((resolve) => server.close(resolve));
+
+  // Keep-alive sockets hold close() open - drop them as they go idle
+  server.closeIdleConnections();
+  const idleSweep = setInterval(() => server.closeIdleConnections(), 250);
+
+  try {
+    if (!(await waitWithDeadline(closed, SHUTDOWN_TIMEOUT_MS))) {
+      logger.warn("HTTP requests still open at the deadline - dropping them");
+      server.closeAllConnections();
+      await closed;
+    }
+  } finally {
+    clearInterval(idleSweep);
+  }
+};
+
+/**
+ * Stop a BullMQ worker: take no new jobs and let active ones finish, up to
+ * SHUTDOWN_TIMEOUT_MS. Jobs still running then are abandoned; BullMQ's
+ * stalled job check hands them to another worker.
+ * @param {Worker} worker - BullMQ worker
+ * @returns {Promise<void>}
+ */
+export const closeWorker = async (worker) => {
+  if (await waitWithDeadline(worker.close(), SHUTDOWN_TIMEOUT_MS)) {
+    return;
+  }
+
+  logger.warn("Jobs still active at the deadline - closing worker anyway", {
+    worker: worker.name,
+  });
+  await worker.close(true);
+};
+
+/**
+ * Run the shutdown steps and exit
+ * @param {string} reason - Signal or cause, for the logs
+ * @returns {Promise<void>}
+ */
+export const shutdown = async (reason) => {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+
+  const startedAt = Date.now();
+  logger.info("Shutting down", { reason, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+  // Last resort if a step hangs
+  setTimeout(() => {
+    logger.error("Shutdown did not finish in time - forcing exit", {
+      afterMs: Date.now() - startedAt,
+    });
+    process.exit(1);
+  }, SHUTDOWN_FORCE_EXIT_MS).unref();
+
+  let failed = false;
+  for (const step of steps) {
+    const stepStartedAt = Date.now();
+    try {
+      await step.fn();
+      logger.info("Shutdown step finished", {
+        step: step.name,
+        durationMs: Date.now() - stepStartedAt,
+      });
+    } catch (error) {
+      failed = true;
+      logger.error("Shutdown step failed", { step: step.name, error });
+    }
+  }
+
+  const exitCode = failed ? 1 : 0;
+  logger.info("Shutdown complete", {
+    exitCode,
+    durationMs: Date.now() - startedAt,
+  });
+  process.exit(exitCode);
+};
+
+/**
+ * Run shutdown() on SIGTERM and SIGINT
+ * A second signal while shutting down exits immediately.
+ */
+export const installShutdownHandlers = () => {
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, () => {
+      if (shuttingDown) {
+        logger.warn("Second signal received - exiting immediately", {
+          signal,
+        });
+        process.exit(1);
+      }
+      shutdown(signal);
+    });
+  }
+};
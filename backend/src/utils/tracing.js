@@ -0,0 +1,279 @@
+// backend/src/utils/tracing.js
+import fs from "fs";
+import {
+  trace,
+  context,
+  propagation,
+  ROOT_CONTEXT,
+  SpanKind,
+  SpanStatusCode,
+} from "@opentelemetry/api";
+import { ExportResultCode, hrTimeToMilliseconds } from "@opentelemetry/core";
+import { resourceFromAttributes } from "@opentelemetry/resources";
+import { NodeTracerProvider } from "@opentelemetry/sdk-trace-node";
+import {
+  BatchSpanProcessor,
+  ConsoleSpanExporter,
+} from "@opentelemetry/sdk-trace-base";
+import { OTLPTraceExporter } from "@opentelemetry/exporter-trace-otlp-http";
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("tracing");
+
+/**
+ * ================================================================
+ * OpenTelemetry Tracing
+ *
+ * Each process calls initTracing() once with its service name. The exporter
+ * is chosen with OTEL_TRACES_EXPORTER:
+ *   none    - tracing disabled (default)
+ *   otlp    - OTLP over HTTP; endpoint from OTEL_EXPORTER_OTLP_ENDPOINT or
+ *             OTEL_EXPORTER_OTLP_TRACES_ENDPOINT (default localhost:4318)
+ *   console - spans printed to stdout
+ *   file    - spans appended as JSON lines to OTEL_TRACES_FILE
+ *             (default "traces.jsonl")
+ *
+ * Trace context crosses the queues as a W3C carrier object
+ * ({ traceparent, tracestate }) in the job data.
+ * ================================================================
+ */
+
+export const tracer = trace.getTracer("algohire-webhook-relay");
+
+let provider = null;
+
+/**
+ * Writes finished spans as JSON lines - for local debugging without a
+ * tracing backend
+ */
+class FileSpanExporter {
+  constructor(path) {
+    this.path = path;
+  }
+
+  export(spans, resultCallback) {
+    const lines = spans.map((span) => {
+      const { traceId, spanId } = span.spanContext();
+      return JSON.stringify({
+        traceId,
+        spanId,
+        parentSpanId: span.parentSpanContext?.spanId,
+        name: span.name,
+        kind: span.kind,
+        service: span.resource.attributes["service.name"],
+        startTime: new Date(hrTimeToMilliseconds(span.startTime)).toISOString(),
+        durationMs: hrTimeToMilliseconds(span.duration),
+        status: span.status,
+        attributes: span.attributes,
+        events: span.events.map((event) => ({
+          name: event.name,
+          attributes: event.attributes,
+        })),
+        links: span.links.map((link) => link.context),
+      });
+    });
+
+    fs.appendFile(this.path, lines.join("\n") + "\n", (error) =>
+      resultCallback({
+        code: error ? ExportResultCode.FAILED : ExportResultCode.SUCCESS,
+        error,
+      })
+    );
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Build the exporter selected by OTEL_TRACES_EXPORTER
+ * @returns {object|null} Span exporter, or null when tracing is disabled
+ */
+const createExporter = () => {
+  switch ((process.env.OTEL_TRACES_EXPORTER || "none").toLowerCase()) {
+    case "otlp":
+      return new OTLPTraceExporter();
+    case "console":
+      return new ConsoleSpanExporter();
+    case "file":
+      return new FileSpanExporter(
+        process.env.OTEL_TRACES_FILE || "traces.jsonl"
+      );
+    case "none":
+      return null;
+    default:
+      logger.warn("Unknown OTEL_TRACES_EXPORTER - tracing disabled", {
+        exporter: process.env.OTEL_TRACES_EXPORTER,
+      });
+      return null;
+  }
+};
+
+/**
+ * Start tracing for this process
+ * Registers the W3C trace context propagator used by injectTraceContext
+ * @param {string} serviceName - service.name (OTEL_SERVICE_NAME overrides it)
+ */
+export const initTracing = (serviceName) => {
+  const exporter = createExporter();
+  if (!exporter) {
+    return;
+  }
+
+  provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({
+      "service.name": process.env.OTEL_SERVICE_NAME || serviceName,
+    }),
+    spanProcessors: [new BatchSpanProcessor(exporter)],
+  });
+  provider.register();
+
+  logger.info("Tracing enabled", {
+    exporter: process.env.OTEL_TRACES_EXPORTER,
+    service: serviceName,
+  });
+};
+
+/**
+ * Flush pending spans and stop the exporter
+ * @returns {Promise<void>}
+ */
+export const shutdownTracing = async () => {
+  if (provider) {
+    await provider.shutdown();
+  }
+};
+
+/**
+ * Serialize a trace context for job data or outgoing headers
+ * @param {object} [ctx=context.active()] - Context to serialize
+ * @returns {object} Carrier, e.g. { traceparent: "00-..." } (empty when
+ *   tracing is disabled)
+ */
+export const injectTraceContext = (ctx = context.active()) => {
+  const carrier = {};
+  propagation.inject(ctx, carrier);
+  return carrier;
+};
+
+/**
+ * Restore a trace context serialized by injectTraceContext (or incoming
+ * HTTP headers)
+ * @param {object} [carrier] - Carrier object
+ * @returns {object} Context to start child spans in
+ */
+export const extractTraceContext = (carrier) =>
+  propagation.extract(ROOT_CONTEXT, carrier || {});
+
+/**
+ * Run a function inside a new active span, ending it afterwards
+ * Thrown errors are recorded on the span and rethrown. BullMQ's
+ * DelayedError only reschedules a job and is not treated as a failure.
+ * @param {string} name - Span name
+ * @param {object} options - Span options (kind, attributes, links)
+ * @param {object} [parentContext] - Parent context (default: the active one)
+ * @param {Function} fn - Receives the span
+ * @returns {Promise<*>} Result of fn
+ */
+export const withSpan = (name, options, parentContext, fn) =>
+  tracer.startActiveSpan(name, options, parentContext, async (span) => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      if (error?.name !== "DelayedError") {
+        span.recordException(error);
+        span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      }
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+
+/**
+ * Wrap a BullMQ processor in a CONSUMER span named after the job
+ * The span continues the trace carried in job.data.traceContext (a new trace
+ * when the job has none, e.g. replays and batch flushes)
+ * @param {Function} processor - BullMQ processor
+ * @returns {Function} Processor
+ */
+export const tracedProcessor = (processor) => (job, token) =>
+  withSpan(
+    job.name,
+    {
+      kind: SpanKind.CONSUMER,
+      attributes: {
+        "messaging.system": "bullmq",
+        "messaging.destination.name": job.queueName,
+        "messaging.message.id": job.id,
+      },
+    },
+    extractTraceContext(job.data.traceContext),
+    () => processor(job, token)
+  );
+
+/**
+ * Link the active span to traces a job did not continue - e.g. the events
+ * of a batch, or an event replayed long after it was ingested
+ * @param {object[]} carriers - Trace contexts (missing ones are skipped)
+ */
+export const linkTraceContexts = (carriers) => {
+  const span = trace.getActiveSpan();
+  if (!span) {
+    return;
+  }
+
+  const current = span.spanContext().traceId;
+  for (const carrier of carriers) {
+    const linked = trace.getSpanContext(extractTraceContext(carrier));
+    if (linked && linked.traceId !== current) {
+      span.addLink({ context: linked });
+    }
+  }
+};
+
+/**
+ * Set attributes on the active span, if any
+ * @param {object} attributes - Span attributes
+ */
+export const setSpanAttributes = (attributes) => {
+  trace.getActiveSpan()?.setAttributes(attributes);
+};
+
+/**
+ * Express middleware - one SERVER span per request, continuing the caller's
+ * trace when it sends a traceparent header. Handlers run inside the span, so
+ * injectTraceContext() there links queued jobs to the request.
+ */
+export const tracingMiddleware = (req, res, next) => {
+  const span = tracer.startSpan(
+    `${req.method} ${req.path}`,
+    {
+      kind: SpanKind.SERVER,
+      attributes: {
+        "http.request.method": req.method,
+        "url.path": req.path,
+      },
+    },
+    extractTraceContext(req.headers)
+  );
+
+  res.on("finish", () => {
+    // Name by route template once routing has matched (e.g. /api/events/:id)
+    if (req.route) {
+      const route = `${req.baseUrl}${req.route.path}`;
+      span.updateName(`${req.method} ${route}`);
+      span.setAttribute("http.route", route);
+    }
+    span.setAttribute("http.response.status_code", res.statusCode);
+    if (res.statusCode >= 500) {
+      span.setStatus({ code: SpanStatusCode.ERROR });
+    }
+    span.end();
+  });
+
+  context.with(trace.setSpan(context.active(), span), next);
+};
+
+export { SpanKind, SpanStatusCode };
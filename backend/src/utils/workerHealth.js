@@ -0,0 +1,173 @@
+// backend/src/utils/workerHealth.js
+import http from "http";
+import { HealthService } from "../services/healthService.js";
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("workerHealth");
+
+// A job running longer than this marks the worker as hung (default 5 minutes)
+const WORKER_HUNG_TIMEOUT_MS =
+  parseInt(process.env.WORKER_HUNG_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+
+/**
+ * ================================================================
+ * Worker Health
+ *
+ * Tracks a BullMQ worker's jobs and serves them over HTTP for orchestrators:
+ *   GET /health/live  - 503 when the worker is hung (a job has been running
+ *                       longer than WORKER_HUNG_TIMEOUT_MS) or has stopped,
+ *                       so it gets restarted
+ *   GET /health/ready - 503 while the worker is paused or MongoDB / Redis
+ *                       are unreachable
+ * Both report the last job times, pause state and stalled job count.
+ *
+ * Usage:
+ *   const health = new WorkerHealth("webhook-delivery");
+ *   const worker = new Worker(queue, health.track(processor), options);
+ *   health.attach(worker);
+ *   health.listen(port);
+ * ================================================================
+ */
+export class WorkerHealth {
+  /**
+   * @param {string} name - Queue the worker consumes
+   */
+  constructor(name) {
+    this.name = name;
+    this.worker = null;
+    this.startedAt = new Date();
+    this.inFlight = new Map(); // job ID -> start time (ms)
+    this.lastJobAt = null; // Last job started
+    this.lastCompletedAt = null;
+    this.lastFailedAt = null;
+    this.lastStalledAt = null;
+    this.stalledCount = 0;
+  }
+
+  /**
+   * Wrap a BullMQ processor so running jobs are tracked
+   * Jobs leave the in-flight list however they end - including DelayedError
+   * holds, which emit no worker event
+   * @param {Function} processor - BullMQ processor
+   * @returns {Function} Processor
+   */
+  track(processor) {
+    return async (job, token) => {
+      this.inFlight.set(job.id, Date.now());
+      this.lastJobAt = new Date();
+      try {
+        return await processor(job, token);
+      } finally {
+        this.inFlight.delete(job.id);
+      }
+    };
+  }
+
+  /**
+   * Follow the worker's completion, failure and stall events
+   * @param {Worker} worker - BullMQ worker
+   */
+  attach(worker) {
+    this.worker = worker;
+    worker.on("completed", () => {
+      this.lastCompletedAt = new Date();
+    });
+    worker.on("failed", () => {
+      this.lastFailedAt = new Date();
+    });
+    worker.on("stalled", () => {
+      this.stalledCount += 1;
+      this.lastStalledAt = new Date();
+    });
+  }
+
+  /**
+   * Current worker state
+   * @returns {object} Status report
+   */
+  getStatus() {
+    const oldestJobStartedAt = Math.min(...this.inFlight.values());
+    const oldestJobMs =
+      this.inFlight.size > 0 ? Date.now() - oldestJobStartedAt : 0;
+
+    const paused = this.worker?.isPaused() ?? false;
+    const running = this.worker?.isRunning() ?? false;
+    const hung = oldestJobMs > WORKER_HUNG_TIMEOUT_MS;
+
+    return {
+      worker: this.name,
+      running,
+      paused,
+      hung,
+      activeJobs: this.inFlight.size,
+      oldestJobMs,
+      stalledCount: this.stalledCount,
+      lastJobAt: this.lastJobAt,
+      lastCompletedAt: this.lastCompletedAt,
+      lastFailedAt: this.lastFailedAt,
+      lastStalledAt: this.lastStalledAt,
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+    };
+  }
+
+  /**
+   * Serve /health/live and /health/ready
+   * @param {number} port - Port to listen on
+   * @returns {http.Server} Started server
+   */
+  listen(port) {
+    const server = http.createServer(async (req, res) => {
+      const send = (statusCode, body) => {
+        res
+          .writeHead(statusCode, { "Content-Type": "application/json" })
+          .end(JSON.stringify(body));
+      };
+
+      if (req.method !== "GET") {
+        send(405, { error: "Method not allowed" });
+        return;
+      }
+
+      const status = this.getStatus();
+
+      if (req.url === "/health/live") {
+        // A paused worker is alive - only stopped or hung workers need a restart
+        const alive = (status.running || status.paused) && !status.hung;
+        send(alive ? 200 : 503, {
+          status: alive ? "OK" : "unhealthy",
+          ...status,
+        });
+        return;
+      }
+
+      if (req.url === "/health/ready") {
+        try {
+          const { ready, checks } = await HealthService.checkReadiness([
+            "mongo",
+            "redis",
+          ]);
+          const accepting = ready && status.running && !status.paused;
+          send(accepting ? 200 : 503, {
+            status: accepting ? "ready" : "not_ready",
+            ...status,
+            checks,
+          });
+        } catch (error) {
+          logger.error("Worker readiness check failed", { error });
+          send(503, { status: "not_ready", error: error.message });
+        }
+        return;
+      }
+
+      send(404, { error: "Not found" });
+    });
+
+    server.listen(port, () => {
+      logger.info("Worker health server listening", {
+        worker: this.name,
+        url: `http://localhost:${port}/health`,
+      });
+    });
+    return server;
+  }
+}
@@ -1,8 +1,40 @@
+import "dotenv/config"; // Before the imports below read their settings
+import mongoose from "mongoose";
 import { Worker } from "bullmq";
 import redisClient from "../utils/redis.js";
 import Event from "../models/Event.js";
+import EventType from "../models/EventType.js";
 import Subscription from "../models/Subscription.js";
-import { webhookQueue } from "../utils/queue.js";
+import DeliveryLog from "../models/DeliveryLog.js";
+import { webhookQueue, eventQueue } from "../utils/queue.js";
+import { FilterService } from "../services/filterService.js";
+import { OrderingService } from "../services/orderingService.js";
+import { BatchService } from "../services/batchService.js";
+import { OutboxService } from "../services/outboxService.js";
+import { startMetricsServer } from "../utils/metrics.js";
+import { WorkerHealth } from "../utils/workerHealth.js";
+import {
+  onShutdown,
+  closeServer,
+  closeWorker,
+  installShutdownHandlers,
+} from "../utils/shutdown.js";
+import {
+  createLogger,
+  addLogContext,
+  withJobLogContext,
+} from "../utils/logger.js";
+import {
+  initTracing,
+  injectTraceContext,
+  setSpanAttributes,
+  tracedProcessor,
+  shutdownTracing,
+} from "../utils/tracing.js";
+
+const logger = createLogger("eventProcessor");
+
+initTracing("webhook-event-processor");
 
 /**
  * Event Processor Worker
@@ -10,13 +42,25 @@ import { webhookQueue } from "../utils/queue.js";
  * Runs as a separate process to handle event distribution
  */
 
+// Running jobs and worker state for the health server
+const health = new WorkerHealth("event-processing");
+
+/**
+ * Processor with its wrappers: a span continuing the trace of the request
+ * that ingested the event, and the job's log context
+ * @param {Function} processor - BullMQ processor
+ * @returns {Function} Processor
+ */
+const jobProcessor = (processor) =>
+  tracedProcessor(withJobLogContext(health.track(processor)));
+
 // Create worker instance for event-processing queue
 const worker = new Worker(
   "event-processing",
-  async (job) => {
+  jobProcessor(async (job) => {
     const { eventId, eventType } = job.data;
 
-    console.log(`Processing event: ${eventId} (${eventType})`);
+    logger.debug("Processing event", { eventType });
 
     // ==================== EVENT VALIDATION ====================
     // Verify event exists and is valid
@@ -25,7 +69,20 @@ const worker = new Worker(
       throw new Error(`Event not found: ${eventId}`);
     }
 
-    console.log(`Event validated: ${event.eventId}`);
+    addLogContext({ eventId: event.eventId });
+
+    // Queued, but the dispatch was not recorded (e.g. MongoDB failed right
+    // after the queue write) - keep the outbox relay from queueing it again
+    if (event.dispatchStatus === "pending") {
+      await Event.updateOne(
+        { _id: event._id, dispatchStatus: "pending" },
+        { $set: { dispatchStatus: "dispatched", dispatchedAt: new Date() } }
+      );
+    }
+    setSpanAttributes({
+      "algohire.event.id": event.eventId,
+      "algohire.event.type": eventType,
+    });
 
     // ==================== SUBSCRIPTION MATCHING ====================
     // Find active subscriptions interested in this event type
@@ -34,18 +91,89 @@ const worker = new Worker(
       isActive: true,
     });
 
-    console.log(
-      `Found ${subscriptions.length} subscriptions for event type: ${eventType}`
+    logger.debug("Matched subscriptions", {
+      eventType,
+      count: subscriptions.length,
+    });
+
+    // ==================== PAYLOAD FILTERING ====================
+    // Apply each subscription's optional payload filter
+    const matched = [];
+    const filteredOut = [];
+    for (const subscription of subscriptions) {
+      const result = subscription.filter
+        ? FilterService.evaluate(subscription.filter, event)
+        : { matched: true };
+
+      if (result.matched) {
+        matched.push(subscription);
+      } else {
+        filteredOut.push({ subscription, reason: result.reason });
+      }
+    }
+
+    // Record filtered-out matches so it is visible why nothing was delivered
+    if (filteredOut.length > 0) {
+      await DeliveryLog.recordFiltered(
+        event._id,
+        filteredOut.map(({ subscription, reason }) => ({
+          subscriptionId: subscription._id,
+          reason,
+        }))
+      );
+      logger.info("Subscriptions filtered out", { count: filteredOut.length });
+    }
+
+    // ==================== BATCHED AND ORDERED DELIVERY ====================
+    // Batch subscriptions buffer the event; FIFO subscriptions queue events
+    // with an ordering key behind any earlier events of the same key
+    const registered = await EventType.findOne({ name: eventType }).select(
+      "orderingKey"
     );
+    const orderingKey = OrderingService.getOrderingKey(registered, event);
+
+    const unordered = [];
+    let ordered = 0;
+    let batched = 0;
+    for (const subscription of matched) {
+      if (subscription.deliveryMode === "batch") {
+        // Batch subscriptions buffer the event instead (see BatchService)
+        await BatchService.add(event, subscription);
+        batched += 1;
+      } else if (
+        subscription.deliveryOrder === "fifo" &&
+        orderingKey !== null
+      ) {
+        await OrderingService.enqueue(event, subscription, orderingKey);
+        ordered += 1;
+      } else {
+        unordered.push(subscription);
+      }
+    }
+
+    if (batched > 0) {
+      logger.info("Event buffered for batch subscriptions", {
+        count: batched,
+      });
+    }
+
+    if (ordered > 0) {
+      logger.info("Ordered deliveries queued", {
+        count: ordered,
+        orderingKey,
+      });
+    }
 
     // ==================== JOB CREATION ====================
-    // Create webhook delivery jobs for each matching subscription
-    const jobs = subscriptions.map((subscription) => ({
+    // Create webhook delivery jobs for each remaining subscription
+    const jobs = unordered.map((subscription) => ({
       name: "webhook-delivery",
       data: {
         eventId: event._id,
         subscriptionId: subscription._id,
         deliveryAttempt: 1, // First attempt
+        requestId: job.data.requestId, // Correlates the delivery logs
+        traceContext: injectTraceContext(), // Delivery joins this event's trace
       },
       opts: {
         jobId: `${event.eventId}-${subscription._id}-${Date.now()}`, // Unique job ID
@@ -57,20 +185,20 @@ const worker = new Worker(
     // Add all delivery jobs to the queue in a single operation
     if (jobs.length > 0) {
       await webhookQueue.addBulk(jobs);
-      console.log(
-        `Queued ${jobs.length} webhook deliveries for event ${event.eventId}`
-      );
-    } else {
-      console.log(`No active subscriptions found for event type: ${eventType}`);
+      logger.info("Webhook deliveries queued", { count: jobs.length });
+    } else if (ordered === 0 && batched === 0) {
+      logger.info("No active subscriptions for event type", { eventType });
     }
 
     return {
       eventId: event.eventId,
       eventType,
       subscriptionsProcessed: subscriptions.length,
-      deliveriesQueued: jobs.length,
+      deliveriesFiltered: filteredOut.length,
+      deliveriesQueued: jobs.length + ordered,
+      deliveriesBatched: batched,
     };
-  },
+  }),
   {
     connection: redisClient,
     concurrency: 5, // Process 5 events simultaneously
@@ -81,33 +209,97 @@ const worker = new Worker(
 
 // Handle successful job completion
 worker.on("completed", (job, result) => {
-  console.log(`Event processing completed: ${job.id}`);
-  console.log(
-    `   Event: ${result.eventId}, Deliveries: ${result.deliveriesQueued}`
-  );
+  logger.info("Event processing completed", { jobId: job.id, ...result });
 });
 
 // Handle job failures
 worker.on("failed", (job, err) => {
-  console.error(`Event processing failed: ${job?.id}`, err.message);
-
-  // Log additional context for debugging
-  if (job) {
-    console.error(`   Event ID: ${job.data.eventId}`);
-    console.error(`   Event Type: ${job.data.eventType}`);
-  }
+  logger.error("Event processing failed", {
+    jobId: job?.id,
+    requestId: job?.data.requestId,
+    eventType: job?.data.eventType,
+    error: err,
+  });
 });
 
 // Handle worker errors
 worker.on("error", (err) => {
-  console.error("Event processor worker error:", err);
+  logger.error("Event processor worker error", { error: err });
 });
 
 // Handle stalled jobs
 worker.on("stalled", (jobId) => {
-  console.warn(`Event processing job stalled: ${jobId}`);
+  logger.warn("Event processing job stalled", { jobId });
 });
 
-console.log("   Event processor worker started...");
-console.log("   Listening on queue: event-processing");
-console.log("   Concurrency: 5 jobs");
+// ==================== DATABASE CONNECTION ====================
+mongoose
+  .connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/algohire-webhooks"
+  )
+  .then(() => logger.info("Connected to MongoDB"))
+  .catch((error) => {
+    logger.error("MongoDB connection error", { error });
+    process.exit(1); // Exit process if database connection fails
+  });
+
+// ==================== OUTBOX RELAY ====================
+// Queue events that were stored but never dispatched - the ingestion request
+// failed to reach the queue or died before it could (see OutboxService)
+const OUTBOX_RELAY_INTERVAL_MS =
+  parseInt(process.env.OUTBOX_RELAY_INTERVAL_MS, 10) || 5 * 1000;
+
+let relayRunning = false;
+const outboxRelay = setInterval(async () => {
+  // While Redis is down a run waits for it - do not stack more runs behind it
+  if (relayRunning) {
+    return;
+  }
+  relayRunning = true;
+  try {
+    const result = await OutboxService.relay();
+    if (result?.dispatched > 0) {
+      logger.warn("Outbox relay dispatched stored events", result);
+    }
+    if (result?.failed > 0) {
+      logger.error("Outbox relay could not dispatch events", result);
+    }
+  } catch (error) {
+    logger.error("Outbox relay failed", { error: error.message });
+  } finally {
+    relayRunning = false;
+  }
+}, OUTBOX_RELAY_INTERVAL_MS).unref();
+
+// ==================== METRICS ====================
+const metricsServer = startMetricsServer(
+  parseInt(process.env.EVENT_WORKER_METRICS_PORT, 10) || 9102
+);
+
+// ==================== HEALTH ====================
+// /health/live and /health/ready for orchestrators (see WorkerHealth)
+health.attach(worker);
+const healthServer = health.listen(
+  parseInt(process.env.EVENT_WORKER_HEALTH_PORT, 10) || 9112
+);
+
+logger.info("Event processor worker started", {
+  queue: "event-processing",
+  concurrency: 5,
+});
+
+// ==================== GRACEFUL SHUTDOWN ====================
+// On SIGTERM/SIGINT: stop taking jobs and let active ones finish, then close
+// connections (see src/utils/shutdown.js)
+onShutdown("outbox relay", async () => clearInterval(outboxRelay));
+onShutdown("worker", () => closeWorker(worker));
+onShutdown("queues", () =>
+  Promise.all([webhookQueue.close(), eventQueue.close()])
+);
+onShutdown("metrics and health servers", () =>
+  Promise.all([closeServer(metricsServer), closeServer(healthServer)])
+);
+onShutdown("redis", () => redisClient.quit());
+onShutdown("mongodb", () => mongoose.disconnect());
+onShutdown("tracing", () => shutdownTracing());
+installShutdownHandlers();
@@ -1,48 +1,412 @@
-import { Worker } from "bullmq";
+import "dotenv/config"; // Before the imports below read their settings
+import mongoose from "mongoose";
+import { Worker, DelayedError } from "bullmq";
 import axios from "axios";
+import { v4 as uuidv4 } from "uuid";
 import redisClient from "../utils/redis.js";
+import { webhookQueue, eventQueue } from "../utils/queue.js";
+import { parseRetryAfter } from "../utils/retryAfter.js";
 import Event from "../models/Event.js";
 import Subscription from "../models/Subscription.js";
 import DeliveryLog from "../models/DeliveryLog.js";
+import DeadLetter from "../models/DeadLetter.js";
 import { HMACService } from "../services/hmacService.js";
+import { TransformService } from "../services/transformService.js";
+import { DeadLetterService } from "../services/deadLetterService.js";
+import { CircuitBreakerService } from "../services/circuitBreakerService.js";
+import { FailurePolicyService } from "../services/failurePolicyService.js";
+import { ResponseClassificationService } from "../services/responseClassificationService.js";
+import { RetryPolicyService } from "../services/retryPolicyService.js";
+import { OrderingService } from "../services/orderingService.js";
+import { BatchService, BATCH_FLUSH_JOB } from "../services/batchService.js";
+import { RateLimitService } from "../services/rateLimitService.js";
+import {
+  deliveries,
+  deliveryDuration,
+  deliveryLag,
+  statusClass,
+  startMetricsServer,
+} from "../utils/metrics.js";
+import { WorkerHealth } from "../utils/workerHealth.js";
+import {
+  onShutdown,
+  closeServer,
+  closeWorker,
+  installShutdownHandlers,
+} from "../utils/shutdown.js";
+import {
+  createLogger,
+  addLogContext,
+  withJobLogContext,
+} from "../utils/logger.js";
+import {
+  initTracing,
+  injectTraceContext,
+  linkTraceContexts,
+  setSpanAttributes,
+  tracedProcessor,
+  withSpan,
+  shutdownTracing,
+  SpanKind,
+  SpanStatusCode,
+} from "../utils/tracing.js";
+
+const logger = createLogger("webhookWorker");
+
+initTracing("webhook-delivery-worker");
 
 /**
  * Webhook Delivery Worker
  * Handles actual HTTP delivery of webhooks to external endpoints
  * Implements retry logic, HMAC signing, and comprehensive logging
+ *
+ * Every delivery attempt is its own single-attempt job. A failed attempt
+ * records nextRetryAt on its DeliveryLog and queues the next attempt for that
+ * time, until the subscription's maxRetries is reached.
+ *
+ * Batch subscriptions deliver several events in one request: flush jobs
+ * (BATCH_FLUSH_JOB) turn the subscription's buffer into a delivery job with
+ * a batchId and eventIds, which is signed, logged and retried as one. A
+ * batch subscription only ever receives batch envelopes: a single event
+ * delivered to it (dead-letter or backlog replay) goes out as a batch of one.
+ *
+ * Each job runs in a span that continues the trace in job.data.traceContext,
+ * and the webhook request carries a W3C traceparent header. Retries continue
+ * the failed attempt's trace; deliveries without one (batches, replays) link
+ * to the traces of their events.
+ */
+
+// Responses that mean "slow down" rather than "broken"
+const THROTTLED_STATUSES = [429, 503];
+
+// Upper bound for a receiver-requested Retry-After delay (default 1 hour)
+const RETRY_AFTER_MAX_MS =
+  parseInt(process.env.RETRY_AFTER_MAX_MS, 10) || 60 * 60 * 1000;
+
+/**
+ * Delay before the next attempt
+ * The subscription's retry policy, pushed out to the receiver's Retry-After
+ * if it asks for longer (Retry-After is capped at RETRY_AFTER_MAX_MS)
+ * @param {object} subscription - Subscription document
+ * @param {number} deliveryAttempt - Attempt that just failed
+ * @param {number|null} retryAfterMs - Parsed Retry-After header
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (subscription, deliveryAttempt, retryAfterMs) => {
+  const policyDelay = RetryPolicyService.getDelay(
+    subscription.retryPolicy,
+    deliveryAttempt
+  );
+  if (retryAfterMs === null) {
+    return policyDelay;
+  }
+  return Math.max(Math.min(retryAfterMs, RETRY_AFTER_MAX_MS), policyDelay);
+};
+
+/**
+ * Count a finished delivery attempt in the Prometheus metrics
+ * @param {object} subscription - Subscription document
+ * @param {object} deliveryLog - Saved DeliveryLog of the attempt
+ */
+const recordOutcome = (subscription, deliveryLog) => {
+  deliveries.inc({
+    subscription_id: subscription._id.toString(),
+    subscription_name: subscription.name,
+    status_class: statusClass(deliveryLog.responseStatus),
+    outcome: deliveryLog.status,
+  });
+};
+
+/**
+ * Build a delivery's request: the payload after the subscription's transform
+ * (or the batch envelope), serialized once, and the headers that sign it
+ * @param {object} subscription - Subscription document, with its secrets
+ * @param {object[]} events - Events delivered (one unless batched)
+ * @param {string} [batchId] - Batch ID of a batch delivery
+ * @param {object} deliveryLog - Unsaved DeliveryLog of the attempt
+ * @returns {{requestBody: string, headers: object}}
+ * @throws If the payload cannot be transformed, serialized or signed
  */
+const prepareRequest = (subscription, events, batchId, deliveryLog) => {
+  const [event] = events;
+
+  // ==================== PAYLOAD TRANSFORMATION ====================
+  // Reshape the payload for this receiver before it is signed
+  // (per event inside a batch envelope)
+  let body;
+  if (batchId) {
+    body = BatchService.buildEnvelope(batchId, events, subscription);
+  } else {
+    body =
+      subscription.transform === null || subscription.transform === undefined
+        ? event.payload
+        : TransformService.render(subscription.transform, event);
+  }
+
+  // ==================== BODY SERIALIZATION ====================
+  // Serialize once - these exact bytes are both signed and sent
+  const requestBody = HMACService.serializePayload(
+    body,
+    subscription.canonicalization
+  );
+
+  // ==================== HMAC SIGNATURE GENERATION ====================
+  // Generate cryptographic signature for payload verification
+  // During a secret rotation both the new and the previous secret sign
+  const secrets = subscription.getSigningSecrets();
+  const signatureHeaders =
+    subscription.signatureScheme === "standard-webhooks"
+      ? // webhook-id is the event (or batch) ID so receivers can
+        // deduplicate retries
+        HMACService.generateStandardHeaders(
+          batchId || event.eventId,
+          requestBody,
+          secrets
+        )
+      : {
+          // HMAC signature(s) for verification
+          "X-Algohire-Signature": HMACService.generateSignatureHeader(
+            requestBody,
+            secrets
+          ),
+        };
+
+  logger.debug("Generated HMAC signature");
+
+  // ==================== REQUEST CONFIGURATION ====================
+  // Prepare HTTP headers for webhook delivery
+  const headers = {
+    "Content-Type": "application/json",
+    ...signatureHeaders,
+    ...(batchId
+      ? {
+          "X-Algohire-Batch-Id": batchId, // Batch ID
+          "X-Algohire-Batch-Size": events.length.toString(), // Events in batch
+        }
+      : {
+          "X-Algohire-Event-Type": event.eventType, // Type of event
+          "X-Algohire-Event-Id": event.eventId, // Public event ID
+        }),
+    "X-Algohire-Delivery-Id": deliveryLog._id.toString(), // Unique delivery ID
+    "X-Algohire-Attempt": deliveryLog.deliveryAttempt.toString(), // Attempt number
+    "User-Agent": "Algohire-Webhook-Relay/1.0", // Identify our service
+  };
+
+  return { requestBody, headers };
+};
+
+/**
+ * Queue the attempt that follows a failed one, due at its nextRetryAt
+ * The job ID is derived from the failed attempt's log, so queueing the same
+ * retry twice (e.g. from the recovery sweep) adds only one job.
+ * @param {object} deliveryLog - Failed attempt with nextRetryAt set
+ * @param {string} [deadLetterId] - Dead letter being replayed, if any
+ * @returns {Promise<void>}
+ */
+const scheduleRetry = async (deliveryLog, deadLetterId) => {
+  await webhookQueue.add(
+    "webhook-delivery",
+    {
+      eventId: deliveryLog.eventId,
+      subscriptionId: deliveryLog.subscriptionId,
+      deliveryAttempt: deliveryLog.deliveryAttempt + 1,
+      previousDeliveryId: deliveryLog._id,
+      deadLetterId,
+      orderingKey: deliveryLog.orderingKey,
+      batchId: deliveryLog.batchId,
+      eventIds: deliveryLog.batchEventIds,
+      traceContext: injectTraceContext(),
+    },
+    {
+      jobId: `retry-${deliveryLog._id}`,
+      delay: Math.max(deliveryLog.nextRetryAt.getTime() - Date.now(), 0),
+    }
+  );
+};
+
+/**
+ * Wrap the delivery processor so a FIFO delivery releases its ordering key
+ * once it has finished - delivered, given up on, or undeliverable. Held
+ * deliveries (DelayedError) and scheduled retries keep the key blocked.
+ * @param {Function} processor - BullMQ processor
+ * @returns {Function} Processor
+ */
+const releasingOrderingKey = (processor) => async (job, token) => {
+  const { orderingKey, eventId, subscriptionId } = job.data;
+  if (!orderingKey) {
+    return processor(job, token);
+  }
+
+  let result;
+  try {
+    result = await processor(job, token);
+  } catch (error) {
+    if (!(error instanceof DelayedError)) {
+      await OrderingService.release(subscriptionId, orderingKey, eventId);
+    }
+    throw error;
+  }
+
+  if (!result?.nextRetryAt) {
+    await OrderingService.release(subscriptionId, orderingKey, eventId);
+  }
+  return result;
+};
+
+// Running jobs and worker state for the health server
+const health = new WorkerHealth("webhook-delivery");
+
+/**
+ * Delivery processor with its wrappers: a span per job, the job's log
+ * context, then the ordering key release for FIFO deliveries
+ * @param {Function} processor - BullMQ processor
+ * @returns {Function} Processor
+ */
+const deliveryProcessor = (processor) =>
+  tracedProcessor(
+    withJobLogContext(health.track(releasingOrderingKey(processor)))
+  );
 
 // Create worker instance for webhook-delivery queue
 const worker = new Worker(
   "webhook-delivery",
-  async (job) => {
-    const { eventId, subscriptionId, deliveryAttempt = 1 } = job.data;
+  deliveryProcessor(async (job, token) => {
+    // ==================== BATCH FLUSH ====================
+    // Turn a batch subscription's buffered events into one delivery job
+    if (job.name === BATCH_FLUSH_JOB) {
+      const subscription = await Subscription.findById(job.data.subscriptionId);
+      if (!subscription) {
+        return { batchId: null, flushed: 0 };
+      }
+      const { batchId, size } = await BatchService.flush(subscription);
+      return { batchId, flushed: size };
+    }
 
-    console.log(
-      `Webhook delivery attempt #${deliveryAttempt} for event: ${eventId}`
-    );
+    const {
+      eventId,
+      subscriptionId,
+      previousDeliveryId,
+      deadLetterId,
+      eventIds,
+    } = job.data;
+    const deliveryAttempt = job.data.deliveryAttempt || 1;
+
+    addLogContext({
+      deliveryAttempt,
+      ...(job.data.batchId && { batchId: job.data.batchId }),
+    });
+    logger.debug("Webhook delivery attempt");
+
+    // ==================== RETRY SCHEDULE ====================
+    // The failed attempt's nextRetryAt decides when its retry may run -
+    // a retry that comes up early (e.g. promoted by hand) waits for it
+    let firstAttemptAt = new Date();
+    if (previousDeliveryId) {
+      const previousLog = await DeliveryLog.findById(previousDeliveryId);
+      if (previousLog?.nextRetryAt && previousLog.nextRetryAt > Date.now()) {
+        await job.moveToDelayed(previousLog.nextRetryAt.getTime(), token);
+        throw new DelayedError();
+      }
+
+      firstAttemptAt = previousLog?.firstAttemptAt || firstAttemptAt;
+
+      // Taken up - the recovery sweep below no longer needs to queue it
+      await DeliveryLog.updateOne(
+        { _id: previousDeliveryId },
+        { $set: { retriedAt: new Date() } }
+      );
+    }
 
     // ==================== DATA VALIDATION ====================
     // Fetch event and subscription data
-    const [event, subscription] = await Promise.all([
-      Event.findById(eventId),
-      Subscription.findById(subscriptionId),
+    const [events, subscription] = await Promise.all([
+      // A batch delivers several events, a regular delivery one
+      Event.find({ _id: { $in: job.data.batchId ? eventIds : [eventId] } }),
+      // Secrets are needed for signing
+      Subscription.findById(subscriptionId).select("+secret +previousSecret"),
     ]);
 
+    // Keep batched events in the order they were buffered
+    const position = new Map((eventIds || []).map((id, i) => [String(id), i]));
+    events.sort(
+      (a, b) => position.get(String(a._id)) - position.get(String(b._id))
+    );
+    const event = events[0];
+    // Batches and replays start their own trace - link it to the events'
+    if (!job.data.traceContext) {
+      linkTraceContexts(events.map((linked) => linked.traceContext));
+    }
+
     // Validate that both event and subscription exist and are active
     if (!event) {
-      throw new Error(`Event not found: ${eventId}`);
+      throw new Error(`Event not found: ${job.data.batchId || eventId}`);
     }
     if (!subscription) {
       throw new Error(`Subscription not found: ${subscriptionId}`);
     }
     if (!subscription.isActive) {
+      // Deliveries still queued when the subscription was disabled (pending
+      // retries, or events queued just before) are not part of the backlog
+      // replay, which starts at disabledAt - dead-letter them so they can be
+      // replayed once the subscription is enabled again
+      const error = `Subscription disabled before delivery${
+        subscription.disabledReason ? `: ${subscription.disabledReason}` : ""
+      }`;
+
+      // A FIFO head takes the events waiting behind it along, instead of
+      // releasing them one by one into the same check
+      const undeliverable = [...events];
+      if (job.data.orderingKey) {
+        const waiting = await OrderingService.drain(
+          subscriptionId,
+          job.data.orderingKey
+        );
+        undeliverable.push(
+          ...(await Event.find({
+            _id: { $in: waiting.filter((id) => id !== String(eventId)) },
+          }))
+        );
+      }
+
+      for (const undelivered of undeliverable) {
+        await DeadLetterService.record(undelivered, subscription, { error });
+      }
+      logger.warn("Subscription inactive - delivery moved to dead letters", {
+        subscriptionId,
+        events: undeliverable.length,
+      });
       throw new Error(`Subscription is inactive: ${subscriptionId}`);
     }
 
-    console.log(
-      `Validated delivery: ${subscription.name} -> ${event.eventType}`
-    );
+    // A single event for a batch subscription becomes a batch of one; its
+    // retries carry the batch ID on, like those of a flushed batch
+    const batchId =
+      job.data.batchId ||
+      (subscription.deliveryMode === "batch" ? `batch_${uuidv4()}` : undefined);
+    if (batchId && !job.data.batchId) {
+      addLogContext({ batchId });
+    }
+
+    setSpanAttributes({
+      "algohire.subscription.id": subscription._id.toString(),
+      "algohire.event.id": event.eventId,
+      "algohire.delivery.attempt": deliveryAttempt,
+      ...(batchId && {
+        "algohire.batch.id": batchId,
+        "algohire.batch.size": events.length,
+      }),
+    });
+
+    addLogContext({
+      eventId: event.eventId,
+      ...(event.requestId && { requestId: event.requestId }),
+    });
+    logger.debug("Validated delivery", {
+      subscriptionName: subscription.name,
+      ...(batchId
+        ? { batchSize: events.length }
+        : { eventType: event.eventType }),
+    });
 
     // ==================== DELIVERY LOG CREATION ====================
     // Create delivery log entry to track this attempt
@@ -50,46 +414,133 @@ const worker = new Worker(
       eventId: event._id,
       subscriptionId: subscription._id,
       deliveryAttempt,
+      firstAttemptAt,
+      orderingKey: job.data.orderingKey,
+      batchId,
+      batchEventIds: batchId ? events.map((batched) => batched._id) : undefined,
       status: "pending",
     });
+    addLogContext({ deliveryId: deliveryLog._id });
 
+    // ==================== REQUEST PREPARATION ====================
+    // Built before the endpoint's rate limit and circuit are involved. A
+    // failure here is on our side (e.g. a template that cannot be rendered)
+    // and would repeat on every retry, so it is dead-lettered as permanent
+    // without counting against the endpoint's circuit or failure policy
+    let request;
     try {
-      // ==================== HMAC SIGNATURE GENERATION ====================
-      // Generate cryptographic signature for payload verification
-      const signature = HMACService.generateSignature(
-        event.payload,
-        subscription.secret
-      );
+      request = prepareRequest(subscription, events, batchId, deliveryLog);
+    } catch (error) {
+      deliveryLog.status = "failed";
+      deliveryLog.classification = "permanent";
+      deliveryLog.error = `Request could not be prepared: ${error.message}`;
+      await deliveryLog.save();
+      recordOutcome(subscription, deliveryLog);
 
-      console.log(`Generated HMAC signature for delivery: ${deliveryLog._id}`);
-
-      // ==================== REQUEST CONFIGURATION ====================
-      // Prepare HTTP headers for webhook delivery
-      const headers = {
-        "Content-Type": "application/json",
-        "X-Algohire-Signature": signature, // HMAC signature for verification
-        "X-Algohire-Event-Type": event.eventType, // Type of event
-        "X-Algohire-Event-Id": event.eventId, // Public event ID
-        "X-Algohire-Delivery-Id": deliveryLog._id.toString(), // Unique delivery ID
-        "X-Algohire-Attempt": deliveryAttempt.toString(), // Attempt number
-        "User-Agent": "Algohire-Webhook-Relay/1.0", // Identify our service
-      };
+      for (const failedEvent of events) {
+        await DeadLetterService.record(failedEvent, subscription, deliveryLog);
+      }
+      logger.error("Request could not be prepared - moved to dead letters", {
+        error: error.message,
+      });
+      throw new Error(deliveryLog.error);
+    }
+    const { requestBody, headers } = request;
+
+    // ==================== RATE LIMITING ====================
+    // Deliveries over the subscription's request rate or in-flight limit
+    // are deferred - like circuit holds, this does not use up an attempt
+    const slotId = job.id;
+    const limit = await RateLimitService.acquire(subscription, slotId);
+    if (!limit.allowed) {
+      logger.info("Rate limited - deferring delivery", {
+        reason: limit.reason,
+        retryAt: new Date(limit.retryAt),
+      });
+      await job.moveToDelayed(limit.retryAt, token);
+      throw new DelayedError();
+    }
+
+    // ==================== CIRCUIT BREAKER ====================
+    // While the endpoint's circuit is open, hold the delivery without
+    // attempting it - held time does not use up retry attempts
+    let circuit;
+    try {
+      circuit = await CircuitBreakerService.acquire(subscription);
+    } catch (error) {
+      // Free the slot taken above instead of holding it until its TTL
+      await RateLimitService.release(subscription, slotId);
+      throw error;
+    }
+    if (!circuit.allowed) {
+      logger.info("Circuit open - holding delivery", {
+        circuit: circuit.key,
+        retryAt: new Date(circuit.retryAt),
+      });
+      await RateLimitService.release(subscription, slotId);
+      await job.moveToDelayed(circuit.retryAt, token);
+      throw new DelayedError();
+    }
 
+    // Stops the request latency timer once the request has finished
+    let stopTimer = null;
+
+    try {
       // ==================== WEBHOOK DELIVERY ====================
-      // Send HTTP POST request to webhook URL
-      const response = await axios.post(
-        subscription.webhookUrl,
-        event.payload, // Send the actual event payload
+      // Send HTTP POST request to webhook URL, in a CLIENT span whose
+      // context goes out as the traceparent header
+      stopTimer = deliveryDuration.startTimer({
+        subscription_id: subscription._id.toString(),
+      });
+      const response = await withSpan(
+        "POST",
         {
-          headers,
-          timeout: subscription.timeout, // Use subscription-specific timeout
-          maxRedirects: 2, // Allow up to 2 redirects
-          validateStatus: function (status) {
-            // Consider any status < 500 as success (even 4xx)
-            return status < 500;
+          kind: SpanKind.CLIENT,
+          attributes: {
+            "http.request.method": "POST",
+            "url.full": subscription.webhookUrl,
           },
+        },
+        undefined,
+        async (span) => {
+          const clientResponse = await axios.post(
+            subscription.webhookUrl,
+            Buffer.from(requestBody), // Exact signed bytes - axios sends Buffers untouched
+            {
+              headers: { ...headers, ...injectTraceContext() },
+              timeout: subscription.timeout, // Use subscription-specific timeout
+              maxRedirects: 2, // Allow up to 2 redirects
+              validateStatus: () => true, // Classified below, per subscription
+            }
+          );
+          span.setAttribute("http.response.status_code", clientResponse.status);
+          if (clientResponse.status >= 400) {
+            span.setStatus({ code: SpanStatusCode.ERROR });
+          }
+          return clientResponse;
         }
       );
+      stopTimer({ status_class: statusClass(response.status) });
+      stopTimer = null;
+      await RateLimitService.release(subscription, slotId);
+
+      // ==================== RESPONSE CLASSIFICATION ====================
+      // The subscription's rules decide whether the status is a success,
+      // a retryable failure or a permanent failure
+      const outcome = ResponseClassificationService.classify(
+        response.status,
+        subscription.responseClassification
+      );
+      deliveryLog.classification = outcome;
+
+      if (outcome !== "success") {
+        const httpError = new Error(
+          `Request failed with status code ${response.status}`
+        );
+        httpError.response = response;
+        httpError.outcome = outcome;
+        throw httpError;
+      }
 
       // ==================== SUCCESS HANDLING ====================
       // Update delivery log with success information
@@ -103,8 +554,23 @@ const worker = new Worker(
       deliveryLog.hmacVerified = true;
 
       await deliveryLog.save();
+      recordOutcome(subscription, deliveryLog);
+      for (const delivered of events) {
+        deliveryLag.observe(
+          { subscription_id: subscription._id.toString() },
+          (deliveryLog.deliveredAt - delivered.createdAt) / 1000
+        );
+      }
+
+      await CircuitBreakerService.recordSuccess(circuit.key);
+      await FailurePolicyService.recordSuccess(subscription);
+
+      // A successful replay resolves its dead letter
+      if (deadLetterId) {
+        await DeadLetterService.markReplayed(deadLetterId);
+      }
 
-      console.log(`Webhook delivered successfully: HTTP ${response.status}`);
+      logger.info("Webhook delivered", { status: response.status });
 
       return {
         success: true,
@@ -113,11 +579,34 @@ const worker = new Worker(
       };
     } catch (error) {
       // ==================== ERROR HANDLING ====================
-      console.error(`Webhook delivery failed: ${error.message}`);
+      logger.warn("Webhook delivery failed", {
+        status: error.response?.status,
+        error: error.message,
+      });
+      await RateLimitService.release(subscription, slotId);
+
+      // The request itself failed (timeout, connection error)
+      if (stopTimer) {
+        stopTimer({ status_class: "network" });
+      }
+
+      // Network errors and timeouts have no response and are retryable
+      const permanent = error.outcome === "permanent";
+      deliveryLog.classification = permanent ? "permanent" : "retryable";
+
+      // Throttling responses (429/503) are recorded separately from hard failures
+      const throttled =
+        !permanent && THROTTLED_STATUSES.includes(error.response?.status);
+      const retryAfterMs = parseRetryAfter(
+        error.response?.headers?.["retry-after"]
+      );
 
       // Update delivery log with error information
-      deliveryLog.status = "failed";
+      deliveryLog.status = throttled ? "throttled" : "failed";
       deliveryLog.error = error.message;
+      if (retryAfterMs !== null) {
+        deliveryLog.retryAfterMs = retryAfterMs;
+      }
 
       // Extract response details if available
       if (error.response) {
@@ -133,33 +622,109 @@ const worker = new Worker(
 
       await deliveryLog.save();
 
-      // ==================== RETRY LOGIC ====================
-      // Check if we should retry this delivery
-      const shouldRetry = deliveryAttempt < subscription.maxRetries;
+      // A throttling endpoint is alive, so only hard failures count towards
+      // the circuit breaker and the failure policy. Permanent failures are
+      // answers from a reachable endpoint: they close the circuit like a
+      // success, so a half-open probe does not leave it stuck.
+      if (throttled) {
+        await CircuitBreakerService.recordThrottled(circuit.key);
+      } else {
+        if (permanent) {
+          await CircuitBreakerService.recordSuccess(circuit.key);
+        } else {
+          await CircuitBreakerService.recordFailure(
+            circuit.key,
+            deliveryLog.error
+          );
+        }
 
-      if (shouldRetry) {
-        console.log(
-          `Will retry delivery (attempt ${deliveryAttempt}/${subscription.maxRetries})`
-        );
+        // The failure policy may disable the subscription - remaining retries
+        // are then dead-lettered at the inactive check above
+        await FailurePolicyService.recordFailure(subscription);
+      }
 
-        // Calculate retry delay with exponential backoff
-        const retryDelay = Math.min(
-          1000 * Math.pow(2, deliveryAttempt - 1),
-          30000
+      // 410 Gone means the receiver removed the endpoint for good
+      if (
+        error.response?.status === 410 &&
+        subscription.responseClassification?.disableOnGone
+      ) {
+        await FailurePolicyService.disable(
+          subscription,
+          "Endpoint returned 410 Gone"
         );
-        deliveryLog.nextRetryAt = new Date(Date.now() + retryDelay);
-        deliveryLog.status = "retrying";
+      }
+
+      // ==================== RETRY LOGIC ====================
+      // The subscription's maxRetries is the only attempt limit; the retry
+      // policy decides when the next attempt runs and when to give up
+      const nextRetryAt = new Date(
+        Date.now() + getRetryDelay(subscription, deliveryAttempt, retryAfterMs)
+      );
+      const pastDeadline = RetryPolicyService.isPastDeadline(
+        subscription.retryPolicy,
+        firstAttemptAt,
+        nextRetryAt
+      );
+      const shouldRetry =
+        !permanent &&
+        !pastDeadline &&
+        deliveryAttempt < subscription.maxRetries;
+
+      if (shouldRetry) {
+        // Record when the next attempt is due, then queue it for that time
+        deliveryLog.nextRetryAt = nextRetryAt;
+        if (!throttled) {
+          deliveryLog.status = "retrying";
+        }
         await deliveryLog.save();
+        recordOutcome(subscription, deliveryLog);
+        await scheduleRetry(deliveryLog, deadLetterId);
 
-        throw new Error(`Delivery failed, will retry: ${error.message}`);
+        logger.info("Retry scheduled", {
+          maxRetries: subscription.maxRetries,
+          nextRetryAt: deliveryLog.nextRetryAt,
+        });
+
+        return {
+          success: false,
+          status: deliveryLog.responseStatus,
+          deliveryId: deliveryLog._id,
+          nextRetryAt: deliveryLog.nextRetryAt,
+        };
       } else {
-        console.log(`Max retries exceeded (${subscription.maxRetries})`);
+        if (permanent) {
+          logger.warn("Permanent failure - not retrying", {
+            status: error.response.status,
+          });
+        } else if (pastDeadline) {
+          logger.warn("Retry deadline passed", { firstAttemptAt });
+        } else {
+          logger.warn("Max retries exceeded", {
+            maxRetries: subscription.maxRetries,
+          });
+        }
+        recordOutcome(subscription, deliveryLog);
+
+        // ==================== DEAD LETTERING ====================
+        // Keep a durable record of the exhausted delivery for replay -
+        // one per event, so batched events are replayed individually
+        for (const failedEvent of events) {
+          const deadLetter = await DeadLetterService.record(
+            failedEvent,
+            subscription,
+            deliveryLog
+          );
+          logger.warn("Delivery moved to dead letters", {
+            deadLetterId: deadLetter._id,
+          });
+        }
+
         throw new Error(
-          `Delivery failed after ${subscription.maxRetries} attempts: ${error.message}`
+          `Delivery failed after ${deliveryAttempt} attempts: ${error.message}`
         );
       }
     }
-  },
+  }),
   {
     connection: redisClient,
     concurrency: 10, // Process 10 webhook deliveries simultaneously
@@ -170,35 +735,157 @@ const worker = new Worker(
 
 // Handle successful job completion
 worker.on("completed", (job, result) => {
-  console.log(`   Webhook delivery completed: ${job.id}`);
-  console.log(
-    `   Status: HTTP ${result.status}, Delivery ID: ${result.deliveryId}`
-  );
+  if (job.name === BATCH_FLUSH_JOB) {
+    logger.debug("Batch flushed", { jobId: job.id, ...result });
+    return;
+  }
+
+  logger.info("Webhook delivery job completed", {
+    jobId: job.id,
+    subscriptionId: job.data.subscriptionId,
+    ...result,
+  });
 });
 
 // Handle job failures
-worker.on("failed", (job, err) => {
-  console.error(`Webhook delivery failed: ${job?.id}`, err.message);
-
-  // Log additional context for debugging
-  if (job) {
-    console.error(`   Event: ${job.data.eventId}`);
-    console.error(`   Subscription: ${job.data.subscriptionId}`);
-    console.error(`   Attempt: ${job.data.deliveryAttempt}`);
+worker.on("failed", async (job, err) => {
+  logger.error("Webhook delivery job failed", {
+    jobId: job?.id,
+    subscriptionId: job?.data.subscriptionId,
+    deliveryAttempt: job?.data.deliveryAttempt,
+    error: err.message,
+  });
+
+  // A replay that ended before its dead letter was recorded again would
+  // otherwise stay "replaying" for good
+  if (job?.data.deadLetterId) {
+    try {
+      if (
+        await DeadLetterService.markReplayFailed(
+          job.data.deadLetterId,
+          err.message
+        )
+      ) {
+        logger.warn("Replay failed - dead letter returned to dead", {
+          deadLetterId: job.data.deadLetterId,
+        });
+      }
+    } catch (error) {
+      logger.error("Failed to reset replayed dead letter", {
+        deadLetterId: job.data.deadLetterId,
+        error: error.message,
+      });
+    }
   }
 });
 
 // Handle worker errors
 worker.on("error", (err) => {
-  console.error("Webhook worker error:", err);
+  logger.error("Webhook worker error", { error: err });
 });
 
 // Handle stalled jobs
 worker.on("stalled", (jobId) => {
-  console.warn(`Webhook delivery job stalled: ${jobId}`);
+  logger.warn("Webhook delivery job stalled", { jobId });
+});
+
+// ==================== SECRET REVOCATION SWEEP ====================
+// Drop previous secrets once their rotation overlap window has ended.
+// Deliveries already ignore expired secrets; this removes them from storage.
+const SECRET_SWEEP_INTERVAL_MS =
+  parseInt(process.env.SECRET_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+
+const secretSweep = setInterval(async () => {
+  try {
+    const revoked = await Subscription.revokeExpiredSecrets();
+    if (revoked > 0) {
+      logger.info("Revoked expired previous secrets", { count: revoked });
+    }
+  } catch (error) {
+    logger.error("Secret revocation sweep failed", { error: error.message });
+  }
+}, SECRET_SWEEP_INTERVAL_MS).unref();
+
+// ==================== RETRY RECOVERY SWEEP ====================
+// DeliveryLog.nextRetryAt is the source of truth for pending retries. If a
+// retry job was lost (e.g. Redis was flushed or the worker crashed between
+// saving the log and queueing the job), queue it again once it is overdue.
+const RETRY_SWEEP_INTERVAL_MS =
+  parseInt(process.env.RETRY_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+
+// How long past nextRetryAt a retry may sit unclaimed before it is re-queued
+const RETRY_SWEEP_GRACE_MS =
+  parseInt(process.env.RETRY_SWEEP_GRACE_MS, 10) || 5 * 60 * 1000;
+
+const retrySweep = setInterval(async () => {
+  try {
+    const overdue = await DeliveryLog.find({
+      status: { $in: ["retrying", "throttled"] },
+      nextRetryAt: { $lte: new Date(Date.now() - RETRY_SWEEP_GRACE_MS) },
+      retriedAt: null,
+    }).limit(500);
+
+    for (const deliveryLog of overdue) {
+      // Keep a dead letter replay linked to its retries
+      const deadLetter = await DeadLetter.findOne({
+        eventId: deliveryLog.eventId,
+        subscriptionId: deliveryLog.subscriptionId,
+        status: "replaying",
+      }).select("_id");
+      await scheduleRetry(deliveryLog, deadLetter?._id);
+    }
+
+    if (overdue.length > 0) {
+      logger.warn("Re-queued overdue retries", { count: overdue.length });
+    }
+  } catch (error) {
+    logger.error("Retry recovery sweep failed", { error: error.message });
+  }
+}, RETRY_SWEEP_INTERVAL_MS).unref();
+
+// ==================== DATABASE CONNECTION ====================
+mongoose
+  .connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/algohire-webhooks"
+  )
+  .then(() => logger.info("Connected to MongoDB"))
+  .catch((error) => {
+    logger.error("MongoDB connection error", { error });
+    process.exit(1); // Exit process if database connection fails
+  });
+
+// ==================== METRICS ====================
+const metricsServer = startMetricsServer(
+  parseInt(process.env.WEBHOOK_WORKER_METRICS_PORT, 10) || 9101
+);
+
+// ==================== HEALTH ====================
+// /health/live and /health/ready for orchestrators (see WorkerHealth)
+health.attach(worker);
+const healthServer = health.listen(
+  parseInt(process.env.WEBHOOK_WORKER_HEALTH_PORT, 10) || 9111
+);
+
+logger.info("Webhook delivery worker started", {
+  queue: "webhook-delivery",
+  concurrency: 10,
 });
 
-console.log("   Webhook delivery worker started...");
-console.log("   Listening on queue: webhook-delivery");
-console.log("   Concurrency: 10 deliveries");
-console.log("   Timeout: Configurable per subscription");
+// ==================== GRACEFUL SHUTDOWN ====================
+// On SIGTERM/SIGINT: stop taking jobs and let active ones finish, then close
+// connections (see src/utils/shutdown.js)
+onShutdown("sweeps", async () => {
+  clearInterval(secretSweep);
+  clearInterval(retrySweep);
+});
+onShutdown("worker", () => closeWorker(worker));
+onShutdown("queues", () =>
+  Promise.all([webhookQueue.close(), eventQueue.close()])
+);
+onShutdown("metrics and health servers", () =>
+  Promise.all([closeServer(metricsServer), closeServer(healthServer)])
+);
+onShutdown("redis", () => redisClient.quit());
+onShutdown("mongodb", () => mongoose.disconnect());
+onShutdown("tracing", () => shutdownTracing());
+installShutdownHandlers();
@@ -0,0 +1,66 @@
+// backend/tests/auth.test.js
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import redisClient from "../src/utils/redis.js";
+import { getCookie, requireScope } from "../src/middleware/auth.js";
+
+// Nothing here talks to Redis - do not keep reconnecting after the tests
+after(() => redisClient.disconnect());
+
+/**
+ * Minimal Express request with the given headers
+ * @param {object} headers - Header name -> value
+ * @returns {object}
+ */
+const request = (headers = {}) => ({
+  get: (name) =>
+    Object.entries(headers).find(
+      ([key]) => key.toLowerCase() === name.toLowerCase()
+    )?.[1],
+});
+
+describe("getCookie", () => {
+  it("reads one cookie among several", () => {
+    const req = request({
+      Cookie: "theme=dark; algohire_session=abc%3D%3D; other=1",
+    });
+
+    assert.equal(getCookie(req, "algohire_session"), "abc==");
+    assert.equal(getCookie(req, "theme"), "dark");
+  });
+
+  it("does not match cookie names by prefix or suffix", () => {
+    const req = request({
+      Cookie: "x_algohire_session=1; algohire_sessionx=2",
+    });
+    assert.equal(getCookie(req, "algohire_session"), undefined);
+  });
+
+  it("handles requests without cookies", () => {
+    assert.equal(getCookie(request(), "algohire_session"), undefined);
+  });
+});
+
+describe("requireScope", () => {
+  it("answers 401 without an API key or session cookie", async () => {
+    let status;
+    let body;
+    const res = {
+      status(code) {
+        status = code;
+        return this;
+      },
+      json(payload) {
+        body = payload;
+        return this;
+      },
+    };
+
+    await requireScope("dashboard:read")(request(), res, () =>
+      assert.fail("next() must not be called")
+    );
+
+    assert.equal(status, 401);
+    assert.equal(body.success, false);
+  });
+});
@@ -0,0 +1,136 @@
+// backend/tests/batchService.test.js
+import { describe, it, beforeEach, afterEach, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { useMemoryRedis, disconnectRedis } from "./helpers/redis.js";
+import { webhookQueue } from "../src/utils/queue.js";
+import { BatchService, BATCH_FLUSH_JOB } from "../src/services/batchService.js";
+
+after(disconnectRedis);
+
+const subscription = {
+  _id: "sub_1",
+  batch: { maxSize: 3, maxWaitMs: 5000 },
+  transform: null,
+};
+
+const event = (id) => ({ _id: id });
+
+let redis;
+let queued;
+
+beforeEach(async () => {
+  redis = await useMemoryRedis();
+  queued = [];
+  mock.method(webhookQueue, "add", async (name, data, opts) => {
+    queued.push({ name, data, opts });
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("BatchService.add", () => {
+  it("opens a window with the first event", async () => {
+    assert.equal(await BatchService.add(event("e1"), subscription), 1);
+    assert.equal(await BatchService.add(event("e2"), subscription), 2);
+
+    assert.equal(queued.length, 1);
+    assert.equal(queued[0].name, BATCH_FLUSH_JOB);
+    assert.equal(queued[0].opts.delay, 5000);
+  });
+
+  it("flushes right away once the buffer is full", async () => {
+    for (const id of ["e1", "e2", "e3"]) {
+      await BatchService.add(event(id), subscription);
+    }
+
+    assert.deepEqual(
+      queued.map((job) => job.opts.delay),
+      [5000, 0]
+    );
+  });
+
+  it("buffers an event added twice once", async () => {
+    await BatchService.add(event("e1"), subscription);
+    assert.equal(await BatchService.add(event("e1"), subscription), 0);
+
+    assert.deepEqual(await redis.lrange("batch:sub_1", 0, -1), ["e1"]);
+    assert.equal(queued.length, 1);
+  });
+});
+
+describe("BatchService.flush", () => {
+  it("queues one delivery for up to maxSize events, in buffer order", async () => {
+    for (const id of ["e1", "e2", "e3", "e4"]) {
+      await BatchService.add(event(id), subscription);
+    }
+    queued = [];
+
+    const { batchId, size } = await BatchService.flush(subscription);
+
+    assert.equal(size, 3);
+    assert.match(batchId, /^batch_/);
+    const delivery = queued.find((job) => job.name === "webhook-delivery");
+    assert.deepEqual(delivery.data.eventIds, ["e1", "e2", "e3"]);
+    assert.equal(delivery.opts.jobId, batchId);
+
+    // The event left behind starts a new window
+    const flush = queued.find((job) => job.name === BATCH_FLUSH_JOB);
+    assert.equal(flush.opts.delay, 5000);
+    assert.deepEqual(await redis.lrange("batch:sub_1", 0, -1), ["e4"]);
+    assert.deepEqual(await redis.smembers("batch:sub_1:ids"), ["e4"]);
+  });
+
+  it("does nothing for an empty buffer", async () => {
+    assert.deepEqual(await BatchService.flush(subscription), {
+      batchId: null,
+      size: 0,
+    });
+    assert.equal(queued.length, 0);
+  });
+});
+
+describe("BatchService.buildEnvelope", () => {
+  const events = [
+    {
+      eventId: "evt_1",
+      eventType: "candidate.hired",
+      sourceModule: "ats",
+      createdAt: new Date("2026-03-01T12:00:00Z"),
+      payload: { name: "Ada" },
+    },
+    {
+      eventId: "evt_2",
+      eventType: "candidate.hired",
+      sourceModule: "ats",
+      createdAt: new Date("2026-03-01T12:01:00Z"),
+      payload: { name: "Grace" },
+    },
+  ];
+
+  it("wraps each event's payload", () => {
+    assert.deepEqual(
+      BatchService.buildEnvelope("batch_1", events, subscription),
+      {
+        batchId: "batch_1",
+        count: 2,
+        events: events.map((batched) => ({
+          eventId: batched.eventId,
+          eventType: batched.eventType,
+          sourceModule: batched.sourceModule,
+          timestamp: batched.createdAt,
+          data: batched.payload,
+        })),
+      }
+    );
+  });
+
+  it("applies the subscription's transform per event", () => {
+    const envelope = BatchService.buildEnvelope("batch_1", events, {
+      transform: { text: "Hired {{ payload.name }}" },
+    });
+    assert.deepEqual(
+      envelope.events.map((batched) => batched.data),
+      [{ text: "Hired Ada" }, { text: "Hired Grace" }]
+    );
+  });
+});
@@ -0,0 +1,129 @@
+// backend/tests/canonicalJson.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { canonicalize } from "../src/utils/canonicalJson.js";
+
+/**
+ * Number from its IEEE 754 bit pattern, as the RFC 8785 test vectors list them
+ * @param {string} hex - 16 hex digits
+ * @returns {number}
+ */
+const fromBits = (hex) => Buffer.from(hex, "hex").readDoubleBE(0);
+
+describe("canonicalize", () => {
+  // ==================== RFC 8785 VECTORS ====================
+
+  it("matches the RFC 8785 section 3.2.2 example", () => {
+    const input = JSON.parse(
+      '{"numbers":[333333333.33333329,1E30,4.50,2e-3,0.000000000000000000000000001],' +
+        '"string":"\\u20ac$\\u000F\\u000aA\'\\u0042\\u0022\\u005c\\\\\\"\\/",' +
+        '"literals":[null,true,false]}'
+    );
+
+    assert.equal(
+      canonicalize(input),
+      '{"literals":[null,true,false],' +
+        '"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27],' +
+        '"string":"€$\\u000f\\nA\'B\\"\\\\\\\\\\"/"}'
+    );
+  });
+
+  it("sorts keys by UTF-16 code units (RFC 8785 section 3.2.3)", () => {
+    const input = {
+      "€": "Euro Sign",
+      "\r": "Carriage Return",
+      דּ: "Hebrew Letter Dalet With Dagesh",
+      1: "One",
+      "😀": "Emoji: Grinning Face",
+      "\u0080": "Control",
+      ö: "Latin Small Letter O With Diaeresis",
+    };
+
+    assert.equal(
+      canonicalize(input),
+      '{"\\r":"Carriage Return","1":"One","\u0080":"Control",' +
+        '"ö":"Latin Small Letter O With Diaeresis","€":"Euro Sign",' +
+        '"😀":"Emoji: Grinning Face","דּ":"Hebrew Letter Dalet With Dagesh"}'
+    );
+  });
+
+  it("serializes numbers like the RFC 8785 appendix B vectors", () => {
+    const vectors = [
+      ["0000000000000000", "0"],
+      ["8000000000000000", "0"],
+      ["0000000000000001", "5e-324"],
+      ["8000000000000001", "-5e-324"],
+      ["7fefffffffffffff", "1.7976931348623157e+308"],
+      ["ffefffffffffffff", "-1.7976931348623157e+308"],
+      ["4340000000000000", "9007199254740992"],
+      ["c340000000000000", "-9007199254740992"],
+      ["4430000000000000", "295147905179352830000"],
+      ["44b52d02c7e14af5", "9.999999999999997e+22"],
+      ["44b52d02c7e14af6", "1e+23"],
+      ["3eb0c6f7a0b5ed8d", "0.000001"],
+      ["3eb0c6f7a0b5ed8c", "9.999999999999997e-7"],
+      ["41b3de4355555553", "333333333.3333332"],
+    ];
+
+    for (const [bits, expected] of vectors) {
+      assert.equal(canonicalize(fromBits(bits)), expected, bits);
+    }
+  });
+
+  it("rejects non-finite numbers", () => {
+    for (const bits of [
+      "7ff0000000000000",
+      "fff0000000000000",
+      "7fffffffffffffff",
+    ]) {
+      assert.throws(() => canonicalize({ value: fromBits(bits) }), TypeError);
+    }
+  });
+
+  // ==================== NESTED PAYLOADS ====================
+
+  it("sorts keys at every nesting level, including inside arrays", () => {
+    const payload = {
+      zeta: { b: 2, a: { d: [{ y: 1, x: 2 }], c: null } },
+      alpha: [3, { n: "two", m: "one" }, [{ q: true, p: false }]],
+    };
+
+    assert.equal(
+      canonicalize(payload),
+      '{"alpha":[3,{"m":"one","n":"two"},[{"p":false,"q":true}]],' +
+        '"zeta":{"a":{"c":null,"d":[{"x":2,"y":1}]},"b":2}}'
+    );
+  });
+
+  it("produces the same text regardless of key insertion order", () => {
+    const a = { user: { name: "Zoë", id: 7 }, tags: ["b", "a"], at: 1 };
+    const b = { at: 1, tags: ["b", "a"], user: { id: 7, name: "Zoë" } };
+
+    assert.equal(canonicalize(a), canonicalize(b));
+  });
+
+  it("keeps array order", () => {
+    assert.equal(canonicalize([3, 1, 2]), "[3,1,2]");
+  });
+
+  it("leaves non-ASCII characters unescaped", () => {
+    assert.equal(
+      canonicalize({ name: "José 日本 😀", sep: " " }),
+      '{"name":"José 日本 😀","sep":" "}'
+    );
+  });
+
+  it("drops undefined members and nulls undefined array items", () => {
+    assert.equal(
+      canonicalize({ a: undefined, b: [undefined, () => 1], c: 1 }),
+      '{"b":[null,null],"c":1}'
+    );
+  });
+
+  it("serializes dates through toJSON()", () => {
+    assert.equal(
+      canonicalize({ at: new Date("2024-01-02T03:04:05.000Z") }),
+      '{"at":"2024-01-02T03:04:05.000Z"}'
+    );
+  });
+});
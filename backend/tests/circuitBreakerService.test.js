@@ -0,0 +1,151 @@
+// backend/tests/circuitBreakerService.test.js
+import { describe, it, beforeEach, afterEach, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { useMemoryRedis, disconnectRedis } from "./helpers/redis.js";
+import { CircuitBreakerService } from "../src/services/circuitBreakerService.js";
+
+after(disconnectRedis);
+
+// Defaults: 5 consecutive failures open a circuit for 30 seconds
+const { failureThreshold, cooldownMs } = CircuitBreakerService.getConfig();
+
+const subscription = {
+  _id: "sub_1",
+  webhookUrl: "https://receiver.example.com/hooks",
+  timeout: 5000,
+};
+const KEY = CircuitBreakerService.getKey(subscription);
+
+let now;
+
+const open = async () => {
+  for (let i = 0; i < failureThreshold; i++) {
+    await CircuitBreakerService.recordFailure(KEY, "HTTP 500");
+  }
+};
+
+const state = async () =>
+  (await CircuitBreakerService.listCircuits()).find(
+    (circuit) => circuit.key === KEY
+  );
+
+beforeEach(async () => {
+  await useMemoryRedis();
+  now = Date.parse("2026-03-01T12:00:00Z");
+  mock.method(Date, "now", () => now);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("CircuitBreakerService closed circuit", () => {
+  it("allows deliveries to an endpoint without a record", async () => {
+    assert.deepEqual(await CircuitBreakerService.acquire(subscription), {
+      key: "subscription:sub_1",
+      allowed: true,
+      probe: false,
+    });
+  });
+
+  it("opens once the failure threshold is reached", async () => {
+    for (let i = 1; i < failureThreshold; i++) {
+      assert.equal(
+        await CircuitBreakerService.recordFailure(KEY, "HTTP 500"),
+        "closed"
+      );
+    }
+    assert.equal(
+      await CircuitBreakerService.recordFailure(KEY, "HTTP 500"),
+      "open"
+    );
+
+    const circuit = await state();
+    assert.equal(circuit.state, "open");
+    assert.equal(circuit.failures, failureThreshold);
+    assert.equal(circuit.lastError, "HTTP 500");
+    assert.equal(circuit.cooldownEndsAt.getTime(), now + cooldownMs);
+  });
+
+  it("starts counting again after a success", async () => {
+    for (let i = 1; i < failureThreshold; i++) {
+      await CircuitBreakerService.recordFailure(KEY);
+    }
+    await CircuitBreakerService.recordSuccess(KEY);
+
+    assert.equal(await CircuitBreakerService.recordFailure(KEY), "closed");
+    assert.equal((await state()).failures, 1);
+  });
+
+  it("does not count throttling as a failure", async () => {
+    assert.equal(await CircuitBreakerService.recordThrottled(KEY), "closed");
+    assert.equal(await state(), undefined);
+  });
+});
+
+describe("CircuitBreakerService open circuit", () => {
+  it("holds deliveries until the cooldown has passed", async () => {
+    await open();
+    now += cooldownMs - 1;
+
+    assert.deepEqual(await CircuitBreakerService.acquire(subscription), {
+      key: KEY,
+      allowed: false,
+      retryAt: now + 1,
+    });
+  });
+
+  it("lets exactly one probe through after the cooldown", async () => {
+    await open();
+    now += cooldownMs;
+
+    const probe = await CircuitBreakerService.acquire(subscription);
+    assert.equal(probe.allowed, true);
+    assert.equal(probe.probe, true);
+    assert.equal((await state()).state, "half-open");
+
+    const held = await CircuitBreakerService.acquire(subscription);
+    assert.equal(held.allowed, false);
+    assert.equal(held.retryAt, now + subscription.timeout + 5000);
+  });
+});
+
+describe("CircuitBreakerService half-open circuit", () => {
+  const halfOpen = async () => {
+    await open();
+    now += cooldownMs;
+    await CircuitBreakerService.acquire(subscription);
+  };
+
+  it("closes when the probe succeeds", async () => {
+    await halfOpen();
+    await CircuitBreakerService.recordSuccess(KEY);
+
+    assert.equal(await state(), undefined);
+    assert.deepEqual(await CircuitBreakerService.acquire(subscription), {
+      key: KEY,
+      allowed: true,
+      probe: false,
+    });
+  });
+
+  it("reopens for another cooldown when the probe fails", async () => {
+    await halfOpen();
+    assert.equal(await CircuitBreakerService.recordFailure(KEY), "open");
+
+    const circuit = await state();
+    assert.equal(circuit.openedAt.getTime(), now);
+
+    const held = await CircuitBreakerService.acquire(subscription);
+    assert.equal(held.allowed, false);
+    assert.equal(held.retryAt, now + cooldownMs);
+  });
+
+  it("reopens and frees the probe slot when the probe is throttled", async () => {
+    await halfOpen();
+    assert.equal(await CircuitBreakerService.recordThrottled(KEY), "open");
+
+    now += cooldownMs;
+    const probe = await CircuitBreakerService.acquire(subscription);
+    assert.equal(probe.allowed, true);
+    assert.equal(probe.probe, true);
+  });
+});
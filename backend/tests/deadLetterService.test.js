@@ -0,0 +1,221 @@
+// backend/tests/deadLetterService.test.js
+import { describe, it, afterEach, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { disconnectRedis } from "./helpers/redis.js";
+import { webhookQueue } from "../src/utils/queue.js";
+import DeadLetter from "../src/models/DeadLetter.js";
+import DeliveryLog from "../src/models/DeliveryLog.js";
+import Subscription from "../src/models/Subscription.js";
+import { DeadLetterService } from "../src/services/deadLetterService.js";
+import { DeadLetterController } from "../src/controllers/deadLetterController.js";
+
+after(disconnectRedis);
+afterEach(() => mock.restoreAll());
+
+const ACTIVE_SUBSCRIPTION = "507f1f77bcf86cd799439011";
+const DELETED_SUBSCRIPTION = "507f1f77bcf86cd799439012";
+
+const deadLetter = (id, subscriptionId = ACTIVE_SUBSCRIPTION) => ({
+  _id: id,
+  eventId: `event-${id}`,
+  subscriptionId,
+  status: "dead",
+});
+
+/**
+ * Mock the models and queue used by a replay
+ * @param {Function} [addBulk] - Replacement for webhookQueue.addBulk
+ * @returns {{updates: object[][]}} Arguments of each DeadLetter.updateMany
+ */
+const mockReplay = (addBulk = async () => {}) => {
+  const updates = [];
+  mock.method(Subscription, "find", () => ({
+    select: async () => [{ _id: ACTIVE_SUBSCRIPTION }],
+  }));
+  mock.method(DeadLetter, "updateMany", async (...args) => {
+    updates.push(args);
+    return { modifiedCount: args[0]._id.$in.length };
+  });
+  mock.method(webhookQueue, "addBulk", addBulk);
+  return { updates };
+};
+
+/**
+ * Minimal Express response that records the status and JSON body
+ * @returns {object}
+ */
+const response = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+describe("DeadLetterService.record", () => {
+  it("upserts the pair in the dead status with the attempt history", async () => {
+    mock.method(DeliveryLog, "find", () => ({
+      sort: () => ({
+        limit: async () => [
+          { _id: "log2", deliveryAttempt: 2, status: "failed" },
+          { _id: "log1", deliveryAttempt: 1, status: "retrying" },
+        ],
+      }),
+    }));
+    mock.method(DeadLetter, "findOneAndUpdate", async (...args) => args);
+
+    const [filter, update, options] = await DeadLetterService.record(
+      { _id: "e1", eventType: "candidate.hired" },
+      { _id: ACTIVE_SUBSCRIPTION, name: "ATS", webhookUrl: "https://x.test" },
+      { error: "Request failed with status code 500", responseStatus: 500 }
+    );
+
+    assert.deepEqual(filter, {
+      eventId: "e1",
+      subscriptionId: ACTIVE_SUBSCRIPTION,
+    });
+    assert.equal(update.$set.status, "dead");
+    assert.equal(update.$set.finalError, "Request failed with status code 500");
+    assert.deepEqual(
+      update.$set.attempts.map((attempt) => attempt.deliveryAttempt),
+      [1, 2]
+    );
+    assert.equal(options.upsert, true);
+  });
+});
+
+describe("DeadLetterService.replay", () => {
+  it("marks queued dead letters replaying with a fresh retry budget", async () => {
+    const { updates } = mockReplay();
+
+    const results = await DeadLetterService.replay([
+      deadLetter("d1"),
+      deadLetter("d2", DELETED_SUBSCRIPTION),
+    ]);
+
+    assert.deepEqual(results, [
+      { id: "d1", status: "queued" },
+      {
+        id: "d2",
+        status: "skipped",
+        error: "Subscription is deleted or inactive",
+      },
+    ]);
+
+    const [filter, update] = updates[0];
+    assert.deepEqual(filter, { _id: { $in: ["d1"] } });
+    assert.equal(update.$set.status, "replaying");
+    assert.deepEqual(update.$inc, { replayCount: 1 });
+
+    const [jobs] = webhookQueue.addBulk.mock.calls[0].arguments;
+    assert.equal(jobs.length, 1);
+    assert.equal(jobs[0].data.deadLetterId, "d1");
+    assert.equal(jobs[0].data.deliveryAttempt, 1);
+  });
+
+  it("returns the dead letters to dead if they cannot be queued", async () => {
+    const { updates } = mockReplay(async () => {
+      throw new Error("Connection is closed.");
+    });
+
+    await assert.rejects(
+      DeadLetterService.replay([deadLetter("d1")]),
+      /Connection is closed/
+    );
+
+    assert.equal(updates.length, 2);
+    const [filter, update] = updates[1];
+    assert.deepEqual(filter, { _id: { $in: ["d1"] }, status: "replaying" });
+    assert.equal(update.$set.status, "dead");
+  });
+
+  it("queues nothing when every subscription is gone", async () => {
+    const { updates } = mockReplay();
+
+    await DeadLetterService.replay([deadLetter("d1", DELETED_SUBSCRIPTION)]);
+
+    assert.equal(updates.length, 0);
+    assert.equal(webhookQueue.addBulk.mock.callCount(), 0);
+  });
+});
+
+describe("DeadLetterService replay outcomes", () => {
+  it("marks a delivered replay replayed", async () => {
+    mock.method(DeadLetter, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    await DeadLetterService.markReplayed("d1");
+
+    const [filter, update] = DeadLetter.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: "d1", status: "replaying" });
+    assert.equal(update.$set.status, "replayed");
+    assert.ok(update.$set.replayedAt instanceof Date);
+  });
+
+  it("returns a failed replay to dead with its error", async () => {
+    mock.method(DeadLetter, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    assert.equal(
+      await DeadLetterService.markReplayFailed("d1", "Event not found: e1"),
+      true
+    );
+
+    const [filter, update] = DeadLetter.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: "d1", status: "replaying" });
+    assert.equal(update.$set.status, "dead");
+    assert.equal(update.$set.finalError, "Event not found: e1");
+  });
+
+  it("leaves a dead letter that was already recorded again alone", async () => {
+    mock.method(DeadLetter, "updateOne", async () => ({ modifiedCount: 0 }));
+
+    assert.equal(await DeadLetterService.markReplayFailed("d1", "x"), false);
+  });
+});
+
+describe("DeadLetterController", () => {
+  it("refuses to replay a dead letter that is already replaying", async () => {
+    mock.method(DeadLetter, "findById", async () => ({
+      ...deadLetter("d1"),
+      status: "replaying",
+    }));
+    const res = response();
+
+    await DeadLetterController.replayDeadLetter(
+      { params: { id: "507f1f77bcf86cd799439013" } },
+      res
+    );
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.error, "Dead letter is already replaying");
+  });
+
+  it("purges by status", async () => {
+    mock.method(DeadLetter, "deleteMany", async () => ({ deletedCount: 4 }));
+    const res = response();
+
+    await DeadLetterController.purgeDeadLetters(
+      { query: { status: "replayed" } },
+      res
+    );
+
+    assert.deepEqual(DeadLetter.deleteMany.mock.calls[0].arguments, [
+      { status: "replayed" },
+    ]);
+    assert.deepEqual(res.body, { success: true, deletedCount: 4 });
+  });
+
+  it("refuses an unfiltered purge without all=true", async () => {
+    mock.method(DeadLetter, "deleteMany", async () =>
+      assert.fail("nothing may be deleted")
+    );
+    const res = response();
+
+    await DeadLetterController.purgeDeadLetters({ query: {} }, res);
+
+    assert.equal(res.statusCode, 400);
+  });
+});
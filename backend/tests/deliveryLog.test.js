@@ -0,0 +1,38 @@
+// backend/tests/deliveryLog.test.js
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import DeliveryLog from "../src/models/DeliveryLog.js";
+
+afterEach(() => mock.restoreAll());
+
+describe("DeliveryLog.recordFiltered", () => {
+  it("upserts one filtered log per event and subscription", async () => {
+    const eventId = new mongoose.Types.ObjectId();
+    const subscriptionId = new mongoose.Types.ObjectId();
+    let operations;
+    mock.method(DeliveryLog.collection, "bulkWrite", async (ops) => {
+      operations = ops;
+      return { upsertedCount: 1 };
+    });
+
+    assert.equal(
+      await DeliveryLog.recordFiltered(eventId, [
+        { subscriptionId, reason: "payload.score gt 50 (actual: 10)" },
+      ]),
+      1
+    );
+
+    assert.equal(operations.length, 1);
+    const { filter, update, upsert } = operations[0].updateOne;
+    assert.equal(upsert, true);
+    assert.deepEqual(filter, { eventId, subscriptionId, status: "filtered" });
+    // Processing the event again must not overwrite the first log
+    assert.equal(update.$set?.filterReason, undefined);
+    assert.equal(
+      update.$setOnInsert.filterReason,
+      "payload.score gt 50 (actual: 10)"
+    );
+    assert.ok(update.$setOnInsert.createdAt instanceof Date);
+  });
+});
@@ -0,0 +1,34 @@
+// backend/tests/event.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Event from "../src/models/Event.js";
+
+describe("Event dispatchStatus", () => {
+  it("stays unset on events stored before the outbox", () => {
+    const legacy = Event.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      eventId: "legacy-1",
+      eventType: "candidate.hired",
+      sourceModule: "ATS",
+      payload: {},
+      idempotencyKey: "legacy-1",
+      createdAt: new Date("2024-01-01"),
+    });
+
+    assert.equal(legacy.dispatchStatus, undefined);
+  });
+
+  it("is rejected outside pending and dispatched", () => {
+    const event = new Event({
+      eventId: "e-1",
+      eventType: "candidate.hired",
+      sourceModule: "ATS",
+      payload: {},
+      idempotencyKey: "e-1",
+      dispatchStatus: "queued",
+    });
+
+    assert.ok(event.validateSync()?.errors.dispatchStatus);
+  });
+});
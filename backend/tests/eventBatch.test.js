@@ -0,0 +1,185 @@
+// backend/tests/eventBatch.test.js
+import { describe, it, beforeEach, afterEach, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { disconnectRedis } from "./helpers/redis.js";
+import Event from "../src/models/Event.js";
+import EventType from "../src/models/EventType.js";
+import { EventTypeService } from "../src/services/eventTypeService.js";
+import { OutboxService } from "../src/services/outboxService.js";
+import { EventController } from "../src/controllers/eventController.js";
+
+after(disconnectRedis);
+
+const hired = new EventType({
+  name: "candidate.hired",
+  sourceModule: "ATS",
+  schemas: [
+    {
+      version: 1,
+      definition: JSON.stringify({
+        type: "object",
+        properties: { candidateId: { type: "string" } },
+        required: ["candidateId"],
+      }),
+    },
+  ],
+});
+
+const item = (idempotencyKey, payload = { candidateId: "c1" }) => ({
+  eventType: "candidate.hired",
+  sourceModule: "ATS",
+  payload,
+  idempotencyKey,
+});
+
+const response = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+let stored;
+let dispatched;
+
+const receive = async (body, apiKey) => {
+  const res = response();
+  await EventController.receiveBatch({ body, id: "req_1", apiKey }, res);
+  return res;
+};
+
+beforeEach(() => {
+  stored = [];
+  dispatched = [];
+  mock.method(
+    EventTypeService,
+    "loadRegistry",
+    async () => new Map([[hired.name, hired]])
+  );
+  mock.method(Event, "find", () => ({ select: async () => stored }));
+  mock.method(Event, "insertMany", async () => {});
+  mock.method(OutboxService, "tryDispatch", async (events) => {
+    dispatched.push(...events);
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("EventController.receiveBatch", () => {
+  it("reports a result per item, in request order", async () => {
+    stored = [
+      {
+        idempotencyKey: "k-stored",
+        eventId: "evt_stored",
+        dispatchStatus: "dispatched",
+      },
+    ];
+
+    const res = await receive({
+      events: [
+        item("k1"),
+        item("k2", { candidateId: 7 }),
+        item("k1"),
+        item("k-stored"),
+        { ...item("k3"), eventType: "candidate.rejected" },
+      ],
+    });
+
+    assert.equal(res.statusCode, 202);
+    assert.deepEqual(res.body.summary, {
+      total: 5,
+      accepted: 1,
+      duplicate: 2,
+      invalid: 2,
+    });
+
+    const [accepted, schema, repeated, existing, unknown] = res.body.results;
+    assert.equal(accepted.status, "accepted");
+    assert.equal(accepted.idempotencyKey, "k1");
+    assert.ok(accepted.eventId);
+    assert.equal(schema.status, "invalid");
+    assert.equal(schema.schemaVersion, 1);
+    assert.ok(schema.details.length > 0);
+    assert.deepEqual(repeated, {
+      index: 2,
+      status: "duplicate",
+      idempotencyKey: "k1",
+      duplicateOf: 0,
+    });
+    assert.deepEqual(existing, {
+      index: 3,
+      status: "duplicate",
+      idempotencyKey: "k-stored",
+      eventId: "evt_stored",
+    });
+    assert.deepEqual(unknown, {
+      index: 4,
+      status: "invalid",
+      idempotencyKey: "k3",
+      error: "Unknown event type: candidate.rejected",
+    });
+
+    assert.deepEqual(
+      dispatched.map((event) => event.eventId),
+      [accepted.eventId]
+    );
+  });
+
+  it("reports concurrent inserts of a key as duplicates", async () => {
+    Event.insertMany.mock.mockImplementation(async () => {
+      const error = new Error("E11000 duplicate key error");
+      error.writeErrors = [{ index: 1, err: { code: 11000 } }];
+      throw error;
+    });
+
+    const res = await receive({ events: [item("k1"), item("k2")] });
+
+    assert.equal(res.statusCode, 202);
+    assert.equal(res.body.results[0].status, "accepted");
+    assert.deepEqual(res.body.results[1], {
+      index: 1,
+      status: "duplicate",
+      idempotencyKey: "k2",
+    });
+    assert.equal(dispatched.length, 1);
+  });
+
+  it("re-dispatches stored events that were never queued", async () => {
+    const pending = {
+      idempotencyKey: "k1",
+      eventId: "evt_1",
+      dispatchStatus: "pending",
+    };
+    stored = [pending];
+
+    const res = await receive([item("k1")]);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.results[0].status, "duplicate");
+    assert.deepEqual(dispatched, [pending]);
+  });
+
+  it("rejects items from another module than the API key's", async () => {
+    const res = await receive([item("k1")], { sourceModule: "HRIS" });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.results[0].status, "invalid");
+    assert.equal(
+      res.body.results[0].error,
+      "API key is bound to source module HRIS"
+    );
+    assert.equal(Event.insertMany.mock.callCount(), 0);
+  });
+
+  it("rejects an empty batch", async () => {
+    const res = await receive({ events: [] });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.success, false);
+  });
+});
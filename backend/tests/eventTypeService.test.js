@@ -0,0 +1,85 @@
+// backend/tests/eventTypeService.test.js
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import EventType from "../src/models/EventType.js";
+import { EventTypeService } from "../src/services/eventTypeService.js";
+
+afterEach(() => mock.restoreAll());
+
+const hired = new EventType({ name: "candidate.hired", sourceModule: "ATS" });
+const registry = new Map([[hired.name, hired]]);
+
+describe("EventTypeService.validateEvent", () => {
+  it("accepts a registered type from its owning module", async () => {
+    assert.deepEqual(
+      await EventTypeService.validateEvent(
+        " Candidate.Hired ",
+        "ats",
+        registry
+      ),
+      { eventType: hired }
+    );
+  });
+
+  it("rejects unknown event types", async () => {
+    assert.deepEqual(
+      await EventTypeService.validateEvent(
+        "candidate.rejected",
+        "ATS",
+        registry
+      ),
+      { error: "Unknown event type: candidate.rejected" }
+    );
+  });
+
+  it("rejects types emitted by another module", async () => {
+    assert.deepEqual(
+      await EventTypeService.validateEvent("candidate.hired", "HRIS", registry),
+      {
+        error: "Event type candidate.hired is owned by ATS, not HRIS",
+      }
+    );
+  });
+
+  it("looks the type up when no registry is preloaded", async () => {
+    mock.method(EventType, "findOne", async () => hired);
+
+    assert.deepEqual(
+      await EventTypeService.validateEvent("Candidate.Hired", "ATS"),
+      { eventType: hired }
+    );
+    assert.deepEqual(EventType.findOne.mock.calls[0].arguments, [
+      { name: "candidate.hired" },
+    ]);
+  });
+});
+
+describe("EventTypeService.loadRegistry", () => {
+  it("loads each normalized name once", async () => {
+    mock.method(EventType, "find", async () => [hired]);
+
+    const loaded = await EventTypeService.loadRegistry([
+      "candidate.hired",
+      " Candidate.Hired",
+    ]);
+
+    assert.deepEqual(EventType.find.mock.calls[0].arguments, [
+      { name: { $in: ["candidate.hired"] } },
+    ]);
+    assert.equal(loaded.get("candidate.hired"), hired);
+  });
+});
+
+describe("EventTypeService.findUnknownTypes", () => {
+  it("returns the names missing from the registry", async () => {
+    mock.method(EventType, "find", () => ({ select: async () => [hired] }));
+
+    assert.deepEqual(
+      await EventTypeService.findUnknownTypes([
+        "candidate.hired",
+        "offer.sent",
+      ]),
+      ["offer.sent"]
+    );
+  });
+});
@@ -0,0 +1,190 @@
+// backend/tests/failurePolicyService.test.js
+import { describe, it, afterEach, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { disconnectRedis } from "./helpers/redis.js";
+import Subscription from "../src/models/Subscription.js";
+import AuditLog from "../src/models/AuditLog.js";
+import { FailurePolicyService } from "../src/services/failurePolicyService.js";
+import { NotificationService } from "../src/services/notificationService.js";
+import { SubscriptionController } from "../src/controllers/subscriptionController.js";
+
+after(disconnectRedis);
+afterEach(() => mock.restoreAll());
+
+/**
+ * Minimal Express response that records the status and JSON body
+ * @returns {object}
+ */
+const response = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+/**
+ * Record calls to AuditLog.create and NotificationService.notify
+ * @param {number} modifiedCount - What Subscription.updateOne reports
+ * @returns {{audits: object[], notifications: object[]}}
+ */
+const mockDisable = (modifiedCount) => {
+  const audits = [];
+  const notifications = [];
+  mock.method(Subscription, "updateOne", async () => ({ modifiedCount }));
+  mock.method(AuditLog, "create", async (entry) => audits.push(entry));
+  mock.method(NotificationService, "notify", async (_, notification) => {
+    notifications.push(notification);
+    return ["log"];
+  });
+  return { audits, notifications };
+};
+
+const subscription = {
+  _id: "507f1f77bcf86cd799439011",
+  name: "ATS sync",
+  webhookUrl: "https://example.com/hook",
+  consecutiveFailures: 5,
+};
+
+describe("FailurePolicyService.evaluate", () => {
+  it("reports a breached consecutive failure limit", async () => {
+    assert.equal(
+      await FailurePolicyService.evaluate({
+        consecutiveFailures: 5,
+        failurePolicy: { maxConsecutiveFailures: 5 },
+      }),
+      "5 consecutive delivery failures (limit 5)"
+    );
+  });
+
+  it("returns null below the limit or without a policy", async () => {
+    assert.equal(
+      await FailurePolicyService.evaluate({
+        consecutiveFailures: 4,
+        failurePolicy: { maxConsecutiveFailures: 5 },
+      }),
+      null
+    );
+    assert.equal(
+      await FailurePolicyService.evaluate({ consecutiveFailures: 99 }),
+      null
+    );
+  });
+});
+
+describe("FailurePolicyService.disable", () => {
+  it("records the disable, notifies the owner and audits it", async () => {
+    const { audits, notifications } = mockDisable(1);
+
+    assert.equal(
+      await FailurePolicyService.disable(subscription, "manual", "ops"),
+      true
+    );
+
+    const [filter, update] = Subscription.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: subscription._id, isActive: true });
+    assert.equal(update.$set.isActive, false);
+    assert.equal(update.$set.disabledReason, "manual");
+    assert.ok(update.$set.disabledAt instanceof Date);
+
+    assert.equal(notifications[0].type, "subscription.disabled");
+    assert.equal(audits[0].action, "subscription.disabled");
+    assert.equal(audits[0].actor, "ops");
+    assert.deepEqual(audits[0].details.notifiedVia, ["log"]);
+  });
+
+  it("does nothing for a subscription that is already disabled", async () => {
+    const { audits, notifications } = mockDisable(0);
+
+    assert.equal(
+      await FailurePolicyService.disable(subscription, "manual"),
+      false
+    );
+    assert.equal(audits.length, 0);
+    assert.equal(notifications.length, 0);
+  });
+});
+
+describe("FailurePolicyService.enable", () => {
+  const disabled = (disabledAt) => ({
+    ...subscription,
+    isActive: false,
+    disabledAt,
+    disabledReason: "manual",
+    save: async () => {},
+  });
+
+  it("replays the backlog since disabledAt", async () => {
+    mock.method(AuditLog, "create", async () => {});
+    mock.method(FailurePolicyService, "replayBacklog", async () => ({
+      backlogQueued: 3,
+      backlogTruncated: false,
+    }));
+    const disabledAt = new Date("2026-03-01T12:00:00Z");
+    const target = disabled(disabledAt);
+
+    assert.deepEqual(
+      await FailurePolicyService.enable(target, { replayBacklog: true }),
+      { backlogQueued: 3, backlogTruncated: false }
+    );
+    assert.deepEqual(
+      FailurePolicyService.replayBacklog.mock.calls[0].arguments,
+      [target, disabledAt]
+    );
+    assert.equal(target.isActive, true);
+    assert.equal(target.disabledAt, null);
+    assert.equal(target.consecutiveFailures, 0);
+  });
+
+  it("replays nothing unless asked to", async () => {
+    mock.method(AuditLog, "create", async () => {});
+    mock.method(FailurePolicyService, "replayBacklog", async () => {
+      assert.fail("backlog must not be replayed");
+    });
+
+    assert.deepEqual(await FailurePolicyService.enable(disabled(new Date())), {
+      backlogQueued: 0,
+      backlogTruncated: false,
+    });
+  });
+});
+
+describe("SubscriptionController.updateSubscription", () => {
+  it("disables through the failure policy so the backlog can be replayed", async () => {
+    const updated = { ...subscription, isActive: true };
+    const reloaded = { ...subscription, isActive: false };
+    mock.method(Subscription, "findByIdAndUpdate", () => ({
+      select: async () => updated,
+    }));
+    mock.method(Subscription, "findById", () => ({
+      select: async () => reloaded,
+    }));
+    mock.method(FailurePolicyService, "disable", async () => true);
+
+    const res = response();
+    await SubscriptionController.updateSubscription(
+      {
+        params: { id: subscription._id },
+        body: { isActive: false, name: "Renamed" },
+        apiKey: { name: "ops" },
+      },
+      res
+    );
+
+    const [, changes] = Subscription.findByIdAndUpdate.mock.calls[0].arguments;
+    assert.equal(changes.isActive, undefined);
+    assert.equal(changes.name, "Renamed");
+    assert.deepEqual(FailurePolicyService.disable.mock.calls[0].arguments, [
+      updated,
+      "manual",
+      "ops",
+    ]);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.subscription, reloaded);
+  });
+});
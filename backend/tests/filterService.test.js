@@ -0,0 +1,98 @@
+// backend/tests/filterService.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { FilterService } from "../src/services/filterService.js";
+
+const event = {
+  eventType: "application.submitted",
+  sourceModule: "ats",
+  payload: { jobId: "job_2", score: 82, tags: ["remote", "senior"] },
+};
+
+describe("FilterService.validate", () => {
+  it("accepts nested filters", () => {
+    assert.deepEqual(
+      FilterService.validate({
+        all: [
+          { path: "payload.jobId", op: "in", value: ["job_1", "job_2"] },
+          { not: { path: "payload.archived", op: "exists", value: true } },
+        ],
+      }),
+      []
+    );
+  });
+
+  it("reports invalid paths, operators and values", () => {
+    assert.deepEqual(
+      FilterService.validate({
+        any: [
+          { path: "headers.host", op: "eq", value: "x" },
+          { path: "payload.jobId", op: "matches", value: "job" },
+          { path: "payload.jobId", op: "in", value: "job_1" },
+        ],
+      }),
+      [
+        "filter.any[0].path: must start with one of eventType, sourceModule, payload",
+        `filter.any[1].op: must be one of eq, ne, in, nin, gt, gte, lt, lte, exists, contains, startsWith, endsWith`,
+        'filter.any[2].value: must be an array for "in"',
+      ]
+    );
+  });
+
+  it("rejects filters nested too deeply", () => {
+    let filter = { path: "payload.score", op: "gt", value: 1 };
+    for (let i = 0; i < 10; i++) {
+      filter = { not: filter };
+    }
+    assert.deepEqual(FilterService.validate(filter), [
+      "filter.not.not.not.not.not.not.not.not.not.not: filter is nested deeper than 10",
+    ]);
+  });
+});
+
+describe("FilterService.evaluate", () => {
+  it("matches when every predicate of an all holds", () => {
+    const filter = {
+      all: [
+        { path: "sourceModule", op: "eq", value: "ats" },
+        { path: "payload.score", op: "gte", value: 80 },
+        { path: "payload.tags.0", op: "eq", value: "remote" },
+      ],
+    };
+    assert.deepEqual(FilterService.evaluate(filter, event), { matched: true });
+  });
+
+  it("explains which predicate rejected the event", () => {
+    assert.deepEqual(
+      FilterService.evaluate(
+        { path: "payload.score", op: "lt", value: 50 },
+        event
+      ),
+      { matched: false, reason: "payload.score lt 50 (actual: 82)" }
+    );
+  });
+
+  it("combines any and not", () => {
+    const filter = {
+      any: [
+        { path: "payload.tags", op: "contains", value: "junior" },
+        { not: { path: "payload.jobId", op: "startsWith", value: "job_" } },
+      ],
+    };
+    assert.deepEqual(FilterService.evaluate(filter, event), {
+      matched: false,
+      reason:
+        'none matched: payload.tags contains "junior" (actual: ["remote","senior"]); negated filter matched',
+    });
+  });
+
+  it("treats missing paths as undefined", () => {
+    assert.equal(
+      FilterService.evaluate(
+        { path: "payload.missing.deep", op: "exists", value: false },
+        event
+      ).matched,
+      true
+    );
+  });
+});
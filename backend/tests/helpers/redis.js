@@ -0,0 +1,47 @@
+// backend/tests/helpers/redis.js
+import { mock } from "node:test";
+import RedisMock from "ioredis-mock";
+import redisClient from "../../src/utils/redis.js";
+
+// Commands the services send through the shared client
+const COMMANDS = [
+  "del",
+  "eval",
+  "get",
+  "hget",
+  "hgetall",
+  "hincrby",
+  "hset",
+  "llen",
+  "lrange",
+  "multi",
+  "pexpire",
+  "rpush",
+  "scan",
+  "set",
+  "smembers",
+  "zcount",
+  "zrem",
+];
+
+/**
+ * Route the shared Redis client to an empty in-memory Redis until
+ * mock.restoreAll() - ioredis-mock also runs the services' Lua scripts
+ * @returns {Promise<object>} In-memory client, for inspecting keys
+ */
+export const useMemoryRedis = async () => {
+  const memory = new RedisMock();
+  // ioredis-mock instances share their data
+  await memory.flushall();
+
+  for (const command of COMMANDS) {
+    mock.method(redisClient, command, (...args) => memory[command](...args));
+  }
+  return memory;
+};
+
+/**
+ * Stop the shared client's reconnect attempts - there is no Redis server
+ * @returns {void}
+ */
+export const disconnectRedis = () => redisClient.disconnect();
@@ -0,0 +1,116 @@
+// backend/tests/hmacService.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { HMACService } from "../src/services/hmacService.js";
+
+const SECRET = "a".repeat(64);
+
+const hmacHex = (body, secret = SECRET) =>
+  crypto.createHmac("sha256", secret).update(body).digest("hex");
+
+const payload = {
+  event: "candidate.hired",
+  data: {
+    candidate: { name: "Zoë Ñúñez", scores: [9.5, 1e21, -0.001] },
+    tags: ["b", "a"],
+  },
+};
+
+describe("HMACService.serializePayload", () => {
+  it("uses plain JSON.stringify by default", () => {
+    assert.equal(
+      HMACService.serializePayload(payload),
+      JSON.stringify(payload)
+    );
+  });
+
+  it("uses RFC 8785 canonical JSON for jcs", () => {
+    assert.equal(
+      HMACService.serializePayload(payload, "jcs"),
+      '{"data":{"candidate":{"name":"Zoë Ñúñez","scores":[9.5,1e+21,-0.001]},' +
+        '"tags":["b","a"]},"event":"candidate.hired"}'
+    );
+  });
+
+  it("serializes reordered nested payloads identically for jcs", () => {
+    const reordered = {
+      data: {
+        tags: ["b", "a"],
+        candidate: { scores: [9.5, 1e21, -0.001], name: "Zoë Ñúñez" },
+      },
+      event: "candidate.hired",
+    };
+
+    assert.equal(
+      HMACService.serializePayload(reordered, "jcs"),
+      HMACService.serializePayload(payload, "jcs")
+    );
+    assert.notEqual(
+      HMACService.serializePayload(reordered),
+      HMACService.serializePayload(payload)
+    );
+  });
+});
+
+describe("HMACService.generateSignature", () => {
+  it("matches the RFC 4231 HMAC-SHA256 test case 2", () => {
+    assert.equal(
+      HMACService.generateSignature("what do ya want for nothing?", "Jefe"),
+      "5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843"
+    );
+  });
+
+  it("signs a string body byte for byte", () => {
+    const body = HMACService.serializePayload(payload, "jcs");
+    assert.equal(HMACService.generateSignature(body, SECRET), hmacHex(body));
+  });
+
+  it("signs objects as their plain JSON serialization", () => {
+    assert.equal(
+      HMACService.generateSignature(payload, SECRET),
+      hmacHex(JSON.stringify(payload))
+    );
+  });
+
+  it("signs unicode bodies as UTF-8", () => {
+    const body = '{"name":"日本 😀"}';
+    assert.equal(
+      HMACService.generateSignature(body, SECRET),
+      crypto
+        .createHmac("sha256", SECRET)
+        .update(Buffer.from(body, "utf8"))
+        .digest("hex")
+    );
+  });
+
+  it("gives reordered payloads the same signature under jcs", () => {
+    const a = HMACService.serializePayload(
+      { b: { d: 1, c: 2 }, a: [1] },
+      "jcs"
+    );
+    const b = HMACService.serializePayload(
+      { a: [1], b: { c: 2, d: 1 } },
+      "jcs"
+    );
+    assert.equal(
+      HMACService.generateSignature(a, SECRET),
+      HMACService.generateSignature(b, SECRET)
+    );
+  });
+
+  it("verifies its own signatures and rejects tampered bodies", () => {
+    const body = HMACService.serializePayload(payload, "jcs");
+    const signature = HMACService.generateSignature(body, SECRET);
+
+    assert.equal(HMACService.verifySignature(body, signature, SECRET), true);
+    assert.equal(
+      HMACService.verifySignature(
+        body.replace("9.5", "9.6"),
+        signature,
+        SECRET
+      ),
+      false
+    );
+  });
+});
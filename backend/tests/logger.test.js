@@ -0,0 +1,54 @@
+// backend/tests/logger.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { redact } from "../src/utils/logger.js";
+import { HMACService } from "../src/services/hmacService.js";
+
+const secret = HMACService.generateSecret();
+const body = '{"event":"candidate.hired"}';
+
+describe("redact", () => {
+  it("redacts X-Algohire-Signature values in free text", () => {
+    const header = HMACService.generateSignatureHeader(body, [
+      secret,
+      HMACService.generateSecret(),
+    ]);
+
+    assert.equal(
+      redact(`Receiver rejected signature ${header} for delivery`),
+      "Receiver rejected signature [REDACTED],[REDACTED] for delivery"
+    );
+  });
+
+  it("redacts Standard Webhooks signatures in free text", () => {
+    const { "webhook-signature": signature } =
+      HMACService.generateStandardHeaders("msg_1", body, secret, 1700000000);
+
+    assert.equal(redact(`got ${signature}`), "got [REDACTED]");
+  });
+
+  it("redacts secrets in free text, hex and whsec_ forms", () => {
+    assert.equal(
+      redact(`secret=${secret} / ${HMACService.toStandardSecret(secret)}`),
+      "secret=[REDACTED] / [REDACTED]"
+    );
+  });
+
+  it("redacts fields by name", () => {
+    assert.deepEqual(
+      redact({ headers: { "X-Algohire-Signature": "abc", "X-Api-Key": "k" } }),
+      {
+        headers: {
+          "X-Algohire-Signature": "[REDACTED]",
+          "X-Api-Key": "[REDACTED]",
+        },
+      }
+    );
+  });
+
+  it("keeps IDs that are not credentials", () => {
+    const line =
+      "event 6650f1c2a9d3e4b5c6d7e8f9 request 3f2b1c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d";
+    assert.equal(redact(line), line);
+  });
+});
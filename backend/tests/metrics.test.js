@@ -0,0 +1,81 @@
+// backend/tests/metrics.test.js
+import { describe, it, afterEach, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { disconnectRedis } from "./helpers/redis.js";
+import { webhookQueue, eventQueue } from "../src/utils/queue.js";
+import {
+  register,
+  eventsIngested,
+  statusClass,
+  metricsHandler,
+} from "../src/utils/metrics.js";
+
+after(disconnectRedis);
+afterEach(() => mock.restoreAll());
+
+const response = () => ({
+  statusCode: 200,
+  headers: {},
+  set(name, value) {
+    this.headers[name] = value;
+    return this;
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  end(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const counts = { waiting: 3, active: 1, delayed: 2, failed: 0 };
+
+describe("statusClass", () => {
+  it("groups response statuses by class", () => {
+    assert.equal(statusClass(204), "2xx");
+    assert.equal(statusClass(429), "4xx");
+    assert.equal(statusClass(503), "5xx");
+  });
+
+  it("labels attempts without a response as network", () => {
+    assert.equal(statusClass(undefined), "network");
+  });
+});
+
+describe("metricsHandler", () => {
+  it("serves counters and current queue depths", async () => {
+    mock.method(webhookQueue, "getJobCounts", async () => counts);
+    mock.method(eventQueue, "getJobCounts", async () => counts);
+    eventsIngested.inc({ event_type: "candidate.hired", source_module: "ATS" });
+
+    const res = response();
+    await metricsHandler({}, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers["Content-Type"], register.contentType);
+    assert.match(
+      res.body,
+      /webhook_events_ingested_total\{event_type="candidate.hired",source_module="ATS"\} 1/
+    );
+    assert.match(
+      res.body,
+      /webhook_queue_jobs\{queue="webhook-delivery",state="waiting"\} 3/
+    );
+  });
+
+  it("leaves queue depths out when the queues cannot be read", async () => {
+    mock.method(webhookQueue, "getJobCounts", async () => {
+      throw new Error("Connection is closed");
+    });
+    mock.method(eventQueue, "getJobCounts", async () => counts);
+
+    const res = response();
+    await metricsHandler({}, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.doesNotMatch(res.body, /webhook_queue_jobs\{/);
+    assert.match(res.body, /webhook_events_ingested_total/);
+  });
+});
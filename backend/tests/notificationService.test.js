@@ -0,0 +1,59 @@
+// backend/tests/notificationService.test.js
+import { describe, it, before, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import nodemailer from "nodemailer";
+
+let NotificationService;
+let sent;
+
+// Channels are configured at load time
+before(async () => {
+  process.env.SMTP_URL = "smtp://smtp.example.com";
+  delete process.env.NOTIFICATION_CHANNELS;
+  ({ NotificationService } = await import(
+    "../src/services/notificationService.js"
+  ));
+});
+
+afterEach(() => mock.restoreAll());
+
+const notification = {
+  type: "subscription.disabled",
+  message: 'Webhook subscription "ATS sync" was disabled: manual',
+  details: { reason: "manual", disabledAt: new Date("2026-03-01T12:00:00Z") },
+};
+
+describe("NotificationService.notify", () => {
+  it("emails the subscription owner once SMTP is configured", async () => {
+    sent = [];
+    mock.method(nodemailer, "createTransport", () => ({
+      sendMail: async (mail) => sent.push(mail),
+    }));
+
+    const channels = await NotificationService.notify(
+      {
+        _id: "sub_1",
+        name: "ATS sync",
+        webhookUrl: "https://example.com/hook",
+        ownerEmail: "owner@example.com",
+      },
+      notification
+    );
+
+    assert.deepEqual(channels, ["log", "email"]);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, "owner@example.com");
+    assert.equal(sent[0].subject, "[Algohire] subscription.disabled: ATS sync");
+    assert.match(sent[0].text, /was disabled: manual/);
+    assert.match(sent[0].text, /disabledAt: 2026-03-01T12:00:00.000Z/);
+  });
+
+  it("does not report the email channel without an owner address", async () => {
+    const channels = await NotificationService.notify(
+      { _id: "sub_2", name: "No owner", webhookUrl: "https://example.com" },
+      notification
+    );
+
+    assert.deepEqual(channels, ["log"]);
+  });
+});
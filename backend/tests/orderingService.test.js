@@ -0,0 +1,148 @@
+// backend/tests/orderingService.test.js
+import { describe, it, beforeEach, afterEach, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { useMemoryRedis, disconnectRedis } from "./helpers/redis.js";
+import { webhookQueue } from "../src/utils/queue.js";
+import Event from "../src/models/Event.js";
+import { OrderingService } from "../src/services/orderingService.js";
+
+after(disconnectRedis);
+
+const subscription = { _id: "sub_1" };
+const KEY = "cand_1";
+
+const event = (id) => ({ _id: id });
+
+let queued;
+
+// ioredis-mock runs the scripts on Lua 5.3, whose tostring() gives "1.0"
+// where Redis' Lua 5.1 gives "1"
+const jobIds = () => queued.map((job) => job.opts.jobId.replace(/\.0$/, ""));
+
+beforeEach(async () => {
+  await useMemoryRedis();
+  queued = [];
+  mock.method(webhookQueue, "add", async (name, data, opts) => {
+    queued.push({ name, data, opts });
+  });
+  mock.method(Event, "findById", (id) => ({
+    select: async () => ({ _id: id, traceContext: { traceparent: id } }),
+  }));
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("OrderingService.getOrderingKey", () => {
+  const eventType = { orderingKey: "payload.candidateId" };
+
+  it("resolves the event type's ordering key path", () => {
+    assert.equal(
+      OrderingService.getOrderingKey(eventType, {
+        payload: { candidateId: 42 },
+      }),
+      "42"
+    );
+  });
+
+  it("leaves events without a key value unordered", () => {
+    assert.equal(
+      OrderingService.getOrderingKey(eventType, { payload: {} }),
+      null
+    );
+    assert.equal(
+      OrderingService.getOrderingKey(null, { payload: { candidateId: 42 } }),
+      null
+    );
+  });
+});
+
+describe("OrderingService.enqueue", () => {
+  it("queues only the head of a key", async () => {
+    assert.equal(
+      await OrderingService.enqueue(event("e1"), subscription, KEY),
+      true
+    );
+    assert.equal(
+      await OrderingService.enqueue(event("e2"), subscription, KEY),
+      false
+    );
+
+    assert.deepEqual(jobIds(), ["fifo-e1-sub_1-1"]);
+    assert.equal(queued[0].data.orderingKey, KEY);
+  });
+
+  it("does not hold back other keys", async () => {
+    await OrderingService.enqueue(event("e1"), subscription, KEY);
+    assert.equal(
+      await OrderingService.enqueue(event("e2"), subscription, "cand_2"),
+      true
+    );
+  });
+
+  it("lists an event once when it is enqueued again", async () => {
+    await OrderingService.enqueue(event("e1"), subscription, KEY);
+    await OrderingService.enqueue(event("e2"), subscription, KEY);
+
+    // A repeated head re-queues its own job ID; a repeated waiter stays put
+    assert.equal(
+      await OrderingService.enqueue(event("e1"), subscription, KEY),
+      true
+    );
+    assert.equal(
+      await OrderingService.enqueue(event("e2"), subscription, KEY),
+      false
+    );
+
+    assert.deepEqual(jobIds(), ["fifo-e1-sub_1-1", "fifo-e1-sub_1-1"]);
+    assert.deepEqual(await OrderingService.drain("sub_1", KEY), ["e1", "e2"]);
+  });
+});
+
+describe("OrderingService.release", () => {
+  it("queues the next event once the head has finished", async () => {
+    for (const id of ["e1", "e2", "e3"]) {
+      await OrderingService.enqueue(event(id), subscription, KEY);
+    }
+
+    assert.equal(await OrderingService.release("sub_1", KEY, "e1"), "e2");
+    assert.deepEqual(jobIds(), ["fifo-e1-sub_1-1", "fifo-e2-sub_1-2"]);
+    // The next delivery continues its own event's trace
+    assert.deepEqual(queued[1].data.traceContext, { traceparent: "e2" });
+
+    assert.equal(await OrderingService.release("sub_1", KEY, "e2"), "e3");
+    assert.equal(await OrderingService.release("sub_1", KEY, "e3"), null);
+    assert.deepEqual(await OrderingService.drain("sub_1", KEY), []);
+  });
+
+  it("ignores an event that is not the head", async () => {
+    await OrderingService.enqueue(event("e1"), subscription, KEY);
+    await OrderingService.enqueue(event("e2"), subscription, KEY);
+
+    assert.equal(await OrderingService.release("sub_1", KEY, "e2"), null);
+    assert.equal(await OrderingService.release("sub_1", KEY, "e1"), "e2");
+    assert.equal(await OrderingService.release("sub_1", KEY, "e1"), null);
+    assert.equal(queued.length, 2);
+  });
+
+  it("gives an event listed again a new job ID", async () => {
+    await OrderingService.enqueue(event("e1"), subscription, KEY);
+    await OrderingService.release("sub_1", KEY, "e1");
+    await OrderingService.enqueue(event("e1"), subscription, KEY);
+
+    assert.deepEqual(jobIds(), ["fifo-e1-sub_1-1", "fifo-e1-sub_1-2"]);
+  });
+});
+
+describe("OrderingService.drain", () => {
+  it("removes a key's list and returns its events head first", async () => {
+    for (const id of ["e1", "e2"]) {
+      await OrderingService.enqueue(event(id), subscription, KEY);
+    }
+
+    assert.deepEqual(await OrderingService.drain("sub_1", KEY), ["e1", "e2"]);
+    assert.equal(
+      await OrderingService.enqueue(event("e3"), subscription, KEY),
+      true
+    );
+  });
+});
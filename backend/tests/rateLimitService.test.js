@@ -0,0 +1,101 @@
+// backend/tests/rateLimitService.test.js
+import { describe, it, beforeEach, afterEach, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { useMemoryRedis, disconnectRedis } from "./helpers/redis.js";
+import { RateLimitService } from "../src/services/rateLimitService.js";
+
+after(disconnectRedis);
+
+const subscription = (rateLimit) => ({
+  _id: "sub_1",
+  name: "ATS sync",
+  timeout: 5000,
+  rateLimit,
+});
+
+let now;
+
+beforeEach(async () => {
+  await useMemoryRedis();
+  now = Date.parse("2026-03-01T12:00:00.250Z");
+  mock.method(Date, "now", () => now);
+  mock.method(Math, "random", () => 0); // No jitter
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("RateLimitService.acquire", () => {
+  it("allows everything without limits", async () => {
+    assert.deepEqual(
+      await RateLimitService.acquire(subscription(undefined), "job_1"),
+      { allowed: true }
+    );
+  });
+
+  it("defers deliveries past maxPerSecond to later windows in order", async () => {
+    const limited = subscription({ maxPerSecond: 2 });
+    const results = [];
+    for (let i = 1; i <= 5; i++) {
+      results.push(await RateLimitService.acquire(limited, `job_${i}`));
+    }
+
+    const window = Math.floor(now / 1000) * 1000;
+    assert.deepEqual(results, [
+      { allowed: true },
+      { allowed: true },
+      { allowed: false, reason: "rate", retryAt: window + 1000 },
+      { allowed: false, reason: "rate", retryAt: window + 1000 },
+      { allowed: false, reason: "rate", retryAt: window + 2000 },
+    ]);
+  });
+
+  it("defers deliveries past maxConcurrent until a slot is released", async () => {
+    const limited = subscription({ maxConcurrent: 1 });
+
+    assert.deepEqual(await RateLimitService.acquire(limited, "job_1"), {
+      allowed: true,
+    });
+    assert.deepEqual(await RateLimitService.acquire(limited, "job_2"), {
+      allowed: false,
+      reason: "concurrency",
+      retryAt: now + 1000,
+    });
+
+    await RateLimitService.release(limited, "job_1");
+    assert.deepEqual(await RateLimitService.acquire(limited, "job_2"), {
+      allowed: true,
+    });
+  });
+
+  it("frees slots whose worker died once they expire", async () => {
+    const limited = subscription({ maxConcurrent: 1 });
+    await RateLimitService.acquire(limited, "job_1");
+
+    now += limited.timeout + 5000 + 1;
+    assert.deepEqual(await RateLimitService.acquire(limited, "job_2"), {
+      allowed: true,
+    });
+  });
+});
+
+describe("RateLimitService.getStats", () => {
+  it("reports slots in flight and deferrals per reason", async () => {
+    const limited = subscription({ maxPerSecond: 1, maxConcurrent: 1 });
+    await RateLimitService.acquire(limited, "job_1");
+    await RateLimitService.acquire(limited, "job_2"); // concurrency
+    await RateLimitService.release(limited, "job_1");
+    await RateLimitService.acquire(limited, "job_3"); // rate
+
+    assert.deepEqual(await RateLimitService.getStats([limited]), [
+      {
+        subscriptionId: "sub_1",
+        name: "ATS sync",
+        maxPerSecond: 1,
+        maxConcurrent: 1,
+        inFlight: 0,
+        deferredByRate: 1,
+        deferredByConcurrency: 1,
+      },
+    ]);
+  });
+});
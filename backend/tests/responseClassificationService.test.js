@@ -0,0 +1,72 @@
+// backend/tests/responseClassificationService.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ResponseClassificationService } from "../src/services/responseClassificationService.js";
+
+describe("ResponseClassificationService.parseRule", () => {
+  it("parses codes, classes and ranges", () => {
+    assert.deepEqual(ResponseClassificationService.parseRule("410"), {
+      min: 410,
+      max: 410,
+    });
+    assert.deepEqual(ResponseClassificationService.parseRule("4XX"), {
+      min: 400,
+      max: 499,
+    });
+    assert.deepEqual(ResponseClassificationService.parseRule("400-409"), {
+      min: 400,
+      max: 409,
+    });
+  });
+
+  it("rejects invalid rules", () => {
+    for (const rule of ["6xx", "99", "409-400", "400-600", "teapot"]) {
+      assert.equal(ResponseClassificationService.parseRule(rule), null, rule);
+    }
+  });
+});
+
+describe("ResponseClassificationService.validate", () => {
+  it("reports each invalid rule and field", () => {
+    assert.deepEqual(
+      ResponseClassificationService.validate({
+        retryable: ["429", "7xx"],
+        permanent: "4xx",
+        disableOnGone: "yes",
+      }),
+      [
+        'responseClassification.retryable[1]: "7xx" is not a status code, class (4xx) or range (400-409)',
+        "responseClassification.permanent: must be an array",
+        "responseClassification.disableOnGone: must be a boolean",
+      ]
+    );
+  });
+});
+
+describe("ResponseClassificationService.classify", () => {
+  it("uses the defaults without a subscription config", () => {
+    assert.equal(ResponseClassificationService.classify(204), "success");
+    assert.equal(ResponseClassificationService.classify(429), "retryable");
+    assert.equal(ResponseClassificationService.classify(503), "retryable");
+    assert.equal(ResponseClassificationService.classify(404), "permanent");
+  });
+
+  it("lets the most specific rule win", () => {
+    const classification = { retryable: ["409"], permanent: ["400-499"] };
+    assert.equal(
+      ResponseClassificationService.classify(409, classification),
+      "retryable"
+    );
+    assert.equal(
+      ResponseClassificationService.classify(410, classification),
+      "permanent"
+    );
+  });
+
+  it("treats unmatched statuses as retryable", () => {
+    assert.equal(
+      ResponseClassificationService.classify(302, { success: ["200"] }),
+      "retryable"
+    );
+  });
+});
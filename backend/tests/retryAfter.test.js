@@ -0,0 +1,30 @@
+// backend/tests/retryAfter.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseRetryAfter } from "../src/utils/retryAfter.js";
+
+const NOW = Date.parse("Wed, 21 Oct 2015 07:28:00 GMT");
+
+describe("parseRetryAfter", () => {
+  it("parses delay-seconds", () => {
+    assert.equal(parseRetryAfter("120"), 120000);
+    assert.equal(parseRetryAfter(" 0 "), 0);
+  });
+
+  it("parses HTTP-dates relative to now", () => {
+    assert.equal(
+      parseRetryAfter("Wed, 21 Oct 2015 07:29:30 GMT", NOW),
+      90 * 1000
+    );
+  });
+
+  it("returns 0 for dates in the past", () => {
+    assert.equal(parseRetryAfter("Wed, 21 Oct 2015 07:00:00 GMT", NOW), 0);
+  });
+
+  it("returns null for missing or malformed values", () => {
+    for (const value of [undefined, "", "-5", "1.5", "soon", "next week"]) {
+      assert.equal(parseRetryAfter(value, NOW), null, String(value));
+    }
+  });
+});
@@ -0,0 +1,123 @@
+// backend/tests/retryPolicyService.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { RetryPolicyService } from "../src/services/retryPolicyService.js";
+
+describe("RetryPolicyService.validate", () => {
+  it("accepts a policy with duration strings", () => {
+    assert.deepEqual(
+      RetryPolicyService.validate({
+        strategy: "linear",
+        delay: "30s",
+        maxDelay: "5m",
+        jitter: "equal",
+        maxRetryDuration: "1d",
+      }),
+      []
+    );
+  });
+
+  it("rejects unknown strategies, jitter modes and durations", () => {
+    const errors = RetryPolicyService.validate({
+      strategy: "random",
+      jitter: "some",
+      delay: "soon",
+    });
+    assert.equal(errors.length, 3);
+  });
+
+  it("requires a schedule for the schedule strategy", () => {
+    assert.deepEqual(RetryPolicyService.validate({ strategy: "schedule" }), [
+      'retryPolicy.schedule: required for strategy "schedule"',
+    ]);
+  });
+});
+
+describe("RetryPolicyService.normalize", () => {
+  it("converts durations to milliseconds", () => {
+    assert.deepEqual(
+      RetryPolicyService.normalize({
+        strategy: "schedule",
+        schedule: ["1s", "1m", 5000],
+        maxRetryDuration: "2h",
+      }),
+      {
+        strategy: "schedule",
+        schedule: [1000, 60000, 5000],
+        maxRetryDuration: 2 * 60 * 60 * 1000,
+      }
+    );
+  });
+});
+
+describe("RetryPolicyService.getDelay", () => {
+  it("doubles the delay for the default exponential policy", () => {
+    assert.deepEqual(
+      [1, 2, 3, 4].map((n) => RetryPolicyService.getDelay(undefined, n)),
+      [1000, 2000, 4000, 8000]
+    );
+  });
+
+  it("caps curves at maxDelay", () => {
+    const policy = { strategy: "linear", delay: 10000, maxDelay: 25000 };
+    assert.equal(RetryPolicyService.getDelay(policy, 2), 20000);
+    assert.equal(RetryPolicyService.getDelay(policy, 3), 25000);
+  });
+
+  it("repeats the last schedule entry and ignores maxDelay", () => {
+    const policy = {
+      strategy: "schedule",
+      schedule: [1000, 60000],
+      maxDelay: 5000,
+    };
+    assert.equal(RetryPolicyService.getDelay(policy, 1), 1000);
+    assert.equal(RetryPolicyService.getDelay(policy, 2), 60000);
+    assert.equal(RetryPolicyService.getDelay(policy, 5), 60000);
+  });
+
+  it("keeps jittered delays within their range", () => {
+    for (let i = 0; i < 50; i++) {
+      const full = RetryPolicyService.getDelay(
+        { strategy: "fixed", delay: 1000, jitter: "full" },
+        1
+      );
+      const equal = RetryPolicyService.getDelay(
+        { strategy: "fixed", delay: 1000, jitter: "equal" },
+        1
+      );
+      assert.ok(full >= 0 && full <= 1000);
+      assert.ok(equal >= 500 && equal <= 1000);
+    }
+  });
+});
+
+describe("RetryPolicyService.isPastDeadline", () => {
+  const first = new Date("2026-01-01T00:00:00Z");
+
+  it("is never past without maxRetryDuration", () => {
+    assert.equal(
+      RetryPolicyService.isPastDeadline({}, first, new Date("2030-01-01")),
+      false
+    );
+  });
+
+  it("compares the retry time to the first attempt", () => {
+    const policy = { maxRetryDuration: 60 * 60 * 1000 };
+    assert.equal(
+      RetryPolicyService.isPastDeadline(
+        policy,
+        first,
+        new Date("2026-01-01T00:59:00Z")
+      ),
+      false
+    );
+    assert.equal(
+      RetryPolicyService.isPastDeadline(
+        policy,
+        first,
+        new Date("2026-01-01T01:01:00Z")
+      ),
+      true
+    );
+  });
+});
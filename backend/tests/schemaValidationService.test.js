@@ -0,0 +1,109 @@
+// backend/tests/schemaValidationService.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import EventType from "../src/models/EventType.js";
+import { SchemaValidationService } from "../src/services/schemaValidationService.js";
+
+/**
+ * Schema with an $id - Ajv registers it under that ID when compiled
+ * @param {string[]} required - Required properties
+ * @returns {object}
+ */
+const schemaWithId = (required) => ({
+  $id: "https://schemas.algohire.dev/candidate.hired.json",
+  type: "object",
+  properties: {
+    candidateId: { type: "string" },
+    email: { type: "string", format: "email" },
+  },
+  required,
+});
+
+/**
+ * Unsaved EventType with the given schema versions
+ * @param {object[]} schemas - JSON Schemas, version 1 first
+ * @returns {EventType}
+ */
+const buildEventType = (schemas) =>
+  new EventType({
+    name: `candidate.hired.${schemas.length}.${Date.now()}`,
+    sourceModule: "ATS",
+    schemas: schemas.map((schema, i) => ({
+      version: i + 1,
+      definition: JSON.stringify(schema),
+    })),
+  });
+
+describe("SchemaValidationService", () => {
+  it("validates payloads against a schema with $id after checking it", () => {
+    const schema = schemaWithId(["candidateId"]);
+    assert.equal(SchemaValidationService.checkSchema(schema), null);
+    // Checking the same schema again (e.g. a second upload) must not fail
+    assert.equal(SchemaValidationService.checkSchema(schema), null);
+
+    const eventType = buildEventType([schema]);
+
+    assert.deepEqual(
+      SchemaValidationService.validatePayload(eventType, undefined, {
+        candidateId: "c-1",
+      }),
+      { schemaVersion: 1, errors: [] }
+    );
+
+    const { schemaVersion, errors } = SchemaValidationService.validatePayload(
+      eventType,
+      1,
+      { email: "not-an-email" }
+    );
+    assert.equal(schemaVersion, 1);
+    assert.deepEqual(
+      errors.map(({ path, keyword }) => ({ path, keyword })),
+      [
+        { path: "/candidateId", keyword: "required" },
+        { path: "/email", keyword: "format" },
+      ]
+    );
+  });
+
+  it("compiles versions that share an $id independently", () => {
+    const eventType = buildEventType([
+      schemaWithId(["candidateId"]),
+      schemaWithId(["candidateId", "email"]),
+    ]);
+    const payload = { candidateId: "c-1" };
+
+    assert.deepEqual(
+      SchemaValidationService.validatePayload(eventType, 1, payload).errors,
+      []
+    );
+    assert.deepEqual(
+      SchemaValidationService.validatePayload(eventType, 2, payload).errors,
+      [
+        {
+          path: "/email",
+          message: "must have required property 'email'",
+          keyword: "required",
+        },
+      ]
+    );
+  });
+
+  it("reports schemas that do not compile", () => {
+    assert.match(
+      SchemaValidationService.checkSchema({ type: "not-a-type" }),
+      /^Invalid JSON Schema: /
+    );
+    assert.equal(
+      SchemaValidationService.checkSchema([]),
+      "Schema must be a JSON object"
+    );
+  });
+
+  it("rejects unknown schema versions", () => {
+    const eventType = buildEventType([schemaWithId([])]);
+    assert.match(
+      SchemaValidationService.validatePayload(eventType, 9, {}).error,
+      /^Unknown schema version 9/
+    );
+  });
+});
@@ -0,0 +1,63 @@
+// backend/tests/shutdown.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { once } from "events";
+import {
+  waitWithDeadline,
+  closeServer,
+  closeWorker,
+} from "../src/utils/shutdown.js";
+
+describe("waitWithDeadline", () => {
+  it("reports work that finished in time", async () => {
+    assert.equal(await waitWithDeadline(Promise.resolve(), 50), true);
+  });
+
+  it("stops waiting at the deadline", async () => {
+    assert.equal(await waitWithDeadline(new Promise(() => {}), 10), false);
+  });
+});
+
+describe("closeServer", () => {
+  it("lets an in-flight request finish and drops idle keep-alive sockets", async () => {
+    let respond;
+    const server = http.createServer((req, res) => {
+      respond = () => res.end("done");
+    });
+    server.listen(0);
+    await once(server, "listening");
+
+    const agent = new http.Agent({ keepAlive: true });
+    const body = new Promise((resolve, reject) => {
+      http
+        .get(`http://localhost:${server.address().port}/`, { agent }, (res) => {
+          let data = "";
+          res.on("data", (chunk) => (data += chunk));
+          res.on("end", () => resolve(data));
+        })
+        .on("error", reject);
+    });
+    await once(server, "request");
+
+    const closing = closeServer(server);
+    respond();
+
+    assert.equal(await body, "done");
+    await closing;
+    assert.equal(server.listening, false);
+    agent.destroy();
+  });
+});
+
+describe("closeWorker", () => {
+  it("waits for active jobs to finish", async () => {
+    const calls = [];
+    await closeWorker({
+      name: "webhook-delivery",
+      close: async (force) => calls.push(force),
+    });
+
+    assert.deepEqual(calls, [undefined]);
+  });
+});
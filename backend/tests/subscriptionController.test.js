@@ -0,0 +1,92 @@
+// backend/tests/subscriptionController.test.js
+import { describe, it, afterEach, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { disconnectRedis } from "./helpers/redis.js";
+import Subscription from "../src/models/Subscription.js";
+import { HMACService } from "../src/services/hmacService.js";
+import { SubscriptionController } from "../src/controllers/subscriptionController.js";
+
+after(disconnectRedis);
+afterEach(() => mock.restoreAll());
+
+const SECRET = "ab".repeat(32);
+
+const response = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const stored = (signatureScheme) =>
+  new Subscription({
+    name: "ATS sync",
+    webhookUrl: "https://receiver.example.com/hooks",
+    eventTypes: ["candidate.hired"],
+    secret: SECRET,
+    signatureScheme,
+  });
+
+const update = async (before, body) => {
+  const after = new Subscription({ ...before.toObject(), ...body });
+  mock.method(Subscription, "findById", () => ({
+    select: async () => before,
+  }));
+  mock.method(Subscription, "findByIdAndUpdate", () => ({
+    select: async () => after,
+  }));
+
+  const res = response();
+  await SubscriptionController.updateSubscription(
+    { params: { id: before._id.toString() }, body },
+    res
+  );
+  return res;
+};
+
+describe("SubscriptionController.updateSubscription signature scheme", () => {
+  it("returns the whsec_ secret when switching to Standard Webhooks", async () => {
+    const res = await update(stored("legacy"), {
+      signatureScheme: "standard-webhooks",
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.subscription.signatureScheme, "standard-webhooks");
+    assert.equal(
+      res.body.subscription.secret,
+      HMACService.toStandardSecret(SECRET)
+    );
+    assert.ok(res.body.warning);
+  });
+
+  it("returns the hex secret when switching back to legacy", async () => {
+    const res = await update(stored("standard-webhooks"), {
+      signatureScheme: "legacy",
+    });
+
+    assert.equal(res.body.subscription.secret, SECRET);
+  });
+
+  it("does not return the secret when the scheme is unchanged", async () => {
+    const res = await update(stored("standard-webhooks"), {
+      signatureScheme: "standard-webhooks",
+      name: "Renamed",
+    });
+
+    assert.equal(res.body.subscription.name, "Renamed");
+    assert.equal(res.body.subscription.toJSON().secret, undefined);
+    assert.equal(res.body.warning, undefined);
+  });
+
+  it("does not load the secret for updates that leave the scheme alone", async () => {
+    const res = await update(stored("legacy"), { name: "Renamed" });
+
+    assert.equal(Subscription.findById.mock.callCount(), 0);
+    assert.equal(res.body.warning, undefined);
+  });
+});
@@ -0,0 +1,132 @@
+// backend/tests/tracing.test.js
+import { describe, it, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { NodeTracerProvider } from "@opentelemetry/sdk-trace-node";
+import {
+  InMemorySpanExporter,
+  SimpleSpanProcessor,
+} from "@opentelemetry/sdk-trace-base";
+import { DelayedError } from "bullmq";
+import {
+  injectTraceContext,
+  withSpan,
+  tracedProcessor,
+  linkTraceContexts,
+  SpanKind,
+  SpanStatusCode,
+} from "../src/utils/tracing.js";
+
+const exporter = new InMemorySpanExporter();
+const provider = new NodeTracerProvider({
+  spanProcessors: [new SimpleSpanProcessor(exporter)],
+});
+
+before(() => provider.register());
+beforeEach(() => exporter.reset());
+after(() => provider.shutdown());
+
+const finished = (name) =>
+  exporter.getFinishedSpans().find((span) => span.name === name);
+
+/**
+ * Trace context of a span that has already ended, e.g. an ingestion request
+ * @param {string} name - Span name
+ * @returns {Promise<object>} Carrier
+ */
+const ingested = (name) =>
+  withSpan(name, {}, undefined, () => injectTraceContext());
+
+describe("injectTraceContext", () => {
+  it("is empty outside a span", () => {
+    assert.deepEqual(injectTraceContext(), {});
+  });
+
+  it("serializes the active span as a W3C traceparent", async () => {
+    const carrier = await ingested("POST /api/events");
+    const { traceId, spanId } = finished("POST /api/events").spanContext();
+
+    assert.equal(carrier.traceparent, `00-${traceId}-${spanId}-01`);
+  });
+});
+
+describe("tracedProcessor", () => {
+  it("continues the trace carried by the job", async () => {
+    const traceContext = await ingested("POST /api/events");
+    const processor = tracedProcessor(async () => "done");
+
+    const result = await processor({
+      id: "job_1",
+      name: "process-event",
+      queueName: "event-processing",
+      data: { traceContext },
+    });
+
+    assert.equal(result, "done");
+    const ingest = finished("POST /api/events").spanContext();
+    const job = finished("process-event");
+    assert.equal(job.kind, SpanKind.CONSUMER);
+    assert.equal(job.spanContext().traceId, ingest.traceId);
+    assert.equal(job.parentSpanContext.spanId, ingest.spanId);
+    assert.equal(job.attributes["messaging.message.id"], "job_1");
+  });
+
+  it("starts a new trace for jobs without one", async () => {
+    const processor = tracedProcessor(async () => {});
+    await processor({ id: "job_2", name: "batch-flush", data: {} });
+
+    assert.equal(finished("batch-flush").parentSpanContext, undefined);
+  });
+});
+
+describe("withSpan", () => {
+  it("records a thrown error on the span", async () => {
+    await assert.rejects(
+      withSpan("POST", {}, undefined, () => {
+        throw new Error("ECONNREFUSED");
+      }),
+      /ECONNREFUSED/
+    );
+
+    const span = finished("POST");
+    assert.equal(span.status.code, SpanStatusCode.ERROR);
+    assert.equal(span.events[0].name, "exception");
+  });
+
+  it("does not treat a held job as a failure", async () => {
+    await assert.rejects(
+      withSpan("webhook-delivery", {}, undefined, () => {
+        throw new DelayedError();
+      })
+    );
+
+    const span = finished("webhook-delivery");
+    assert.equal(span.status.code, SpanStatusCode.UNSET);
+    assert.equal(span.events.length, 0);
+  });
+});
+
+describe("linkTraceContexts", () => {
+  it("links the traces of other events, skipping its own and missing ones", async () => {
+    const first = await ingested("first");
+    const second = await ingested("second");
+
+    await withSpan("webhook-delivery", {}, undefined, async () =>
+      linkTraceContexts([first, second, undefined])
+    );
+    const own = await withSpan("own", {}, undefined, async () => {
+      const carrier = injectTraceContext();
+      linkTraceContexts([carrier]);
+      return carrier;
+    });
+
+    assert.deepEqual(
+      finished("webhook-delivery").links.map((link) => link.context.traceId),
+      [
+        finished("first").spanContext().traceId,
+        finished("second").spanContext().traceId,
+      ]
+    );
+    assert.ok(own.traceparent);
+    assert.deepEqual(finished("own").links, []);
+  });
+});
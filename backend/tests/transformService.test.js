@@ -0,0 +1,109 @@
+// backend/tests/transformService.test.js
+import { describe, it, afterEach, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { disconnectRedis } from "./helpers/redis.js";
+import Subscription from "../src/models/Subscription.js";
+import { TransformService } from "../src/services/transformService.js";
+import { SubscriptionController } from "../src/controllers/subscriptionController.js";
+
+after(disconnectRedis);
+
+const event = {
+  eventId: "evt_1",
+  eventType: "candidate.hired",
+  sourceModule: "ats",
+  createdAt: new Date("2026-03-01T12:00:00Z"),
+  payload: { name: "Ada", score: 91, tags: ["remote"] },
+};
+
+describe("TransformService.validate", () => {
+  it("accepts placeholders rooted at event fields", () => {
+    assert.deepEqual(
+      TransformService.validate({
+        text: "{{ payload.name }} was hired ({{eventType}})",
+        at: "{{ createdAt }}",
+      }),
+      []
+    );
+  });
+
+  it("reports placeholders with unknown roots", () => {
+    assert.deepEqual(TransformService.validate(["{{ secret.key }}"]), [
+      'transform[0]: placeholder "secret.key" must start with one of eventId, eventType, sourceModule, createdAt, payload',
+    ]);
+  });
+
+  it("requires a template", () => {
+    assert.deepEqual(TransformService.validate(undefined), [
+      "transform: template is required",
+    ]);
+  });
+});
+
+describe("TransformService.render", () => {
+  it("keeps the type of whole-string placeholders", () => {
+    assert.deepEqual(
+      TransformService.render(
+        {
+          candidate: "{{ payload }}",
+          score: "{{ payload.score }}",
+          missing: "{{ payload.phone }}",
+        },
+        event
+      ),
+      {
+        candidate: event.payload,
+        score: 91,
+        missing: null,
+      }
+    );
+  });
+
+  it("interpolates placeholders inside longer strings", () => {
+    assert.equal(
+      TransformService.render(
+        "{{ payload.name }} hired at {{ createdAt }} {{ payload.tags }}{{ payload.phone }}",
+        event
+      ),
+      'Ada hired at 2026-03-01T12:00:00.000Z ["remote"]'
+    );
+  });
+
+  it("emits numbers, booleans and null as-is", () => {
+    assert.deepEqual(
+      TransformService.render([1, true, null, { nested: [false] }], event),
+      [1, true, null, { nested: [false] }]
+    );
+  });
+});
+
+describe("SubscriptionController.previewTransform", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("answers 404 for a malformed subscription ID without querying", async () => {
+    mock.method(Subscription, "findById", async () => {
+      throw new Error('Cast to ObjectId failed for value "nope"');
+    });
+    let status;
+    let body;
+    const res = {
+      status(code) {
+        status = code;
+        return this;
+      },
+      json(payload) {
+        body = payload;
+        return this;
+      },
+    };
+
+    await SubscriptionController.previewTransform(
+      { body: { eventId: "evt_1", subscriptionId: "nope" } },
+      res
+    );
+
+    assert.equal(status, 404);
+    assert.equal(body.error, "Subscription not found");
+    assert.equal(Subscription.findById.mock.callCount(), 0);
+  });
+});
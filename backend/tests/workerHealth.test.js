@@ -0,0 +1,141 @@
+// backend/tests/workerHealth.test.js
+import { describe, it, afterEach, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { disconnectRedis } from "./helpers/redis.js";
+import { HealthService } from "../src/services/healthService.js";
+import { WorkerHealth } from "../src/utils/workerHealth.js";
+
+after(disconnectRedis);
+afterEach(() => mock.restoreAll());
+
+// Stand-in for a BullMQ worker: an event emitter with run state
+const fakeWorker = ({ running = true, paused = false } = {}) => ({
+  handlers: {},
+  on(event, handler) {
+    this.handlers[event] = handler;
+  },
+  isRunning: () => running,
+  isPaused: () => paused,
+});
+
+/**
+ * Serve a WorkerHealth on a free port for one request
+ * @param {WorkerHealth} health - Health tracker
+ * @param {string} path - Request path
+ * @returns {Promise<{status: number, body: object}>}
+ */
+const request = async (health, path) => {
+  const server = health.listen(0);
+  await once(server, "listening");
+  try {
+    const res = await fetch(`http://localhost:${server.address().port}${path}`);
+    return { status: res.status, body: await res.json() };
+  } finally {
+    server.close();
+  }
+};
+
+describe("WorkerHealth.track", () => {
+  it("counts a job as in flight until it ends, however it ends", async () => {
+    const health = new WorkerHealth("webhook-delivery");
+    let finish;
+    const processor = health.track(
+      () => new Promise((resolve, reject) => (finish = { resolve, reject }))
+    );
+
+    const running = processor({ id: "job_1" });
+    assert.equal(health.getStatus().activeJobs, 1);
+    assert.ok(health.lastJobAt);
+
+    finish.reject(new Error("Delayed"));
+    await assert.rejects(running);
+    assert.equal(health.getStatus().activeJobs, 0);
+  });
+
+  it("reports a job running past the hung timeout", () => {
+    const health = new WorkerHealth("webhook-delivery");
+    health.inFlight.set("job_1", Date.now() - 5 * 60 * 1000 - 1);
+
+    assert.equal(health.getStatus().hung, true);
+  });
+});
+
+describe("WorkerHealth.attach", () => {
+  it("follows completion, failure and stall events", () => {
+    const health = new WorkerHealth("webhook-delivery");
+    const worker = fakeWorker();
+    health.attach(worker);
+
+    worker.handlers.completed();
+    worker.handlers.failed();
+    worker.handlers.stalled();
+    worker.handlers.stalled();
+
+    const status = health.getStatus();
+    assert.ok(status.lastCompletedAt);
+    assert.ok(status.lastFailedAt);
+    assert.equal(status.stalledCount, 2);
+  });
+});
+
+describe("WorkerHealth.listen", () => {
+  it("reports a running or paused worker as live", async () => {
+    const health = new WorkerHealth("webhook-delivery");
+    health.attach(fakeWorker({ running: false, paused: true }));
+
+    const { status, body } = await request(health, "/health/live");
+    assert.equal(status, 200);
+    assert.equal(body.status, "OK");
+  });
+
+  it("asks for a restart when the worker is hung", async () => {
+    const health = new WorkerHealth("webhook-delivery");
+    health.attach(fakeWorker());
+    health.inFlight.set("job_1", 0);
+
+    const { status, body } = await request(health, "/health/live");
+    assert.equal(status, 503);
+    assert.equal(body.hung, true);
+  });
+
+  it("is not ready while a dependency is down", async () => {
+    mock.method(HealthService, "checkReadiness", async () => ({
+      ready: false,
+      checks: { mongo: { status: "down" }, redis: { status: "up" } },
+    }));
+    const health = new WorkerHealth("webhook-delivery");
+    health.attach(fakeWorker());
+
+    const { status, body } = await request(health, "/health/ready");
+    assert.equal(status, 503);
+    assert.equal(body.status, "not_ready");
+    assert.deepEqual(HealthService.checkReadiness.mock.calls[0].arguments, [
+      ["mongo", "redis"],
+    ]);
+  });
+
+  it("is not ready while paused", async () => {
+    mock.method(HealthService, "checkReadiness", async () => ({
+      ready: true,
+      checks: {},
+    }));
+    const health = new WorkerHealth("webhook-delivery");
+    health.attach(fakeWorker({ paused: true }));
+
+    assert.equal((await request(health, "/health/ready")).status, 503);
+  });
+
+  it("is ready when running with its dependencies up", async () => {
+    mock.method(HealthService, "checkReadiness", async () => ({
+      ready: true,
+      checks: {},
+    }));
+    const health = new WorkerHealth("webhook-delivery");
+    health.attach(fakeWorker());
+
+    const { status, body } = await request(health, "/health/ready");
+    assert.equal(status, 200);
+    assert.equal(body.status, "ready");
+  });
+});
@@ -1,17 +1,51 @@
 // frontend/src/App.jsx
-import React from "react";
+import React, { useState, useEffect } from "react";
 import { BrowserRouter as Router, Routes, Route, Link } from "react-router-dom";
 import Dashboard from "./pages/Dashboard";
 import Events from "./pages/Events";
 import Subscriptions from "./pages/Subscriptions";
 import DeliveryLogs from "./pages/DeliveryLogs";
+import DeadLetters from "./pages/DeadLetters";
+import Login from "./pages/Login";
+import api, { UNAUTHORIZED_EVENT } from "./utils/api";
 
 /**
  * Main App Component - Root component of the application
  * Sets up routing and global layout structure
  * Contains the navigation bar and main content area
+ * Shows the sign-in page until the browser has a dashboard session
  */
 function App() {
+  // ==================== SESSION ====================
+  // undefined while checking, null when signed out
+  const [session, setSession] = useState(undefined);
+
+  useEffect(() => {
+    api
+      .get("/auth/session")
+      .then((response) => setSession(response.data.session))
+      .catch(() => setSession(null));
+
+    // Any 401 (expired session, revoked key) returns to the sign-in page
+    const handleUnauthorized = () => setSession(null);
+    window.addEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+    return () =>
+      window.removeEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+  }, []);
+
+  const handleSignOut = async () => {
+    try {
+      await api.delete("/auth/session");
+    } catch (error) {
+      console.error("❌ Sign-out failed:", error);
+    }
+    setSession(null);
+  };
+
+  if (session === undefined) {
+    return <div style={styles.app} />;
+  }
+
   return (
     <Router>
       {/*
@@ -40,6 +74,14 @@ function App() {
             <Link to="/logs" style={styles.navLink}>
               Delivery Logs
             </Link>
+            <Link to="/dead-letters" style={styles.navLink}>
+              Dead Letters
+            </Link>
+            {session && (
+              <button onClick={handleSignOut} style={styles.signOutButton}>
+                Sign out ({session.name})
+              </button>
+            )}
           </div>
         </nav>
 
@@ -49,17 +91,22 @@ function App() {
             Routes define the mapping between URLs and components
             Only one route is rendered at a time based on the current URL
           */}
-          <Routes>
-            <Route path="/" element={<Dashboard />} />
-            <Route path="/events" element={<Events />} />
-            <Route path="/subscriptions" element={<Subscriptions />} />
-            <Route path="/logs" element={<DeliveryLogs />} />
-
-            {/*
-              Optional: Add a 404 catch-all route
-              <Route path="*" element={<NotFound />} />
-            */}
-          </Routes>
+          {session ? (
+            <Routes>
+              <Route path="/" element={<Dashboard />} />
+              <Route path="/events" element={<Events />} />
+              <Route path="/subscriptions" element={<Subscriptions />} />
+              <Route path="/logs" element={<DeliveryLogs />} />
+              <Route path="/dead-letters" element={<DeadLetters />} />
+
+              {/*
+                Optional: Add a 404 catch-all route
+                <Route path="*" element={<NotFound />} />
+              */}
+            </Routes>
+          ) : (
+            <Login onSignedIn={setSession} />
+          )}
         </main>
       </div>
     </Router>
@@ -130,6 +177,18 @@ const styles = {
     },
   },
 
+  // Sign-out button - styled like the navigation links
+  signOutButton: {
+    color: "white",
+    backgroundColor: "transparent",
+    border: "1px solid rgba(255, 255, 255, 0.4)",
+    padding: "0.5rem 1rem",
+    borderRadius: "4px",
+    cursor: "pointer",
+    fontWeight: "500",
+    fontSize: "inherit",
+  },
+
   // Main content area styling
   main: {
     padding: "2rem",
@@ -19,6 +19,9 @@ const Dashboard = () => {
   });
   const [recentEvents, setRecentEvents] = useState([]);
   const [recentDeliveries, setRecentDeliveries] = useState([]);
+  const [circuits, setCircuits] = useState([]);
+  const [queue, setQueue] = useState(null);
+  const [outbox, setOutbox] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -68,6 +71,33 @@ const Dashboard = () => {
       // Update recent deliveries list
       setRecentDeliveries(deliveriesRes.data.deliveries || []);
 
+      // Circuit breakers are optional - their failure must not hide the dashboard
+      try {
+        const circuitsRes = await api.get("/dashboard/circuits");
+        setCircuits(circuitsRes.data.circuits || []);
+      } catch (circuitError) {
+        console.error("Failed to fetch circuit breakers:", circuitError);
+        setCircuits([]);
+      }
+
+      // Queue metrics are optional as well
+      try {
+        const queueRes = await api.get("/dashboard/queue");
+        setQueue(queueRes.data);
+      } catch (queueError) {
+        console.error("Failed to fetch queue metrics:", queueError);
+        setQueue(null);
+      }
+
+      // Undispatched events, shown only while there are any
+      try {
+        const outboxRes = await api.get("/dashboard/outbox");
+        setOutbox(outboxRes.data);
+      } catch (outboxError) {
+        console.error("Failed to fetch outbox state:", outboxError);
+        setOutbox(null);
+      }
+
       console.log("Dashboard data loaded successfully");
     } catch (error) {
       console.error("Failed to fetch dashboard data:", error);
@@ -186,6 +216,98 @@ const Dashboard = () => {
         </div>
       )}
 
+      {/* ==================== CIRCUIT BREAKERS ==================== */}
+      {circuits.length > 0 && (
+        <div style={{ ...styles.section, marginBottom: "2rem" }}>
+          <h2 style={styles.sectionTitle}>Endpoint Circuit Breakers</h2>
+          <div style={styles.deliveriesList}>
+            {circuits.map((circuit) => (
+              <CircuitCard key={circuit.key} circuit={circuit} />
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* ==================== DELIVERY QUEUE ==================== */}
+      {queue && (
+        <div style={{ ...styles.section, marginBottom: "2rem" }}>
+          <h2 style={styles.sectionTitle}>Delivery Queue</h2>
+          <div style={styles.deliveryInfo}>
+            {["waiting", "active", "delayed", "failed"]
+              .map((state) => `${state}: ${queue.counts?.[state] ?? 0}`)
+              .join(" · ")}
+          </div>
+          {queue.rateLimits?.length > 0 && (
+            <div style={{ ...styles.deliveriesList, marginTop: "1rem" }}>
+              {queue.rateLimits.map((limit) => (
+                <div key={limit.subscriptionId} style={styles.deliveryCard}>
+                  <div style={styles.deliveryHeader}>
+                    <strong>{limit.name}</strong>
+                    <span style={styles.deliveryTime}>
+                      {limit.maxPerSecond
+                        ? `${limit.maxPerSecond}/s`
+                        : "no rate limit"}
+                      {" · "}
+                      {limit.inFlight}
+                      {limit.maxConcurrent
+                        ? ` / ${limit.maxConcurrent}`
+                        : ""}{" "}
+                      in flight
+                    </span>
+                  </div>
+                  <div style={styles.deliveryInfo}>
+                    Deferred: {limit.deferredByRate} by rate,{" "}
+                    {limit.deferredByConcurrency} by concurrency
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* ==================== UNDISPATCHED EVENTS ==================== */}
+      {outbox?.pending > 0 && (
+        <div style={{ ...styles.section, marginBottom: "2rem" }}>
+          <h2 style={styles.sectionTitle}>Undispatched Events</h2>
+          <div
+            style={{
+              ...styles.deliveryInfo,
+              color: outbox.stuck > 0 ? "#e74c3c" : "#7f8c8d",
+            }}
+          >
+            {outbox.pending} stored but not yet queued
+            {outbox.stuck > 0 &&
+              ` · ${outbox.stuck} stuck for over ${Math.round(
+                outbox.stuckAfterMs / 60000
+              )} min - check the event processor and Redis`}
+          </div>
+          <div style={{ ...styles.eventsList, marginTop: "1rem" }}>
+            {outbox.events?.map((event) => (
+              <div key={event.id} style={styles.eventCard}>
+                <div style={styles.eventHeader}>
+                  <span style={styles.eventType}>{event.eventType}</span>
+                  <span style={styles.eventTime}>
+                    {new Date(event.createdAt).toLocaleString()}
+                  </span>
+                </div>
+                <div style={styles.eventSource}>
+                  Source: {event.sourceModule}
+                  {event.dispatchAttempts > 0 &&
+                    ` · ${event.dispatchAttempts} failed relay attempt(s)`}
+                </div>
+                {event.dispatchError && (
+                  <div style={styles.eventSource}>
+                    Last error: {event.dispatchError}
+                  </div>
+                )}
+                <div style={styles.eventId}>ID: {event.eventId}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* ==================== RECENT ACTIVITY SECTION ==================== */}
       <div style={styles.activityGrid}>
         {/* Recent Events Panel */}
@@ -288,6 +410,46 @@ const DeliveryCard = ({ delivery }) => (
   </div>
 );
 
+/**
+ * CircuitCard Component - Displays one endpoint circuit breaker
+ */
+const CircuitCard = ({ circuit }) => (
+  <div style={styles.deliveryCard}>
+    <div style={styles.deliveryHeader}>
+      <div
+        style={{
+          ...styles.statusBadge,
+          backgroundColor:
+            circuit.state === "open"
+              ? "#e74c3c"
+              : circuit.state === "half-open"
+              ? "#f39c12"
+              : "#27ae60",
+        }}
+      >
+        {circuit.state}
+      </div>
+      <span style={styles.deliveryTime}>
+        {circuit.failures} consecutive failure(s)
+      </span>
+    </div>
+    <div style={styles.deliveryInfo}>
+      <div>
+        {circuit.subscriptionName
+          ? `Subscription: ${circuit.subscriptionName}`
+          : circuit.key}
+      </div>
+      {circuit.state !== "closed" && circuit.cooldownEndsAt && (
+        <div>
+          Next probe after:{" "}
+          {new Date(circuit.cooldownEndsAt).toLocaleTimeString()}
+        </div>
+      )}
+      {circuit.lastError && <div>Last error: {circuit.lastError}</div>}
+    </div>
+  </div>
+);
+
 /**
  * Comprehensive styles object for the Dashboard component
  * Organized by component and functionality
@@ -0,0 +1,807 @@
+// frontend/src/pages/DeadLetters.jsx
+import React, { useState, useEffect } from "react";
+import {
+  Skull,
+  RotateCw,
+  Trash2,
+  Filter,
+  AlertCircle,
+  CheckCircle,
+  Clock,
+} from "lucide-react";
+import api from "../utils/api";
+
+/**
+ * Dead Letters Page Component - Deliveries that exhausted all retry attempts
+ * Allows inspecting the attempt history, replaying (singly or in bulk) and purging
+ */
+const DeadLetters = () => {
+  // ==================== STATE MANAGEMENT ====================
+  const [deadLetters, setDeadLetters] = useState([]);
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filters, setFilters] = useState({
+    status: "dead",
+    subscriptionId: "",
+    eventType: "",
+  });
+  const [selected, setSelected] = useState(new Set()); // Selected for bulk replay
+  const [busy, setBusy] = useState(false); // A replay/purge request is running
+
+  // ==================== DATA FETCHING ====================
+  /**
+   * Refetch whenever the filters change
+   */
+  useEffect(() => {
+    fetchDeadLetters();
+  }, [filters]);
+
+  /**
+   * Load subscriptions once for the subscription filter
+   */
+  useEffect(() => {
+    api
+      .get("/subscriptions")
+      .then((response) => setSubscriptions(response.data.subscriptions || []))
+      .catch((error) =>
+        console.error("❌ Failed to fetch subscriptions:", error)
+      );
+  }, []);
+
+  /**
+   * Build query parameters from the active filters
+   */
+  const buildParams = () =>
+    Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+
+  /**
+   * Fetches dead letters from backend API
+   */
+  const fetchDeadLetters = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      console.log("📦 Fetching dead letters...");
+
+      const response = await api.get("/dead-letters", {
+        params: { ...buildParams(), limit: 100 },
+      });
+
+      setDeadLetters(response.data.deadLetters || []);
+      setTotal(response.data.pagination?.totalItems || 0);
+      setSelected(new Set());
+
+      console.log(
+        `✅ Loaded ${response.data.deadLetters?.length || 0} dead letters`
+      );
+    } catch (error) {
+      console.error("❌ Failed to fetch dead letters:", error);
+      setError(
+        "Failed to load dead letters. Please check if the backend server is running."
+      );
+      setDeadLetters([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // ==================== ACTIONS ====================
+
+  /**
+   * Replay a single dead letter
+   */
+  const replayOne = async (id) => {
+    try {
+      setBusy(true);
+      await api.post(`/dead-letters/${id}/replay`);
+      await fetchDeadLetters();
+    } catch (error) {
+      console.error("❌ Failed to replay dead letter:", error);
+      alert(
+        `Failed to replay: ${error.response?.data?.error || error.message}`
+      );
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Replay the selected dead letters
+   */
+  const replaySelected = async () => {
+    try {
+      setBusy(true);
+      const response = await api.post("/dead-letters/replay", {
+        ids: [...selected],
+      });
+      const { queued, skipped } = response.data.summary;
+      alert(
+        `Queued ${queued} dead letter(s) for replay${
+          skipped > 0 ? `, skipped ${skipped} (subscription inactive)` : ""
+        }`
+      );
+      await fetchDeadLetters();
+    } catch (error) {
+      console.error("❌ Failed to replay dead letters:", error);
+      alert(
+        `Failed to replay: ${error.response?.data?.error || error.message}`
+      );
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Purge a single dead letter after confirmation
+   */
+  const purgeOne = async (id) => {
+    if (!window.confirm("Purge this dead letter? This cannot be undone.")) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      await api.delete(`/dead-letters/${id}`);
+      await fetchDeadLetters();
+    } catch (error) {
+      console.error("❌ Failed to purge dead letter:", error);
+      alert(`Failed to purge: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Purge every dead letter matching the current filters
+   */
+  const purgeMatching = async () => {
+    const params = buildParams();
+    const everything = Object.keys(params).length === 0;
+
+    if (
+      !window.confirm(
+        everything
+          ? "Purge ALL dead letters? This cannot be undone."
+          : `Purge all ${total} dead letters matching the current filters? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const response = await api.delete("/dead-letters", {
+        params: everything ? { all: "true" } : params,
+      });
+      alert(`Purged ${response.data.deletedCount} dead letter(s)`);
+      await fetchDeadLetters();
+    } catch (error) {
+      console.error("❌ Failed to purge dead letters:", error);
+      alert(`Failed to purge: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Toggle selection of a dead letter for bulk replay
+   */
+  const toggleSelected = (id) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      next.has(id) ? next.delete(id) : next.add(id);
+      return next;
+    });
+  };
+
+  // Only dead letters in the "dead" status can be replayed
+  const replayable = deadLetters.filter((letter) => letter.status === "dead");
+
+  // ==================== RENDER LOGIC ====================
+
+  if (loading && deadLetters.length === 0 && !error) {
+    return (
+      <div style={styles.loadingContainer}>
+        <p>Loading dead letters...</p>
+      </div>
+    );
+  }
+
+  if (error && deadLetters.length === 0) {
+    return (
+      <div style={styles.errorContainer}>
+        <AlertCircle size={48} color="#e74c3c" />
+        <h3>Unable to Load Dead Letters</h3>
+        <p>{error}</p>
+        <button onClick={fetchDeadLetters} style={styles.primaryButton}>
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.container}>
+      {/* ==================== PAGE HEADER ==================== */}
+      <div style={styles.header}>
+        <div>
+          <h1 style={styles.title}>Dead Letters</h1>
+          <p style={styles.subtitle}>
+            Deliveries that exhausted all retry attempts • {total} matching
+          </p>
+        </div>
+        <button onClick={fetchDeadLetters} style={styles.primaryButton}>
+          ↻ Refresh
+        </button>
+      </div>
+
+      {/* ==================== FILTERS SECTION ==================== */}
+      <div style={styles.filtersCard}>
+        <div style={styles.filtersHeader}>
+          <Filter size={20} />
+          <span>Filter Dead Letters</span>
+        </div>
+
+        <div style={styles.filtersGrid}>
+          <div style={styles.filterGroup}>
+            <label style={styles.filterLabel}>Status</label>
+            <select
+              value={filters.status}
+              onChange={(e) =>
+                setFilters({ ...filters, status: e.target.value })
+              }
+              style={styles.select}
+            >
+              <option value="">All Statuses</option>
+              <option value="dead">Dead</option>
+              <option value="replaying">Replaying</option>
+              <option value="replayed">Replayed</option>
+            </select>
+          </div>
+
+          <div style={styles.filterGroup}>
+            <label style={styles.filterLabel}>Subscription</label>
+            <select
+              value={filters.subscriptionId}
+              onChange={(e) =>
+                setFilters({ ...filters, subscriptionId: e.target.value })
+              }
+              style={styles.select}
+            >
+              <option value="">All Subscriptions</option>
+              {subscriptions.map((subscription) => (
+                <option key={subscription.id} value={subscription.id}>
+                  {subscription.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div style={styles.filterGroup}>
+            <label style={styles.filterLabel}>Event Type</label>
+            <input
+              type="text"
+              placeholder="e.g. candidate.applied"
+              value={filters.eventType}
+              onChange={(e) =>
+                setFilters({ ...filters, eventType: e.target.value.trim() })
+              }
+              style={styles.select}
+            />
+          </div>
+        </div>
+
+        {/* Bulk Actions */}
+        <div style={styles.bulkActions}>
+          <button
+            onClick={() =>
+              setSelected(
+                selected.size === replayable.length
+                  ? new Set()
+                  : new Set(replayable.map((letter) => letter.id))
+              )
+            }
+            style={styles.secondaryButton}
+            disabled={replayable.length === 0}
+          >
+            {selected.size === replayable.length && replayable.length > 0
+              ? "Clear Selection"
+              : "Select All Replayable"}
+          </button>
+          <button
+            onClick={replaySelected}
+            style={styles.replayButton}
+            disabled={busy || selected.size === 0}
+          >
+            <RotateCw size={16} />
+            Replay Selected ({selected.size})
+          </button>
+          <button
+            onClick={purgeMatching}
+            style={styles.purgeButton}
+            disabled={busy || total === 0}
+          >
+            <Trash2 size={16} />
+            Purge Matching
+          </button>
+        </div>
+      </div>
+
+      {/* ==================== DEAD LETTERS LIST ==================== */}
+      <div style={styles.listContainer}>
+        {deadLetters.length > 0 ? (
+          deadLetters.map((letter) => (
+            <DeadLetterCard
+              key={letter.id}
+              letter={letter}
+              isSelected={selected.has(letter.id)}
+              onSelect={toggleSelected}
+              onReplay={replayOne}
+              onPurge={purgeOne}
+              busy={busy}
+            />
+          ))
+        ) : (
+          <div style={styles.emptyState}>
+            <div style={styles.emptyStateIcon}>📭</div>
+            <h3>No Dead Letters</h3>
+            <p>No exhausted deliveries match your current filters.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * DeadLetterCard Component - One dead letter with expandable attempt history
+ */
+const DeadLetterCard = ({
+  letter,
+  isSelected,
+  onSelect,
+  onReplay,
+  onPurge,
+  busy,
+}) => {
+  const [expanded, setExpanded] = useState(false);
+
+  const statusDisplay = {
+    dead: { icon: <Skull color="#e74c3c" size={20} />, color: "#e74c3c" },
+    replaying: {
+      icon: <Clock color="#f39c12" size={20} />,
+      color: "#f39c12",
+    },
+    replayed: {
+      icon: <CheckCircle color="#27ae60" size={20} />,
+      color: "#27ae60",
+    },
+  }[letter.status];
+
+  return (
+    <div style={styles.card}>
+      {/* Card Header */}
+      <div style={styles.cardHeader}>
+        <div style={styles.cardStatusSection}>
+          {letter.status === "dead" && (
+            <input
+              type="checkbox"
+              checked={isSelected}
+              onChange={() => onSelect(letter.id)}
+            />
+          )}
+          {statusDisplay?.icon}
+          <div>
+            <div style={{ ...styles.statusText, color: statusDisplay?.color }}>
+              {letter.eventType}
+            </div>
+            <div style={styles.meta}>
+              <span>{letter.subscriptionName || "Deleted subscription"}</span>
+              <span>•</span>
+              <span>{letter.attempts?.length || 0} attempts</span>
+              <span>•</span>
+              <span>{new Date(letter.createdAt).toLocaleString()}</span>
+              {letter.replayCount > 0 && (
+                <>
+                  <span>•</span>
+                  <span>Replayed {letter.replayCount}×</span>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div style={styles.cardActions}>
+          {letter.status === "dead" && (
+            <button
+              onClick={() => onReplay(letter.id)}
+              style={styles.iconButton}
+              title="Replay"
+              disabled={busy}
+            >
+              <RotateCw size={16} color="#f39c12" />
+            </button>
+          )}
+          <button
+            onClick={() => onPurge(letter.id)}
+            style={styles.iconButton}
+            title="Purge"
+            disabled={busy}
+          >
+            <Trash2 size={16} color="#e74c3c" />
+          </button>
+          <button
+            onClick={() => setExpanded(!expanded)}
+            style={styles.expandButton}
+          >
+            {expanded ? "▲ Details" : "▼ Details"}
+          </button>
+        </div>
+      </div>
+
+      {/* Final Error - Always visible */}
+      {letter.finalError && (
+        <div style={styles.errorText}>
+          {letter.responseStatus && (
+            <strong>HTTP {letter.responseStatus}: </strong>
+          )}
+          {letter.finalError}
+        </div>
+      )}
+
+      {/* Expandable Details Section */}
+      {expanded && (
+        <div style={styles.details}>
+          <div style={styles.metaGrid}>
+            <div style={styles.metaItem}>
+              <strong>Event ID:</strong> {letter.eventId?.eventId || "Deleted"}
+            </div>
+            <div style={styles.metaItem}>
+              <strong>Webhook URL:</strong> {letter.webhookUrl}
+            </div>
+            {letter.replayedAt && (
+              <div style={styles.metaItem}>
+                <strong>Replayed At:</strong>{" "}
+                {new Date(letter.replayedAt).toLocaleString()}
+              </div>
+            )}
+          </div>
+
+          {/* Attempt History */}
+          <h4 style={styles.detailTitle}>Attempt History</h4>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>#</th>
+                <th style={styles.th}>Time</th>
+                <th style={styles.th}>Status</th>
+                <th style={styles.th}>HTTP</th>
+                <th style={styles.th}>Error</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(letter.attempts || []).map((attempt, index) => (
+                <tr key={`${attempt.deliveryLogId}-${index}`}>
+                  <td style={styles.td}>{attempt.deliveryAttempt}</td>
+                  <td style={styles.td}>
+                    {new Date(attempt.attemptedAt).toLocaleString()}
+                  </td>
+                  <td style={styles.td}>{attempt.status}</td>
+                  <td style={styles.td}>{attempt.responseStatus || "—"}</td>
+                  <td style={styles.td}>{attempt.error || "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {/* Last Response Body */}
+          {letter.responseBody && (
+            <>
+              <h4 style={styles.detailTitle}>Last Response Body</h4>
+              <pre style={styles.responseBody}>{letter.responseBody}</pre>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Styles for Dead Letters page
+ */
+const styles = {
+  // Main container
+  container: {
+    maxWidth: "1000px",
+    margin: "0 auto",
+  },
+
+  // Loading and error states
+  loadingContainer: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    height: "50vh",
+    color: "#666",
+  },
+  errorContainer: {
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "center",
+    justifyContent: "center",
+    height: "50vh",
+    textAlign: "center",
+    color: "#e74c3c",
+    padding: "2rem",
+  },
+
+  // Header section
+  header: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "flex-start",
+    marginBottom: "2rem",
+    flexWrap: "wrap",
+    gap: "1rem",
+  },
+  title: {
+    fontSize: "2.5rem",
+    fontWeight: "700",
+    margin: "0 0 0.5rem 0",
+    color: "#2c3e50",
+  },
+  subtitle: {
+    fontSize: "1.1rem",
+    color: "#7f8c8d",
+    margin: 0,
+  },
+
+  // Buttons
+  primaryButton: {
+    padding: "0.75rem 1.5rem",
+    backgroundColor: "#3498db",
+    color: "white",
+    border: "none",
+    borderRadius: "6px",
+    cursor: "pointer",
+    fontSize: "1rem",
+    fontWeight: "600",
+    whiteSpace: "nowrap",
+  },
+  secondaryButton: {
+    padding: "0.5rem 1rem",
+    backgroundColor: "transparent",
+    color: "#3498db",
+    border: "1px solid #3498db",
+    borderRadius: "4px",
+    cursor: "pointer",
+    fontSize: "0.9rem",
+  },
+  replayButton: {
+    display: "flex",
+    alignItems: "center",
+    gap: "0.5rem",
+    padding: "0.5rem 1rem",
+    backgroundColor: "#f39c12",
+    color: "white",
+    border: "none",
+    borderRadius: "4px",
+    cursor: "pointer",
+    fontSize: "0.9rem",
+    fontWeight: "600",
+  },
+  purgeButton: {
+    display: "flex",
+    alignItems: "center",
+    gap: "0.5rem",
+    padding: "0.5rem 1rem",
+    backgroundColor: "transparent",
+    color: "#e74c3c",
+    border: "1px solid #e74c3c",
+    borderRadius: "4px",
+    cursor: "pointer",
+    fontSize: "0.9rem",
+    marginLeft: "auto",
+  },
+  iconButton: {
+    padding: "0.5rem",
+    backgroundColor: "transparent",
+    border: "1px solid #ddd",
+    borderRadius: "4px",
+    cursor: "pointer",
+    display: "flex",
+    alignItems: "center",
+  },
+  expandButton: {
+    padding: "0.5rem 1rem",
+    backgroundColor: "transparent",
+    color: "#3498db",
+    border: "1px solid #3498db",
+    borderRadius: "4px",
+    cursor: "pointer",
+    fontSize: "0.9rem",
+    whiteSpace: "nowrap",
+  },
+
+  // Filters section
+  filtersCard: {
+    backgroundColor: "white",
+    padding: "1.5rem",
+    borderRadius: "8px",
+    boxShadow: "0 2px 8px rgba(0,0,0,0.1)",
+    marginBottom: "2rem",
+    border: "1px solid #e1e8ed",
+  },
+  filtersHeader: {
+    display: "flex",
+    alignItems: "center",
+    gap: "0.5rem",
+    marginBottom: "1rem",
+    fontWeight: "600",
+    color: "#2c3e50",
+    fontSize: "1.1rem",
+  },
+  filtersGrid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))",
+    gap: "1.5rem",
+    alignItems: "end",
+  },
+  filterGroup: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "0.5rem",
+  },
+  filterLabel: {
+    fontWeight: "600",
+    color: "#2c3e50",
+    fontSize: "0.9rem",
+  },
+  select: {
+    padding: "0.75rem",
+    border: "1px solid #ddd",
+    borderRadius: "6px",
+    fontSize: "1rem",
+    backgroundColor: "white",
+  },
+  bulkActions: {
+    display: "flex",
+    alignItems: "center",
+    gap: "1rem",
+    flexWrap: "wrap",
+    marginTop: "1.5rem",
+    paddingTop: "1rem",
+    borderTop: "1px solid #e1e8ed",
+  },
+
+  // Dead letter list
+  listContainer: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "1rem",
+  },
+  card: {
+    backgroundColor: "white",
+    padding: "1.5rem",
+    borderRadius: "8px",
+    boxShadow: "0 2px 8px rgba(0,0,0,0.1)",
+    border: "1px solid #e1e8ed",
+  },
+  cardHeader: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "flex-start",
+    marginBottom: "1rem",
+    flexWrap: "wrap",
+    gap: "1rem",
+  },
+  cardStatusSection: {
+    display: "flex",
+    alignItems: "flex-start",
+    gap: "1rem",
+    flex: 1,
+  },
+  cardActions: {
+    display: "flex",
+    gap: "0.5rem",
+    flexShrink: 0,
+  },
+  statusText: {
+    fontWeight: "600",
+    fontSize: "1.1rem",
+    marginBottom: "0.25rem",
+  },
+  meta: {
+    display: "flex",
+    alignItems: "center",
+    gap: "0.5rem",
+    color: "#7f8c8d",
+    fontSize: "0.9rem",
+    flexWrap: "wrap",
+  },
+  errorText: {
+    backgroundColor: "#fdeded",
+    color: "#e74c3c",
+    padding: "1rem",
+    borderRadius: "6px",
+    border: "1px solid #f5c6c6",
+    fontSize: "0.9rem",
+    fontFamily: "monospace",
+    whiteSpace: "pre-wrap",
+    wordBreak: "break-word",
+  },
+
+  // Details (expanded)
+  details: {
+    borderTop: "1px solid #e1e8ed",
+    paddingTop: "1rem",
+    marginTop: "1rem",
+  },
+  detailTitle: {
+    fontWeight: "600",
+    color: "#2c3e50",
+    margin: "1rem 0 0.75rem 0",
+    fontSize: "1rem",
+  },
+  metaGrid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fit, minmax(250px, 1fr))",
+    gap: "0.5rem",
+    fontSize: "0.85rem",
+    color: "#7f8c8d",
+  },
+  metaItem: {
+    padding: "0.75rem",
+    backgroundColor: "#f8f9fa",
+    borderRadius: "6px",
+    border: "1px solid #e1e8ed",
+    wordBreak: "break-all",
+  },
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: "0.85rem",
+  },
+  th: {
+    textAlign: "left",
+    padding: "0.5rem",
+    borderBottom: "2px solid #e1e8ed",
+    color: "#2c3e50",
+  },
+  td: {
+    padding: "0.5rem",
+    borderBottom: "1px solid #f1f3f5",
+    color: "#555",
+    verticalAlign: "top",
+    wordBreak: "break-word",
+  },
+  responseBody: {
+    fontSize: "0.8rem",
+    backgroundColor: "#f8f9fa",
+    padding: "1rem",
+    borderRadius: "6px",
+    overflow: "auto",
+    margin: 0,
+    border: "1px solid #e1e8ed",
+    maxHeight: "300px",
+    fontFamily: "Monaco, Consolas, monospace",
+    whiteSpace: "pre-wrap",
+  },
+
+  // Empty state
+  emptyState: {
+    textAlign: "center",
+    padding: "3rem 2rem",
+    color: "#95a5a6",
+  },
+  emptyStateIcon: {
+    fontSize: "4rem",
+    marginBottom: "1rem",
+  },
+};
+
+export default DeadLetters;
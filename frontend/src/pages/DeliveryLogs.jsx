@@ -8,6 +8,8 @@ import {
   Search,
   Filter,
   AlertCircle,
+  MinusCircle,
+  Hourglass,
 } from "lucide-react";
 import api from "../utils/api";
 
@@ -130,6 +132,10 @@ const DeliveryLogs = () => {
         return <XCircle color="#e74c3c" size={20} />;
       case "retrying":
         return <RotateCw color="#f39c12" size={20} />;
+      case "throttled":
+        return <Hourglass color="#8e44ad" size={20} />;
+      case "filtered":
+        return <MinusCircle color="#7f8c8d" size={20} />;
       default:
         return <Clock color="#95a5a6" size={20} />;
     }
@@ -148,6 +154,10 @@ const DeliveryLogs = () => {
         return "#e74c3c"; // Red
       case "retrying":
         return "#f39c12"; // Orange
+      case "throttled":
+        return "#8e44ad"; // Purple
+      case "filtered":
+        return "#7f8c8d"; // Dark gray
       default:
         return "#95a5a6"; // Gray
     }
@@ -164,6 +174,8 @@ const DeliveryLogs = () => {
       failed: "Delivery Failed",
       retrying: "Retrying Delivery",
       pending: "Pending Delivery",
+      throttled: "Throttled by Receiver",
+      filtered: "Filtered Out",
     };
     return statusMap[status] || status;
   };
@@ -177,6 +189,8 @@ const DeliveryLogs = () => {
     { value: "failed", label: "Failed" },
     { value: "retrying", label: "Retrying" },
     { value: "pending", label: "Pending" },
+    { value: "throttled", label: "Throttled" },
+    { value: "filtered", label: "Filtered" },
   ];
 
   // ==================== DATA FILTERING ====================
@@ -501,6 +515,14 @@ const DeliveryLogCard = ({
             </div>
           )}
 
+          {/* Filter Reason */}
+          {log.filterReason && (
+            <div style={styles.detailSection}>
+              <h4 style={styles.detailTitle}>Filtered Out Because</h4>
+              <pre style={styles.responseBody}>{log.filterReason}</pre>
+            </div>
+          )}
+
           {/* Response Body */}
           {log.responseBody && (
             <div style={styles.detailSection}>
@@ -528,6 +550,18 @@ const DeliveryLogCard = ({
                 {new Date(log.deliveredAt).toLocaleString()}
               </div>
             )}
+            {log.retryAfterMs !== undefined && (
+              <div style={styles.metadataItem}>
+                <strong>Retry-After Requested:</strong>{" "}
+                {Math.round(log.retryAfterMs / 1000)}s
+              </div>
+            )}
+            {log.batchId && (
+              <div style={styles.metadataItem}>
+                <strong>Batch:</strong> {log.batchId} (
+                {log.batchEventIds?.length || 0} events)
+              </div>
+            )}
             {log.nextRetryAt && (
               <div style={styles.metadataItem}>
                 <strong>Next Retry:</strong>{" "}
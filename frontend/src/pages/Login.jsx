@@ -0,0 +1,140 @@
+// frontend/src/pages/Login.jsx
+import React, { useState } from "react";
+import { KeyRound } from "lucide-react";
+import api from "../utils/api";
+
+/**
+ * Login Page Component - Dashboard sign-in
+ * Exchanges an API key with the dashboard:read scope for a session cookie.
+ * The key is sent once and not kept by the app.
+ */
+const Login = ({ onSignedIn }) => {
+  // ==================== STATE MANAGEMENT ====================
+  const [apiKey, setApiKey] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // ==================== EVENT HANDLERS ====================
+  /**
+   * Sign in and hand the session to the app
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      const response = await api.post("/auth/session", { apiKey });
+      setApiKey("");
+      onSignedIn(response.data.session);
+    } catch (error) {
+      console.error("❌ Sign-in failed:", error);
+      setError(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // ==================== RENDER LOGIC ====================
+  return (
+    <div style={styles.container}>
+      <form onSubmit={handleSubmit} style={styles.card}>
+        <div style={styles.header}>
+          <KeyRound size={24} color="#3498db" />
+          <h1 style={styles.title}>Sign in</h1>
+        </div>
+        <p style={styles.subtitle}>
+          Use an API key with the dashboard:read scope (dashboard:admin to retry
+          and replay deliveries). Create one with{" "}
+          <code>npm run create-api-key</code>.
+        </p>
+
+        <input
+          type="password"
+          autoComplete="off"
+          placeholder="ahk_..."
+          value={apiKey}
+          onChange={(e) => setApiKey(e.target.value)}
+          style={styles.input}
+          required
+        />
+
+        {error && <div style={styles.error}>{error}</div>}
+
+        <button
+          type="submit"
+          disabled={submitting || !apiKey}
+          style={{
+            ...styles.button,
+            opacity: submitting || !apiKey ? 0.6 : 1,
+          }}
+        >
+          {submitting ? "Signing in..." : "Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+/**
+ * Styles for the Login page
+ */
+const styles = {
+  container: {
+    display: "flex",
+    justifyContent: "center",
+    alignItems: "center",
+    minHeight: "60vh",
+  },
+  card: {
+    backgroundColor: "white",
+    padding: "2rem",
+    borderRadius: "8px",
+    boxShadow: "0 2px 8px rgba(0,0,0,0.1)",
+    border: "1px solid #e1e8ed",
+    width: "100%",
+    maxWidth: "420px",
+    display: "flex",
+    flexDirection: "column",
+    gap: "1rem",
+  },
+  header: {
+    display: "flex",
+    alignItems: "center",
+    gap: "0.5rem",
+  },
+  title: {
+    fontSize: "1.5rem",
+    fontWeight: "700",
+    margin: 0,
+    color: "#2c3e50",
+  },
+  subtitle: {
+    color: "#7f8c8d",
+    fontSize: "0.9rem",
+    margin: 0,
+  },
+  input: {
+    padding: "0.75rem",
+    border: "1px solid #ddd",
+    borderRadius: "4px",
+    fontSize: "1rem",
+    fontFamily: "monospace",
+  },
+  error: {
+    color: "#e74c3c",
+    fontSize: "0.9rem",
+  },
+  button: {
+    padding: "0.75rem",
+    backgroundColor: "#3498db",
+    color: "white",
+    border: "none",
+    borderRadius: "6px",
+    cursor: "pointer",
+    fontSize: "1rem",
+    fontWeight: "600",
+  },
+};
+
+export default Login;
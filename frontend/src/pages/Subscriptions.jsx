@@ -9,9 +9,28 @@ import {
   Copy,
   Check,
   AlertCircle,
+  RotateCw,
 } from "lucide-react";
 import api from "../utils/api";
 
+/**
+ * Format milliseconds as the largest whole duration unit ("90s", "5m", "2h")
+ * The API accepts the same format for retry policy durations
+ */
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return "";
+  const units = [
+    ["d", 24 * 60 * 60 * 1000],
+    ["h", 60 * 60 * 1000],
+    ["m", 60 * 1000],
+    ["s", 1000],
+  ];
+  for (const [unit, size] of units) {
+    if (ms >= size && ms % size === 0) return `${ms / size}${unit}`;
+  }
+  return `${ms}ms`;
+};
+
 /**
  * Subscriptions Page Component - Manages webhook subscription configurations
  * Allows creating, editing, deleting, and toggling subscriptions
@@ -25,20 +44,25 @@ const Subscriptions = () => {
   const [error, setError] = useState(null);
   const [copiedSecret, setCopiedSecret] = useState(null);
 
-  // Available event types for subscription configuration
-  const eventTypes = [
-    "job.created",
-    "candidate.applied",
-    "interview.scheduled",
-    "candidate.updated",
-    "assessment.completed",
-  ];
+  // Available event types, loaded from the backend event type registry
+  const [eventTypes, setEventTypes] = useState([]);
 
   // ==================== DATA FETCHING ====================
   useEffect(() => {
     fetchSubscriptions();
+    fetchEventTypes();
   }, []);
 
+  const fetchEventTypes = async () => {
+    try {
+      const response = await api.get("/event-types");
+      setEventTypes(response.data.eventTypes || []);
+    } catch (error) {
+      console.error("❌ Failed to fetch event types:", error);
+      setEventTypes([]);
+    }
+  };
+
   const fetchSubscriptions = async () => {
     try {
       setLoading(true);
@@ -162,6 +186,48 @@ const Subscriptions = () => {
     }
   };
 
+  /**
+   * Rotate a subscription's secret - the old secret keeps working during the
+   * overlap window (server default: 24 hours)
+   */
+  const handleRotateSecret = async (subscription) => {
+    const id = subscription?._id || subscription?.id;
+    if (!id) return;
+
+    if (
+      !window.confirm(
+        `Rotate the secret for "${subscription.name}"? The current secret stays valid for the overlap window so receivers can switch over.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      console.log(`🔄 Rotating secret for subscription: ${id}`);
+
+      const response = await api.post(`/subscriptions/${id}/rotate-secret`);
+      const rotated = response.data.subscription;
+      const expiry = rotated.previousSecretExpiresAt
+        ? `\n\nThe previous secret stays valid until ${new Date(
+            rotated.previousSecretExpiresAt
+          ).toLocaleString()}.`
+        : "";
+
+      alert(
+        `✅ Secret rotated!\n\nIMPORTANT: Save this secret key - it won't be shown again:\n\n${rotated.secret}${expiry}`
+      );
+
+      await fetchSubscriptions();
+    } catch (error) {
+      console.error("❌ Failed to rotate secret:", error);
+      alert(
+        `Failed to rotate secret: ${
+          error.response?.data?.error || error.message
+        }`
+      );
+    }
+  };
+
   /**
    * Toggle subscription active/inactive status
    * FIX: Added ID validation and debugging
@@ -184,10 +250,35 @@ const Subscriptions = () => {
         } to ${!subscription.isActive}`
       );
 
+      // Disabled subscriptions are enabled through the enable endpoint, which
+      // can also replay the events that arrived while they were disabled
+      if (!subscription.isActive && subscription.disabledAt) {
+        const replayBacklog = window.confirm(
+          `"${subscription.name}" was disabled on ${new Date(
+            subscription.disabledAt
+          ).toLocaleString()}.\n\nReplay the events it missed since then? (Cancel enables it without replaying)`
+        );
+        const response = await api.post(`/subscriptions/${id}/enable`, {
+          replayBacklog,
+        });
+        if (replayBacklog) {
+          alert(
+            `✅ Subscription enabled - ${response.data.backlogQueued} missed event(s) queued for delivery`
+          );
+        }
+        await fetchSubscriptions();
+        return;
+      }
+
       // Toggle isActive
       await handleUpdate(id, { isActive: !subscription.isActive });
     } catch (error) {
       console.error("❌ Failed to toggle subscription:", error);
+      alert(
+        `Failed to enable subscription: ${
+          error.response?.data?.error || error.message
+        }`
+      );
     }
   };
 
@@ -302,6 +393,7 @@ const Subscriptions = () => {
                 onEdit={setEditingSub}
                 onDelete={handleDelete}
                 onToggle={toggleSubscription}
+                onRotateSecret={handleRotateSecret}
                 onCopySecret={copyToClipboard}
                 isCopied={
                   copiedSecret === (subscription._id || subscription.id)
@@ -344,6 +436,66 @@ const SubscriptionForm = ({
     eventTypes: subscription?.eventTypes || [],
     maxRetries: subscription?.maxRetries || 3,
     timeout: subscription?.timeout || 5000,
+    signatureScheme: subscription?.signatureScheme || "legacy",
+    canonicalization: subscription?.canonicalization || "none",
+    deliveryOrder: subscription?.deliveryOrder || "unordered",
+    deliveryMode: subscription?.deliveryMode || "single",
+    // Outbound limits - null turns a limit off
+    rateLimit: {
+      maxPerSecond: null,
+      maxConcurrent: null,
+      ...subscription?.rateLimit,
+    },
+    batch: {
+      maxSize: 100,
+      maxWaitMs: 5000,
+      ...subscription?.batch,
+    },
+    ownerEmail: subscription?.ownerEmail || "",
+    notificationUrl: subscription?.notificationUrl || "",
+    // Auto-disable rules - null turns a rule off
+    failurePolicy: {
+      maxConsecutiveFailures: null,
+      maxFailureRate: null,
+      failureRateWindowMinutes: 60,
+      ...subscription?.failurePolicy,
+    },
+    // Retry policy - durations are edited as text ("30s", "5m", "2h")
+    retryPolicy: {
+      strategy: subscription?.retryPolicy?.strategy || "exponential",
+      jitter: subscription?.retryPolicy?.jitter || "none",
+    },
+    retryPolicyText: {
+      delay: formatDuration(subscription?.retryPolicy?.delay ?? 1000),
+      maxDelay: formatDuration(subscription?.retryPolicy?.maxDelay ?? 30000),
+      schedule: (subscription?.retryPolicy?.schedule || [])
+        .map(formatDuration)
+        .join(", "),
+      maxRetryDuration: formatDuration(
+        subscription?.retryPolicy?.maxRetryDuration
+      ),
+    },
+    // Response classification rules, edited as comma-separated lists
+    // (empty uses the server defaults)
+    classificationText: {
+      success: (subscription?.responseClassification?.success || []).join(", "),
+      retryable: (subscription?.responseClassification?.retryable || []).join(
+        ", "
+      ),
+      permanent: (subscription?.responseClassification?.permanent || []).join(
+        ", "
+      ),
+    },
+    disableOnGone: subscription?.responseClassification?.disableOnGone || false,
+    // Payload filter is edited as JSON text and parsed on submit
+    filterText: subscription?.filter
+      ? JSON.stringify(subscription.filter, null, 2)
+      : "",
+    // Transformation template, also edited as JSON text
+    transformText:
+      subscription?.transform !== undefined && subscription?.transform !== null
+        ? JSON.stringify(subscription.transform, null, 2)
+        : "",
     isActive:
       subscription?.isActive !== undefined ? subscription.isActive : true,
   });
@@ -351,6 +503,15 @@ const SubscriptionForm = ({
   const [errors, setErrors] = useState({});
   const [submitting, setSubmitting] = useState(false);
 
+  // Transformation dry-run state
+  const [previewEventId, setPreviewEventId] = useState("");
+  const [preview, setPreview] = useState(null);
+
+  // Deprecated types are only offered when the subscription already uses them
+  const availableEventTypes = eventTypes.filter(
+    (type) => !type.deprecated || subscription?.eventTypes?.includes(type.name)
+  );
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -378,6 +539,36 @@ const SubscriptionForm = ({
       newErrors.timeout = "Timeout must be between 1000 and 30000 milliseconds";
     }
 
+    if (
+      formData.notificationUrl.trim() &&
+      !isValidUrl(formData.notificationUrl)
+    ) {
+      newErrors.notificationUrl = "Please enter a valid URL";
+    }
+
+    if (
+      formData.retryPolicy.strategy === "schedule" &&
+      !formData.retryPolicyText.schedule.trim()
+    ) {
+      newErrors.retryPolicy = "A schedule needs at least one delay";
+    }
+
+    if (formData.filterText.trim()) {
+      try {
+        JSON.parse(formData.filterText);
+      } catch (_) {
+        newErrors.filter = "Filter must be valid JSON";
+      }
+    }
+
+    if (formData.transformText.trim()) {
+      try {
+        JSON.parse(formData.transformText);
+      } catch (_) {
+        newErrors.transform = "Transform must be valid JSON";
+      }
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -400,12 +591,70 @@ const SubscriptionForm = ({
 
     setSubmitting(true);
     try {
-      await onSubmit(formData);
+      const {
+        filterText,
+        transformText,
+        classificationText,
+        disableOnGone,
+        retryPolicyText,
+        ...data
+      } = formData;
+      const parseRules = (text) =>
+        text
+          .split(",")
+          .map((rule) => rule.trim())
+          .filter(Boolean);
+      await onSubmit({
+        ...data,
+        retryPolicy: {
+          ...data.retryPolicy,
+          delay: retryPolicyText.delay.trim() || undefined,
+          maxDelay: retryPolicyText.maxDelay.trim() || undefined,
+          schedule: parseRules(retryPolicyText.schedule),
+          maxRetryDuration: retryPolicyText.maxRetryDuration.trim() || null,
+        },
+        responseClassification: {
+          success: parseRules(classificationText.success),
+          retryable: parseRules(classificationText.retryable),
+          permanent: parseRules(classificationText.permanent),
+          disableOnGone,
+        },
+        filter: filterText.trim() ? JSON.parse(filterText) : null,
+        transform: transformText.trim() ? JSON.parse(transformText) : null,
+      });
     } finally {
       setSubmitting(false);
     }
   };
 
+  /**
+   * Render the current transform against a stored event without saving
+   */
+  const handlePreviewTransform = async () => {
+    let transform = null;
+    try {
+      transform = formData.transformText.trim()
+        ? JSON.parse(formData.transformText)
+        : null;
+    } catch (_) {
+      setPreview({ error: "Transform must be valid JSON" });
+      return;
+    }
+
+    try {
+      const response = await api.post("/subscriptions/preview-transform", {
+        eventId: previewEventId.trim(),
+        transform,
+      });
+      setPreview({ body: response.data.body });
+    } catch (error) {
+      const details = error.response?.data?.details;
+      setPreview({
+        error: details ? details.join("\n") : error.message,
+      });
+    }
+  };
+
   const toggleEventType = (eventType) => {
     setFormData((prev) => ({
       ...prev,
@@ -422,7 +671,9 @@ const SubscriptionForm = ({
   const selectAllEventTypes = () => {
     setFormData((prev) => ({
       ...prev,
-      eventTypes: [...eventTypes],
+      eventTypes: availableEventTypes
+        .filter((type) => !type.deprecated)
+        .map((type) => type.name),
     }));
     setErrors((prev) => ({ ...prev, eventTypes: null }));
   };
@@ -519,7 +770,8 @@ const SubscriptionForm = ({
 
             <div style={styles.eventTypesHeader}>
               <span style={styles.selectedCount}>
-                {formData.eventTypes.length} of {eventTypes.length} selected
+                {formData.eventTypes.length} of {availableEventTypes.length}{" "}
+                selected
               </span>
               <div style={styles.eventTypesActions}>
                 <button
@@ -546,16 +798,23 @@ const SubscriptionForm = ({
                   : styles.eventTypesGrid
               }
             >
-              {eventTypes.map((eventType) => (
-                <label key={eventType} style={styles.checkboxLabel}>
+              {availableEventTypes.map((eventType) => (
+                <label
+                  key={eventType.name}
+                  style={styles.checkboxLabel}
+                  title={eventType.description}
+                >
                   <input
                     type="checkbox"
-                    checked={formData.eventTypes.includes(eventType)}
-                    onChange={() => toggleEventType(eventType)}
+                    checked={formData.eventTypes.includes(eventType.name)}
+                    onChange={() => toggleEventType(eventType.name)}
                     style={styles.checkbox}
                     disabled={submitting}
                   />
-                  <span style={styles.checkboxText}>{eventType}</span>
+                  <span style={styles.checkboxText}>
+                    {eventType.name}
+                    {eventType.deprecated && " (deprecated)"}
+                  </span>
                 </label>
               ))}
             </div>
@@ -619,6 +878,479 @@ const SubscriptionForm = ({
             </div>
           </div>
 
+          {/* Retry Policy Fields */}
+          <div style={styles.formRow}>
+            <div style={styles.formGroup}>
+              <label style={styles.label}>
+                Retry Strategy
+                {errors.retryPolicy && (
+                  <span style={styles.errorText}> - {errors.retryPolicy}</span>
+                )}
+              </label>
+              <select
+                value={formData.retryPolicy.strategy}
+                onChange={(e) =>
+                  setFormData((prev) => ({
+                    ...prev,
+                    retryPolicy: {
+                      ...prev.retryPolicy,
+                      strategy: e.target.value,
+                    },
+                  }))
+                }
+                style={styles.input}
+                disabled={submitting}
+              >
+                <option value="exponential">Exponential</option>
+                <option value="linear">Linear</option>
+                <option value="fixed">Fixed</option>
+                <option value="schedule">Explicit Schedule</option>
+              </select>
+            </div>
+
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Jitter</label>
+              <select
+                value={formData.retryPolicy.jitter}
+                onChange={(e) =>
+                  setFormData((prev) => ({
+                    ...prev,
+                    retryPolicy: {
+                      ...prev.retryPolicy,
+                      jitter: e.target.value,
+                    },
+                  }))
+                }
+                style={styles.input}
+                disabled={submitting}
+              >
+                <option value="none">None</option>
+                <option value="full">Full</option>
+                <option value="equal">Equal</option>
+              </select>
+            </div>
+          </div>
+
+          <div style={styles.formRow}>
+            {(formData.retryPolicy.strategy === "schedule"
+              ? [["schedule", "Retry Schedule", "1m, 5m, 30m, 2h, 12h"]]
+              : [
+                  ["delay", "Base Delay", "1s"],
+                  ["maxDelay", "Max Delay", "30s"],
+                ]
+            )
+              .concat([["maxRetryDuration", "Give Up After", "24h"]])
+              .map(([field, label, placeholder]) => (
+                <div key={field} style={styles.formGroup}>
+                  <label style={styles.label}>{label}</label>
+                  <input
+                    type="text"
+                    value={formData.retryPolicyText[field]}
+                    onChange={(e) =>
+                      setFormData((prev) => ({
+                        ...prev,
+                        retryPolicyText: {
+                          ...prev.retryPolicyText,
+                          [field]: e.target.value,
+                        },
+                      }))
+                    }
+                    style={styles.input}
+                    placeholder={placeholder}
+                    disabled={submitting}
+                  />
+                </div>
+              ))}
+          </div>
+          <div style={styles.helpText}>
+            Durations like 30s, 5m, 2h or 1d. Max Retries still limits the
+            number of attempts; the last schedule entry repeats.
+          </div>
+
+          {/* Owner Notification Fields */}
+          <div style={styles.formRow}>
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Owner Email</label>
+              <input
+                type="email"
+                value={formData.ownerEmail}
+                onChange={(e) =>
+                  setFormData((prev) => ({
+                    ...prev,
+                    ownerEmail: e.target.value,
+                  }))
+                }
+                style={styles.input}
+                placeholder="team@partner.com"
+                disabled={submitting}
+              />
+            </div>
+
+            <div style={styles.formGroup}>
+              <label style={styles.label}>
+                Notification URL
+                {errors.notificationUrl && (
+                  <span style={styles.errorText}>
+                    {" "}
+                    - {errors.notificationUrl}
+                  </span>
+                )}
+              </label>
+              <input
+                type="url"
+                value={formData.notificationUrl}
+                onChange={(e) =>
+                  setFormData((prev) => ({
+                    ...prev,
+                    notificationUrl: e.target.value,
+                  }))
+                }
+                style={
+                  errors.notificationUrl
+                    ? { ...styles.input, borderColor: "#e74c3c" }
+                    : styles.input
+                }
+                placeholder="https://hooks.slack.com/..."
+                disabled={submitting}
+              />
+            </div>
+          </div>
+
+          {/* Failure Policy Fields */}
+          <div style={styles.formRow}>
+            {[
+              ["maxConsecutiveFailures", "Disable After N Failures in a Row"],
+              ["maxFailureRate", "Disable Above Failure Rate (%)"],
+              ["failureRateWindowMinutes", "Failure Rate Window (min)"],
+            ].map(([field, label]) => (
+              <div key={field} style={styles.formGroup}>
+                <label style={styles.label}>{label}</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={formData.failurePolicy[field] ?? ""}
+                  onChange={(e) =>
+                    setFormData((prev) => ({
+                      ...prev,
+                      failurePolicy: {
+                        ...prev.failurePolicy,
+                        [field]: parseInt(e.target.value) || null,
+                      },
+                    }))
+                  }
+                  style={styles.input}
+                  placeholder="Off"
+                  disabled={submitting}
+                />
+              </div>
+            ))}
+          </div>
+          <div style={styles.helpText}>
+            Leave a rule empty to turn it off. A disabled subscription notifies
+            its owner and can be re-enabled with its backlog replayed.
+          </div>
+
+          {/* Response Classification Fields */}
+          <div style={styles.formRow}>
+            {[
+              ["success", "Success Statuses", "2xx"],
+              ["retryable", "Retryable Statuses", "408, 425, 429, 5xx"],
+              ["permanent", "Permanent Failure Statuses", "4xx"],
+            ].map(([outcome, label, placeholder]) => (
+              <div key={outcome} style={styles.formGroup}>
+                <label style={styles.label}>{label}</label>
+                <input
+                  type="text"
+                  value={formData.classificationText[outcome]}
+                  onChange={(e) =>
+                    setFormData((prev) => ({
+                      ...prev,
+                      classificationText: {
+                        ...prev.classificationText,
+                        [outcome]: e.target.value,
+                      },
+                    }))
+                  }
+                  style={styles.input}
+                  placeholder={placeholder}
+                  disabled={submitting}
+                />
+              </div>
+            ))}
+          </div>
+          <div style={styles.helpText}>
+            Status codes (410), classes (4xx) or ranges (400-409). The most
+            specific rule wins; permanent failures are not retried.
+          </div>
+          <div style={styles.formGroup}>
+            <label style={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={formData.disableOnGone}
+                onChange={(e) =>
+                  setFormData((prev) => ({
+                    ...prev,
+                    disableOnGone: e.target.checked,
+                  }))
+                }
+                style={styles.checkbox}
+                disabled={submitting}
+              />
+              <span style={styles.checkboxText}>
+                Disable subscription when the endpoint returns 410 Gone
+              </span>
+            </label>
+          </div>
+
+          {/* Rate Limit Fields */}
+          <div style={styles.formRow}>
+            {[
+              ["maxPerSecond", "Max Requests per Second"],
+              ["maxConcurrent", "Max In-Flight Deliveries"],
+            ].map(([field, label]) => (
+              <div key={field} style={styles.formGroup}>
+                <label style={styles.label}>{label}</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={formData.rateLimit[field] ?? ""}
+                  onChange={(e) =>
+                    setFormData((prev) => ({
+                      ...prev,
+                      rateLimit: {
+                        ...prev.rateLimit,
+                        [field]: parseInt(e.target.value) || null,
+                      },
+                    }))
+                  }
+                  style={styles.input}
+                  placeholder="Unlimited"
+                  disabled={submitting}
+                />
+              </div>
+            ))}
+          </div>
+          <div style={styles.helpText}>
+            Deliveries over a limit wait for their turn instead of failing.
+          </div>
+
+          {/* Delivery Mode Fields */}
+          <div style={styles.formRow}>
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Delivery Mode</label>
+              <select
+                value={formData.deliveryMode}
+                onChange={(e) =>
+                  setFormData((prev) => ({
+                    ...prev,
+                    deliveryMode: e.target.value,
+                  }))
+                }
+                style={styles.input}
+                disabled={submitting}
+              >
+                <option value="single">One request per event</option>
+                <option value="batch">Batched</option>
+              </select>
+            </div>
+            {formData.deliveryMode === "batch" &&
+              [
+                ["maxSize", "Max Batch Size", 1, 1000],
+                ["maxWaitMs", "Max Wait (ms)", 100, 300000],
+              ].map(([field, label, min, max]) => (
+                <div key={field} style={styles.formGroup}>
+                  <label style={styles.label}>{label}</label>
+                  <input
+                    type="number"
+                    min={min}
+                    max={max}
+                    value={formData.batch[field]}
+                    onChange={(e) =>
+                      setFormData((prev) => ({
+                        ...prev,
+                        batch: {
+                          ...prev.batch,
+                          [field]: parseInt(e.target.value) || min,
+                        },
+                      }))
+                    }
+                    style={styles.input}
+                    disabled={submitting}
+                  />
+                </div>
+              ))}
+          </div>
+          {formData.deliveryMode === "batch" && (
+            <div style={styles.helpText}>
+              Events are sent as one JSON envelope (batchId, events[]) when the
+              batch is full or the wait time has passed. Failed batches are
+              retried as a whole.
+            </div>
+          )}
+
+          {/* Delivery Order Field */}
+          <div style={styles.formGroup}>
+            <label style={styles.label}>Delivery Order</label>
+            <select
+              value={formData.deliveryOrder}
+              onChange={(e) =>
+                setFormData((prev) => ({
+                  ...prev,
+                  deliveryOrder: e.target.value,
+                }))
+              }
+              style={styles.input}
+              disabled={submitting}
+            >
+              <option value="unordered">Unordered (concurrent)</option>
+              <option value="fifo">FIFO per ordering key</option>
+            </select>
+            <div style={styles.helpText}>
+              FIFO delivers events with the same ordering key (set per event
+              type) one at a time, in order. A failing event holds back the rest
+              of its key until it is delivered or dead-lettered.
+            </div>
+          </div>
+
+          {/* Signature Scheme Field */}
+          <div style={styles.formGroup}>
+            <label style={styles.label}>Signature Scheme</label>
+            <select
+              value={formData.signatureScheme}
+              onChange={(e) =>
+                setFormData((prev) => ({
+                  ...prev,
+                  signatureScheme: e.target.value,
+                }))
+              }
+              style={styles.input}
+              disabled={submitting}
+            >
+              <option value="legacy">Legacy (X-Algohire-Signature)</option>
+              <option value="standard-webhooks">
+                Standard Webhooks (timestamped, replay-protected)
+              </option>
+            </select>
+            <div style={styles.helpText}>
+              Standard Webhooks receivers use the whsec_ encoded secret
+            </div>
+          </div>
+
+          {/* Body Canonicalization Field */}
+          <div style={styles.formGroup}>
+            <label style={styles.label}>Body Serialization</label>
+            <select
+              value={formData.canonicalization}
+              onChange={(e) =>
+                setFormData((prev) => ({
+                  ...prev,
+                  canonicalization: e.target.value,
+                }))
+              }
+              style={styles.input}
+              disabled={submitting}
+            >
+              <option value="none">Standard JSON</option>
+              <option value="jcs">Canonical JSON (RFC 8785 JCS)</option>
+            </select>
+            <div style={styles.helpText}>
+              Canonical JSON lets receivers verify a re-serialized body
+            </div>
+          </div>
+
+          {/* Payload Filter Field */}
+          <div style={styles.formGroup}>
+            <label style={styles.label}>
+              Payload Filter
+              {errors.filter && (
+                <span style={styles.errorText}> - {errors.filter}</span>
+              )}
+            </label>
+            <textarea
+              value={formData.filterText}
+              onChange={(e) =>
+                setFormData((prev) => ({
+                  ...prev,
+                  filterText: e.target.value,
+                }))
+              }
+              style={
+                errors.filter
+                  ? { ...styles.textarea, borderColor: "#e74c3c" }
+                  : styles.textarea
+              }
+              placeholder='{ "path": "payload.jobId", "op": "in", "value": ["job_123"] }'
+              rows="4"
+              disabled={submitting}
+            />
+            <div style={styles.helpText}>
+              Optional. Only matching events are delivered; combine predicates
+              with "all", "any" and "not"
+            </div>
+          </div>
+
+          {/* Payload Transform Field */}
+          <div style={styles.formGroup}>
+            <label style={styles.label}>
+              Payload Transform
+              {errors.transform && (
+                <span style={styles.errorText}> - {errors.transform}</span>
+              )}
+            </label>
+            <textarea
+              value={formData.transformText}
+              onChange={(e) =>
+                setFormData((prev) => ({
+                  ...prev,
+                  transformText: e.target.value,
+                }))
+              }
+              style={
+                errors.transform
+                  ? { ...styles.textarea, borderColor: "#e74c3c" }
+                  : styles.textarea
+              }
+              placeholder='{ "text": "New applicant {{ payload.name }}" }'
+              rows="4"
+              disabled={submitting}
+            />
+            <div style={styles.helpText}>
+              Optional. JSON template with {"{{ path }}"} placeholders; leave
+              empty to deliver the payload unchanged
+            </div>
+
+            {/* Dry-run against a stored event */}
+            <div style={styles.previewRow}>
+              <input
+                type="text"
+                value={previewEventId}
+                onChange={(e) => setPreviewEventId(e.target.value)}
+                style={styles.input}
+                placeholder="Event ID to preview against"
+                disabled={submitting}
+              />
+              <button
+                type="button"
+                onClick={handlePreviewTransform}
+                style={styles.smallButton}
+                disabled={submitting || !previewEventId.trim()}
+              >
+                Preview
+              </button>
+            </div>
+            {preview && (
+              <pre
+                style={
+                  preview.error
+                    ? { ...styles.previewOutput, color: "#e74c3c" }
+                    : styles.previewOutput
+                }
+              >
+                {preview.error || JSON.stringify(preview.body, null, 2)}
+              </pre>
+            )}
+          </div>
+
           {/* Active Toggle */}
           <div style={styles.formGroup}>
             <label style={styles.checkboxLabel}>
@@ -678,6 +1410,7 @@ const SubscriptionCard = ({
   onEdit,
   onDelete,
   onToggle,
+  onRotateSecret,
   onCopySecret,
   isCopied,
 }) => {
@@ -732,6 +1465,15 @@ const SubscriptionCard = ({
             <Edit2 size={16} color="#3498db" />
           </button>
 
+          {/* Rotate Secret Button */}
+          <button
+            onClick={() => onRotateSecret(subscription)}
+            style={styles.iconButton}
+            title="Rotate Secret"
+          >
+            <RotateCw size={16} color="#f39c12" />
+          </button>
+
           {/* Delete Button */}
           <button
             onClick={() => onDelete(subscription._id)}
@@ -743,6 +1485,17 @@ const SubscriptionCard = ({
         </div>
       </div>
 
+      {/* Disable Reason (set by the failure policy) */}
+      {!subscription.isActive && subscription.disabledReason && (
+        <div style={styles.disabledNotice}>
+          <AlertCircle size={16} />
+          <span>
+            Disabled {new Date(subscription.disabledAt).toLocaleString()}:{" "}
+            {subscription.disabledReason}
+          </span>
+        </div>
+      )}
+
       {/* Description */}
       {subscription.description && (
         <p style={styles.cardDescription}>{subscription.description}</p>
@@ -803,12 +1556,38 @@ const SubscriptionCard = ({
         <div style={styles.configItem}>
           <strong>Max Retries:</strong> {subscription.maxRetries}
         </div>
+        <div style={styles.configItem}>
+          <strong>Retry Policy:</strong>{" "}
+          {subscription.retryPolicy?.strategy === "schedule"
+            ? (subscription.retryPolicy.schedule || [])
+                .map(formatDuration)
+                .join(", ")
+            : subscription.retryPolicy?.strategy || "exponential"}
+          {subscription.retryPolicy?.maxRetryDuration
+            ? ` (give up after ${formatDuration(
+                subscription.retryPolicy.maxRetryDuration
+              )})`
+            : ""}
+        </div>
         <div style={styles.configItem}>
           <strong>Timeout:</strong> {subscription.timeout}ms
         </div>
+        <div style={styles.configItem}>
+          <strong>Signing:</strong>{" "}
+          {subscription.signatureScheme === "standard-webhooks"
+            ? "Standard Webhooks"
+            : "Legacy"}
+        </div>
         <div style={styles.configItem}>
           <strong>Deliveries:</strong> {subscription.deliveryCount || 0}
         </div>
+        {subscription.previousSecretExpiresAt &&
+          new Date(subscription.previousSecretExpiresAt) > new Date() && (
+            <div style={styles.configItem}>
+              <strong>Previous secret valid until:</strong>{" "}
+              {new Date(subscription.previousSecretExpiresAt).toLocaleString()}
+            </div>
+          )}
       </div>
 
       {/* Secret Section (for newly created subscriptions) */}
@@ -968,6 +1747,18 @@ const styles = {
   formGroup: {
     marginBottom: "1.5rem",
   },
+  disabledNotice: {
+    display: "flex",
+    alignItems: "flex-start",
+    gap: "0.5rem",
+    backgroundColor: "#fdeded",
+    color: "#c0392b",
+    padding: "0.75rem",
+    borderRadius: "6px",
+    border: "1px solid #f5c6c6",
+    fontSize: "0.85rem",
+    marginBottom: "1rem",
+  },
   formRow: {
     display: "grid",
     gridTemplateColumns: "1fr 1fr",
@@ -1051,6 +1842,23 @@ const styles = {
     color: "#7f8c8d",
     marginTop: "0.25rem",
   },
+  previewRow: {
+    display: "flex",
+    gap: "0.5rem",
+    alignItems: "center",
+    marginTop: "0.75rem",
+  },
+  previewOutput: {
+    backgroundColor: "#f8f9fa",
+    border: "1px solid #e9ecef",
+    borderRadius: "6px",
+    padding: "0.75rem",
+    fontSize: "0.8rem",
+    maxHeight: "200px",
+    overflow: "auto",
+    marginTop: "0.5rem",
+    whiteSpace: "pre-wrap",
+  },
   errorText: {
     color: "#e74c3c",
     fontWeight: "normal",
@@ -7,6 +7,9 @@ import axios from "axios";
  * Includes base configuration, request/response interceptors, and error handling
  */
 
+// Dispatched on window when the API answers 401 (signed out or expired)
+export const UNAUTHORIZED_EVENT = "algohire:unauthorized";
+
 // Create Axios instance with default configuration
 const api = axios.create({
   // Base URL for all API requests - can be configured via environment variable
@@ -15,6 +18,11 @@ const api = axios.create({
   // Request timeout (10 seconds)
   timeout: 10000,
 
+  // Send the HttpOnly session cookie set by POST /auth/session. The
+  // dashboard never holds an API key - VITE_* variables end up in the
+  // public bundle
+  withCredentials: true,
+
   // Default headers for all requests
   headers: {
     "Content-Type": "application/json",
@@ -40,12 +48,6 @@ api.interceptors.request.use(
       );
     }
 
-    // You can add authentication headers here if needed
-    // const token = localStorage.getItem('authToken');
-    // if (token) {
-    //   config.headers.Authorization = `Bearer ${token}`;
-    // }
-
     return config;
   },
   (error) => {
@@ -95,9 +97,9 @@ api.interceptors.response.use(
           error.message = data.error || "Bad Request - Please check your input";
           break;
         case 401:
-          error.message = "Unauthorized - Please check your authentication";
-          // You could redirect to login here
-          // window.location.href = '/login';
+          error.message = data.error || "Unauthorized - Please sign in";
+          // Session missing or expired - the app shows the sign-in page
+          window.dispatchEvent(new Event(UNAUTHORIZED_EVENT));
           break;
         case 403:
           error.message =